@@ -0,0 +1,72 @@
+/**
+ * Fake BOLT11 invoices for the dev harness
+ * Structurally valid (bech32, tagged fields, payment/description hashes) so the
+ * game's decoder and zap validation run for real; the node signature is random
+ */
+
+const NostrCrypto = require('../js/nostr-crypto.js');
+const Lnurl = require('../js/lnurl.js');
+
+/**
+ * Encode a number as big-endian 5-bit words
+ */
+function intToWords(value, minLength = 1) {
+  const words = [];
+  let remaining = value;
+  while (remaining > 0) {
+    words.unshift(remaining % 32);
+    remaining = Math.floor(remaining / 32);
+  }
+  while (words.length < minLength) words.unshift(0);
+  return words;
+}
+
+/**
+ * Tagged field: type, 10-bit data length, data
+ */
+function taggedField(type, words) {
+  return [Lnurl.CHARSET.indexOf(type), words.length >> 5, words.length & 31, ...words];
+}
+
+/**
+ * Human-readable amount for a millisatoshi value
+ */
+function encodeAmount(amountMsats) {
+  return amountMsats % 100 === 0 ? `${amountMsats / 100}n` : `${amountMsats * 10}p`;
+}
+
+/**
+ * Create a regtest invoice
+ * @param {Object} options
+ * @param {number} options.amountMsats
+ * @param {string} options.descriptionHash - Hex sha256 of the description
+ * @param {number} [options.expiry] - Seconds
+ * @param {number} [options.timestamp] - Unix time the invoice was issued
+ * @returns {{invoice: string, paymentHash: string, preimage: string}}
+ */
+function createInvoice({
+  amountMsats,
+  descriptionHash,
+  expiry = 600,
+  timestamp = Math.floor(Date.now() / 1000),
+}) {
+  const preimage = NostrCrypto.randomBytes(32);
+  const paymentHash = NostrCrypto.sha256(preimage);
+
+  const words = [
+    ...intToWords(timestamp, 7),
+    ...taggedField('p', Lnurl.toWords(paymentHash)),
+    ...taggedField('s', Lnurl.toWords(NostrCrypto.randomBytes(32))),
+    ...taggedField('h', Lnurl.toWords(NostrCrypto.hexToBytes(descriptionHash))),
+    ...taggedField('x', intToWords(expiry)),
+    ...Lnurl.toWords(NostrCrypto.randomBytes(65)),
+  ];
+
+  return {
+    invoice: Lnurl.bech32Encode(`lnbcrt${encodeAmount(amountMsats)}`, words),
+    paymentHash: NostrCrypto.bytesToHex(paymentHash),
+    preimage: NostrCrypto.bytesToHex(preimage),
+  };
+}
+
+module.exports = { createInvoice };
@@ -0,0 +1,402 @@
+/**
+ * SatSnake offline dev harness
+ * A local stand-in for a Lightning Address provider and a Nostr relay:
+ *
+ *   GET  /.well-known/lnurlp/<user>         LUD-16 pay metadata (allowsNostr)
+ *   GET  /lnurlp/<user>/callback            fake BOLT11 invoice (+ LUD-21 verify URL)
+ *   GET  /lnurlp/<user>/verify/<hash>       LUD-21 settlement status
+ *   POST /pay?invoice=<bolt11> | ?hash=<h>  "pay" an invoice and publish its zap receipt;
+ *                                           returns the preimage like a wallet would
+ *                                           (&receipt=false: the zapper never publishes one)
+ *   ws://<host>/                            NIP-01 relay
+ *
+ * and for reward payouts, a withdraw service shaped like the LNbits withdraw
+ * extension (the API dev/payouts.js talks to):
+ *
+ *   POST /withdraw/api/v1/links             create a single-use withdraw link
+ *                                           (any X-Api-Key is accepted)
+ *   DELETE /withdraw/api/v1/links/<id>      delete a withdraw link
+ *   GET  /withdraw/api/v1/lnurl/<id>        LUD-03 withdrawRequest
+ *   GET  /withdraw/api/v1/lnurl/cb/<id>     LUD-03 callback (?k1=&pr=<bolt11>)
+ *
+ * Withdraw LNURLs encode https://<host>/..., as LUD-01 requires; clients
+ * reach them through devHarnessUrl like Lightning Addresses.
+ *
+ * A separate creator key (the zap recipient's own Nostr key, creatorPubkey)
+ * publishes a NIP-65 relay list (kind 10002) naming the harness relay plus
+ * any extra relays passed in, like a real creator's client would.
+ *
+ * Usage: node dev/harness.js [port]
+ * Then set SATSNAKE_CONFIG.devHarnessUrl to the printed URL.
+ */
+
+const http = require('http');
+const NostrCrypto = require('../js/nostr-crypto.js');
+const { createInvoice } = require('./fake-invoice.js');
+const { DevRelay } = require('./relay.js');
+const { loadScripts } = require('./load-scripts.js');
+
+loadScripts(['lnurl', 'bolt11']);
+
+const MIN_SENDABLE = 1000; // 1 sat
+const MAX_SENDABLE = 100000000000; // 1 BTC
+
+/**
+ * Start the harness
+ * @param {Object} options
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.host]
+ * @param {string[]} [options.relayList] - Extra relays for the creator's NIP-65 list
+ * @returns {Promise<Object>} Running harness with url, relayUrl, creatorPubkey, pay() and close()
+ */
+function startHarness({ port = 8787, host = '127.0.0.1', relayList = [] } = {}) {
+  const zapperSecretKey = NostrCrypto.generateSecretKey();
+  const zapperPubkey = NostrCrypto.getPublicKey(zapperSecretKey);
+  const creatorSecretKey = NostrCrypto.generateSecretKey();
+  const creatorPubkey = NostrCrypto.getPublicKey(creatorSecretKey);
+  const relay = new DevRelay();
+  const invoices = new Map(); // paymentHash -> invoice record
+  const withdrawLinks = new Map(); // id -> withdraw link record
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      sendJson(res, 500, { status: 'ERROR', reason: error.message });
+    });
+  });
+
+  async function handleRequest(req, res) {
+    const origin = `http://${req.headers.host}`;
+    const url = new URL(req.url, origin);
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (req.method === 'OPTIONS') {
+      sendJson(res, 204, null);
+      return;
+    }
+
+    // LUD-16 metadata
+    if (parts[0] === '.well-known' && parts[1] === 'lnurlp' && parts[2]) {
+      const user = parts[2];
+      sendJson(res, 200, {
+        tag: 'payRequest',
+        callback: `${origin}/lnurlp/${user}/callback`,
+        minSendable: MIN_SENDABLE,
+        maxSendable: MAX_SENDABLE,
+        metadata: metadataFor(user, req.headers.host),
+        allowsNostr: true,
+        nostrPubkey: zapperPubkey,
+      });
+      return;
+    }
+
+    // LNURL-pay callback
+    if (parts[0] === 'lnurlp' && parts[2] === 'callback') {
+      sendJson(res, 200, issueInvoice(parts[1], url, origin, req.headers.host));
+      return;
+    }
+
+    // LUD-21 verify
+    if (parts[0] === 'lnurlp' && parts[2] === 'verify' && parts[3]) {
+      const record = invoices.get(parts[3]);
+      if (!record) {
+        sendJson(res, 404, { status: 'ERROR', reason: 'Unknown invoice' });
+        return;
+      }
+      sendJson(res, 200, {
+        status: 'OK',
+        settled: record.settled,
+        preimage: record.settled ? record.preimage : null,
+        pr: record.invoice,
+      });
+      return;
+    }
+
+    // Simulated payment
+    if (parts[0] === 'pay') {
+      const hash = url.searchParams.get('hash') || findHash(url.searchParams.get('invoice'));
+      const result = pay(hash, { receipt: url.searchParams.get('receipt') !== 'false' });
+      sendJson(res, result.ok ? 200 : 404, result.ok
+        ? { status: 'OK', paymentHash: hash, preimage: result.preimage, receiptId: result.receiptId }
+        : { status: 'ERROR', reason: result.reason });
+      return;
+    }
+
+    // Withdraw service (LNbits-style)
+    if (parts[0] === 'withdraw' && parts[1] === 'api' && parts[2] === 'v1') {
+      if (req.method === 'POST' && parts[3] === 'links') {
+        const result = createWithdrawLink(await readJson(req), req.headers.host);
+        sendJson(res, result.status === 'ERROR' ? 400 : 201, result);
+        return;
+      }
+      if (req.method === 'DELETE' && parts[3] === 'links' && parts[4]) {
+        const deleted = withdrawLinks.delete(parts[4]);
+        if (deleted) console.log(`[Harness] Deleted withdraw link ${parts[4]}`);
+        sendJson(res, deleted ? 200 : 404, deleted ? {} : { status: 'ERROR', reason: 'Unknown withdraw link' });
+        return;
+      }
+      if (parts[3] === 'lnurl' && parts[4] === 'cb' && parts[5]) {
+        sendJson(res, 200, claimWithdrawLink(parts[5], url));
+        return;
+      }
+      if (parts[3] === 'lnurl' && parts[4]) {
+        sendJson(res, 200, describeWithdrawLink(parts[4], origin));
+        return;
+      }
+    }
+
+    sendJson(res, 404, { status: 'ERROR', reason: 'Not found' });
+  }
+
+  /**
+   * Create a single-use withdraw link for up to max_withdrawable sats
+   */
+  function createWithdrawLink(body, host) {
+    const maxSats = parseInt(body.max_withdrawable, 10);
+    if (!Number.isInteger(maxSats) || maxSats < 1) {
+      return { status: 'ERROR', reason: 'max_withdrawable must be a positive number of sats' };
+    }
+    const id = NostrCrypto.bytesToHex(NostrCrypto.randomBytes(8));
+    const link = {
+      id,
+      title: String(body.title || 'SatSnake reward'),
+      min_withdrawable: Math.min(parseInt(body.min_withdrawable, 10) || 1, maxSats),
+      max_withdrawable: maxSats,
+      uses: 1,
+      used: 0,
+      k1: NostrCrypto.bytesToHex(NostrCrypto.randomBytes(32)),
+      lnurl: Lnurl.encode(`https://${host}/withdraw/api/v1/lnurl/${id}`),
+    };
+    withdrawLinks.set(id, link);
+    console.log(`[Harness] Created ${maxSats} sat withdraw link ${id}`);
+    const { k1, ...visible } = link;
+    return visible;
+  }
+
+  /**
+   * LUD-03 first step: what the link pays out
+   */
+  function describeWithdrawLink(id, origin) {
+    const link = withdrawLinks.get(id);
+    if (!link) return { status: 'ERROR', reason: 'Unknown withdraw link' };
+    if (link.used >= link.uses) return { status: 'ERROR', reason: 'Withdraw link already used' };
+    return {
+      tag: 'withdrawRequest',
+      callback: `${origin}/withdraw/api/v1/lnurl/cb/${id}`,
+      k1: link.k1,
+      defaultDescription: link.title,
+      minWithdrawable: link.min_withdrawable * 1000,
+      maxWithdrawable: link.max_withdrawable * 1000,
+    };
+  }
+
+  /**
+   * LUD-03 callback: "pay" the wallet's invoice if it fits the link
+   */
+  function claimWithdrawLink(id, url) {
+    const link = withdrawLinks.get(id);
+    if (!link || url.searchParams.get('k1') !== link.k1) {
+      return { status: 'ERROR', reason: 'Unknown withdraw link or wrong k1' };
+    }
+    if (link.used >= link.uses) {
+      return { status: 'ERROR', reason: 'Withdraw link already used' };
+    }
+
+    let invoice;
+    try {
+      invoice = Bolt11.decode(url.searchParams.get('pr') || '');
+    } catch (error) {
+      return { status: 'ERROR', reason: `Invalid invoice: ${error.message}` };
+    }
+    const amountMsats = invoice.amountMsats;
+    if (amountMsats === null || amountMsats < link.min_withdrawable * 1000 ||
+        amountMsats > link.max_withdrawable * 1000) {
+      return { status: 'ERROR', reason: 'Invoice amount outside the withdrawable range' };
+    }
+
+    link.used++;
+    console.log(`[Harness] Withdraw link ${id} paid ${amountMsats / 1000} sats`);
+    return { status: 'OK' };
+  }
+
+  /**
+   * LNURL-pay callback: validate the amount and zap request, issue an invoice
+   */
+  function issueInvoice(user, url, origin, host) {
+    const amountMsats = parseInt(url.searchParams.get('amount'), 10);
+    if (!Number.isInteger(amountMsats) || amountMsats < MIN_SENDABLE || amountMsats > MAX_SENDABLE) {
+      return { status: 'ERROR', reason: 'Amount out of range' };
+    }
+
+    // NIP-57: the invoice commits to the zap request instead of the metadata
+    let description = metadataFor(user, host);
+    let zapRequest = null;
+    const nostr = url.searchParams.get('nostr');
+    if (nostr) {
+      try {
+        zapRequest = JSON.parse(nostr);
+      } catch (error) {
+        return { status: 'ERROR', reason: 'Invalid zap request JSON' };
+      }
+      const check = NostrCrypto.verifyEvent(zapRequest);
+      if (zapRequest.kind !== 9734 || !check.valid) {
+        return { status: 'ERROR', reason: `Invalid zap request: ${check.reason || 'wrong kind'}` };
+      }
+      const amountTag = zapRequest.tags.find(t => t[0] === 'amount');
+      if (amountTag && parseInt(amountTag[1], 10) !== amountMsats) {
+        return { status: 'ERROR', reason: 'Zap request amount does not match' };
+      }
+      description = nostr;
+    }
+
+    const created = createInvoice({
+      amountMsats,
+      descriptionHash: NostrCrypto.sha256Hex(description),
+    });
+    invoices.set(created.paymentHash, {
+      ...created,
+      amountMsats,
+      description,
+      zapRequest,
+      settled: false,
+    });
+    console.log(`[Harness] Issued ${amountMsats / 1000} sat invoice ${created.paymentHash.slice(0, 12)}…`);
+
+    return {
+      pr: created.invoice,
+      routes: [],
+      verify: `${origin}/lnurlp/${user}/verify/${created.paymentHash}`,
+    };
+  }
+
+  /**
+   * Settle an invoice and publish its zap receipt (for zap invoices)
+   * @param {string} paymentHash
+   * @param {Object} [options]
+   * @param {boolean} [options.receipt] - false: settle without a receipt
+   * @returns {{ok: boolean, reason?: string, preimage?: string, receiptId?: string}}
+   */
+  function pay(paymentHash, { receipt: publishReceipt = true } = {}) {
+    const record = invoices.get(paymentHash);
+    if (!record) {
+      return { ok: false, reason: 'Unknown invoice' };
+    }
+    record.settled = true;
+    console.log(`[Harness] Paid invoice ${paymentHash.slice(0, 12)}…`);
+
+    if (!record.zapRequest || !publishReceipt) {
+      return { ok: true, preimage: record.preimage };
+    }
+
+    const zapRequest = record.zapRequest;
+    const tags = [
+      zapRequest.tags.find(t => t[0] === 'p'),
+      ['P', zapRequest.pubkey],
+      ['bolt11', record.invoice],
+      ['description', record.description],
+      ['preimage', record.preimage],
+    ];
+    const eTag = zapRequest.tags.find(t => t[0] === 'e');
+    if (eTag) tags.push(eTag);
+
+    const receipt = NostrCrypto.finalizeEvent({
+      kind: 9735,
+      created_at: Math.floor(Date.now() / 1000),
+      tags,
+      content: '',
+    }, zapperSecretKey);
+    relay.publish(receipt);
+    return { ok: true, preimage: record.preimage, receiptId: receipt.id };
+  }
+
+  function findHash(invoice) {
+    if (!invoice) return null;
+    for (const [hash, record] of invoices) {
+      if (record.invoice === invoice.toLowerCase()) return hash;
+    }
+    return null;
+  }
+
+  server.on('upgrade', (req, socket) => relay.handleUpgrade(req, socket));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      const url = `http://${host}:${address.port}`;
+      const relayUrl = url.replace(/^http/, 'ws');
+
+      relay.publish(NostrCrypto.finalizeEvent({
+        kind: 10002,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [relayUrl, ...relayList].map(relayListUrl => ['r', relayListUrl]),
+        content: '',
+      }, creatorSecretKey));
+
+      resolve({
+        url,
+        relayUrl,
+        zapperPubkey,
+        creatorPubkey,
+        relay,
+        invoices,
+        withdrawLinks,
+        pay,
+        close() {
+          relay.close();
+          return new Promise(done => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+/**
+ * LUD-06 metadata string for a user
+ */
+function metadataFor(user, host) {
+  return JSON.stringify([
+    ["text/plain", `Pay ${user} (SatSnake dev harness)`],
+    ["text/identifier", `${user}@${host}`],
+  ]);
+}
+
+/**
+ * Read a JSON request body ({} when empty or unreadable)
+ */
+function readJson(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Api-Key',
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+}
+
+module.exports = { startHarness };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+  startHarness({ port }).then((harness) => {
+    console.log(`[Harness] LNURL server + relay running at ${harness.url}`);
+    console.log(`[Harness] Zapper pubkey: ${harness.zapperPubkey}`);
+    console.log(`[Harness] Creator pubkey: ${harness.creatorPubkey}`);
+    console.log(`[Harness] Set SATSNAKE_CONFIG.devHarnessUrl = "${harness.url}"`);
+    console.log(`[Harness] and recipientNostrPubkey = "${harness.creatorPubkey}" to discover its relays`);
+    console.log(`[Harness] Pay an invoice: curl -X POST "${harness.url}/pay?invoice=<bolt11>"`);
+  });
+}
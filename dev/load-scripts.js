@@ -0,0 +1,24 @@
+/**
+ * Expose SatSnake's browser scripts (js/*.js) as Node globals
+ * The classes look each other up as globals, as they do on the page, so a
+ * Node tool loads the ones it needs (dependencies included) through here.
+ *
+ * Usage: loadScripts(['lnurl', 'bolt11'])
+ */
+
+const path = require('path');
+
+/**
+ * @param {string[]} names - Script names under js/, without .js
+ */
+function loadScripts(names) {
+  for (const name of names) {
+    const exported = require(path.join(__dirname, '..', 'js', `${name}.js`));
+    const classes = typeof exported === 'function' ? { [exported.name]: exported } : exported;
+    for (const [key, value] of Object.entries(classes)) {
+      if (!(key in globalThis)) globalThis[key] = value;
+    }
+  }
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,256 @@
+/**
+ * SatSnake reward payouts - the operator's end-of-period tool
+ * For the last complete rewards period (SATSNAKE_CONFIG.rewards.period) it
+ *
+ *   1. totals the game's zap revenue from the recipient's zap receipts,
+ *   2. takes rewards.revenueShare of it as the prize pool,
+ *   3. ranks the period's verified scores on the modes.default board (the
+ *      same checks the leaderboard runs),
+ *   4. splits the pool between the top scorers by rewards.weights,
+ *   5. creates a single-use LNURL-withdraw link per winner on a withdraw
+ *      service (the LNbits withdraw extension API, or dev/harness.js), and
+ *   6. publishes each link as a voucher event encrypted to the winner.
+ *
+ * A period is paid once per winner: winners the operator key already
+ * published a voucher to for the period are skipped, so a run that stopped
+ * partway can simply be run again. A link whose voucher couldn't be
+ * published is deleted again.
+ *
+ * Usage:
+ *   SATSNAKE_PAYOUT_KEY=<hex secret key> \
+ *   SATSNAKE_WITHDRAW_URL=https://lnbits.example \
+ *   SATSNAKE_WITHDRAW_API_KEY=<admin key> \
+ *   node --experimental-websocket dev/payouts.js [--config config.json] [--dry-run]
+ *
+ * The key must belong to rewards.operatorPubkey. --config takes a JSON file
+ * shaped like js/config.js (the same file the page's data-config-url loads).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SATSNAKE_CONFIG = require('../js/config.js');
+const { loadScripts } = require('./load-scripts.js');
+
+loadScripts([
+  'nostr-crypto',
+  'lnurl',
+  'config-loader',
+  'bolt11',
+  'zap-replay-store',
+  'zap-split',
+  'snake-engine',
+  'game-modes',
+  'replay',
+  'relay-pool',
+  'nostr-relay-manager',
+  'score-verifier',
+  'leaderboard',
+  'payouts',
+]);
+
+/**
+ * Pay out one rewards period
+ * @param {Object} options
+ * @param {Object} options.config - Resolved SatSnake config
+ * @param {string} options.secretKey - Operator's hex secret key
+ * @param {string} options.withdrawUrl - Withdraw service origin
+ * @param {string} options.apiKey - Withdraw service key (X-Api-Key)
+ * @param {number} [options.now] - Unix ms; pays the period before it
+ * @param {boolean} [options.dryRun] - Report the payouts without creating anything
+ * @returns {Promise<Object>} {period, revenueSats, poolSats, payouts}
+ */
+async function runPayouts({ config, secretKey, withdrawUrl, apiKey, now = Date.now(), dryRun = false }) {
+  const { rewards } = config;
+  if (NostrCrypto.getPublicKey(secretKey) !== rewards.operatorPubkey) {
+    throw new Error("The payout key doesn't match rewards.operatorPubkey");
+  }
+
+  await loadLevels(config.modes.levelsUrl);
+
+  const relayManager = new NostrRelayManager(config);
+  if (!await relayManager.initialize()) {
+    throw new Error("Could not connect to the relays or resolve the recipient");
+  }
+
+  try {
+    const period = Payouts.periodRange(rewards.period, now);
+    const since = Math.floor(period.start / 1000);
+    const until = Math.floor(period.end / 1000) - 1;
+
+    // Winner pubkey -> voucher already published for this period
+    const paid = new Map();
+    const vouchers = await relayManager.query({
+      kinds: [Payouts.VOUCHER_KIND],
+      authors: [rewards.operatorPubkey],
+      "#t": [Leaderboard.TAG],
+    }, relayManager.relays);
+    for (const event of vouchers) {
+      const tag = (name) => (event.tags.find(t => t[0] === name) || [])[1];
+      if (event.pubkey === rewards.operatorPubkey && tag("period") === period.label && tag("p")) {
+        paid.set(tag("p"), event.id);
+      }
+    }
+
+    const receipts = await relayManager.query({
+      kinds: [9735],
+      authors: [relayManager.zapperPubkey],
+      "#p": [relayManager.recipientPubkey],
+      since,
+      until,
+    }, relayManager.relays);
+    const revenueSats = Payouts.revenue(
+      receipts.filter(receipt => relayManager.verifyEventSignature(receipt)),
+      {
+        zapperPubkey: relayManager.zapperPubkey,
+        recipientPubkey: relayManager.recipientPubkey,
+        start: period.start,
+        end: period.end,
+      }
+    );
+    const poolSats = Math.floor(revenueSats * rewards.revenueShare);
+
+    const leaderboard = new Leaderboard(relayManager, null, config);
+    const winners = await leaderboard.load(rewards.period, {
+      mode: GameModes.defaultKey(config),
+      now: period.end - 1,
+      until: period.end,
+      limit: rewards.weights.length,
+    });
+    const shares = Payouts.allocate(poolSats, winners, rewards.weights);
+    console.log(`[Payouts] ${period.label}: ${revenueSats} sats revenue, ${poolSats} sats to ${shares.length} winner(s)`);
+
+    const payouts = [];
+    for (const share of shares) {
+      const payout = {
+        pubkey: share.entry.pubkey,
+        name: share.entry.name,
+        score: share.entry.score,
+        rank: share.rank,
+        amountSats: share.amountSats,
+        scoreEventId: share.entry.id,
+        voucherId: paid.get(share.entry.pubkey) || null,
+        alreadyPaid: paid.has(share.entry.pubkey),
+      };
+      payouts.push(payout);
+      if (payout.alreadyPaid) {
+        console.log(`[Payouts] #${payout.rank} ${payout.name}: already paid (voucher ${payout.voucherId.slice(0, 8)}…)`);
+        continue;
+      }
+      if (dryRun) continue;
+
+      const link = await createWithdrawLink(withdrawUrl, apiKey, {
+        title: `SatSnake ${period.label} #${share.rank}`,
+        amountSats: share.amountSats,
+      });
+      let event;
+      try {
+        event = await Payouts.buildVoucherEvent({
+          pubkey: payout.pubkey,
+          lnurl: link.lnurl,
+          amountSats: payout.amountSats,
+          rank: payout.rank,
+          periodLabel: period.label,
+          scoreEventId: payout.scoreEventId,
+        }, secretKey);
+        await relayManager.publish(event, relayManager.relays);
+      } catch (error) {
+        // Nobody can find an unpublished link; don't leave its sats reserved
+        await deleteWithdrawLink(withdrawUrl, apiKey, link.id).catch((deleteError) => {
+          console.error(`[Payouts] Could not delete withdraw link ${link.id}: ${deleteError.message}`);
+        });
+        throw error;
+      }
+      payout.voucherId = event.id;
+      console.log(`[Payouts] #${payout.rank} ${payout.name}: ${payout.amountSats} sats (voucher ${event.id.slice(0, 8)}…)`);
+    }
+
+    return { period: period.label, revenueSats, poolSats, payouts };
+  } finally {
+    await relayManager.disconnect();
+  }
+}
+
+/**
+ * Register the levels the page plays (scores on them are re-simulated):
+ * modes.levelsUrl from the web, or relative to the repository
+ */
+async function loadLevels(levelsUrl) {
+  if (GameModes.levels.size) return;
+  if (/^https?:/.test(levelsUrl)) {
+    await GameModes.loadLevels(levelsUrl);
+  } else {
+    GameModes.registerLevels(JSON.parse(fs.readFileSync(path.join(__dirname, '..', levelsUrl), "utf8")));
+  }
+}
+
+/**
+ * Create a single-use withdraw link (LNbits withdraw extension API)
+ * @returns {Promise<{id: string, lnurl: string}>}
+ */
+async function createWithdrawLink(withdrawUrl, apiKey, { title, amountSats }) {
+  const response = await fetch(`${withdrawUrl.replace(/\/+$/, "")}/withdraw/api/v1/links`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Api-Key": apiKey },
+    body: JSON.stringify({
+      title,
+      min_withdrawable: amountSats,
+      max_withdrawable: amountSats,
+      uses: 1,
+      wait_time: 1,
+      is_unique: true,
+    }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.lnurl) {
+    throw new Error(`Withdraw service refused the link: ${data.reason || data.detail || `HTTP ${response.status}`}`);
+  }
+  return data;
+}
+
+/**
+ * Delete a withdraw link (LNbits withdraw extension API)
+ */
+async function deleteWithdrawLink(withdrawUrl, apiKey, id) {
+  const response = await fetch(`${withdrawUrl.replace(/\/+$/, "")}/withdraw/api/v1/links/${id}`, {
+    method: "DELETE",
+    headers: { "X-Api-Key": apiKey },
+  });
+  if (!response.ok) {
+    throw new Error(`Withdraw service refused to delete the link: HTTP ${response.status}`);
+  }
+}
+
+module.exports = { runPayouts };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const configPath = args.includes("--config") ? args[args.indexOf("--config") + 1] : null;
+
+  const { config, errors } = ConfigLoader.resolve({
+    defaults: SATSNAKE_CONFIG,
+    file: configPath ? JSON.parse(fs.readFileSync(configPath, "utf8")) : null,
+  });
+  if (!config.rewards.enabled) {
+    errors.push("rewards.enabled is false");
+  }
+  for (const name of ["SATSNAKE_PAYOUT_KEY", "SATSNAKE_WITHDRAW_URL", "SATSNAKE_WITHDRAW_API_KEY"]) {
+    if (!process.env[name]) errors.push(`${name} is not set`);
+  }
+  if (errors.length) {
+    console.error(`[Payouts] Can't run:\n- ${errors.join("\n- ")}`);
+    process.exit(1);
+  }
+
+  runPayouts({
+    config,
+    secretKey: process.env.SATSNAKE_PAYOUT_KEY,
+    withdrawUrl: process.env.SATSNAKE_WITHDRAW_URL,
+    apiKey: process.env.SATSNAKE_WITHDRAW_API_KEY,
+    dryRun: args.includes("--dry-run"),
+  }).then((result) => {
+    console.log(JSON.stringify(result, null, 2));
+  }).catch((error) => {
+    console.error(`[Payouts] ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * In-memory NIP-01 relay for the dev harness
+ * Stores every valid event it receives and fans them out to matching REQs
+ */
+
+const NostrCrypto = require('../js/nostr-crypto.js');
+const WebSocketConnection = require('./websocket-server.js');
+
+/**
+ * Check an event against a NIP-01 filter
+ */
+function matchesFilter(event, filter) {
+  if (filter.ids && !filter.ids.includes(event.id)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.since !== undefined && event.created_at < filter.since) return false;
+  if (filter.until !== undefined && event.created_at > filter.until) return false;
+
+  for (const [key, values] of Object.entries(filter)) {
+    if (key[0] !== '#' || key.length !== 2) continue;
+    const tagName = key[1];
+    const found = event.tags.some(t => t[0] === tagName && values.includes(t[1]));
+    if (!found) return false;
+  }
+  return true;
+}
+
+class DevRelay {
+  constructor() {
+    this.events = [];
+    this.clients = new Set();
+  }
+
+  /**
+   * Accept a WebSocket upgrade from the HTTP server
+   */
+  handleUpgrade(req, socket) {
+    const connection = WebSocketConnection.accept(req, socket);
+    if (!connection) return;
+
+    const client = { connection, subscriptions: new Map() };
+    this.clients.add(client);
+
+    connection.on('message', (text) => this.handleMessage(client, text));
+    connection.on('close', () => this.clients.delete(client));
+  }
+
+  handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      this.send(client, ["NOTICE", "invalid: message is not JSON"]);
+      return;
+    }
+    if (!Array.isArray(message)) return;
+
+    const [type, ...rest] = message;
+    switch (type) {
+      case "EVENT": {
+        const [event] = rest;
+        const result = this.publish(event);
+        this.send(client, ["OK", event && event.id, result.ok, result.reason || ""]);
+        break;
+      }
+      case "REQ": {
+        const [subId, ...filters] = rest;
+        client.subscriptions.set(subId, filters);
+        for (const event of this.query(filters)) {
+          this.send(client, ["EVENT", subId, event]);
+        }
+        this.send(client, ["EOSE", subId]);
+        break;
+      }
+      case "CLOSE":
+        client.subscriptions.delete(rest[0]);
+        break;
+      default:
+        this.send(client, ["NOTICE", `unsupported: ${type}`]);
+        break;
+    }
+  }
+
+  /**
+   * Store and broadcast an event (also used by the harness for receipts)
+   * @param {Object} event - Signed event
+   * @returns {{ok: boolean, reason?: string}}
+   */
+  publish(event) {
+    const check = NostrCrypto.verifyEvent(event);
+    if (!check.valid) {
+      return { ok: false, reason: `invalid: ${check.reason}` };
+    }
+    if (this.events.some(e => e.id === event.id)) {
+      return { ok: true, reason: "duplicate: already have this event" };
+    }
+
+    this.events.push(event);
+    for (const client of this.clients) {
+      for (const [subId, filters] of client.subscriptions) {
+        if (filters.some(f => matchesFilter(event, f))) {
+          this.send(client, ["EVENT", subId, event]);
+        }
+      }
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Stored events matching any of the filters, newest first
+   */
+  query(filters) {
+    const sorted = [...this.events].sort((a, b) => b.created_at - a.created_at);
+    const results = new Map();
+    for (const filter of filters) {
+      const matching = sorted.filter(e => matchesFilter(e, filter));
+      const limited = filter.limit !== undefined ? matching.slice(0, filter.limit) : matching;
+      for (const event of limited) results.set(event.id, event);
+    }
+    return [...results.values()];
+  }
+
+  send(client, message) {
+    client.connection.send(JSON.stringify(message));
+  }
+
+  /**
+   * Drop every client connection
+   */
+  close() {
+    for (const client of this.clients) {
+      client.connection.close();
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = { DevRelay, matchesFilter };
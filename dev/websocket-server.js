@@ -0,0 +1,158 @@
+/**
+ * Minimal RFC 6455 WebSocket server connection for the dev harness
+ * Text frames only - enough to speak NIP-01 without installing packages
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.open = true;
+
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('close', () => this.onClose());
+    socket.on('error', () => this.onClose());
+  }
+
+  /**
+   * Complete the HTTP upgrade handshake
+   * @param {http.IncomingMessage} req
+   * @param {net.Socket} socket
+   * @returns {WebSocketConnection|null}
+   */
+  static accept(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    return new WebSocketConnection(socket);
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const frame = this.readFrame();
+      if (!frame) return;
+      this.handleFrame(frame);
+    }
+  }
+
+  /**
+   * Pull one complete frame off the buffer, if there is one
+   */
+  readFrame() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buf.length < offset + maskLength + length) return null;
+
+    let payload = buf.subarray(offset + maskLength, offset + maskLength + length);
+    if (masked) {
+      const mask = buf.subarray(offset, offset + 4);
+      payload = Buffer.from(payload.map((b, i) => b ^ mask[i % 4]));
+    }
+
+    this.buffer = buf.subarray(offset + maskLength + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case 0x0: // continuation
+      case 0x1: // text
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.emit('message', message);
+        }
+        break;
+      case 0x8: // close
+        this.close();
+        break;
+      case 0x9: // ping
+        this.writeFrame(0xa, payload);
+        break;
+      default:
+        // Binary and pong frames are ignored
+        break;
+    }
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text
+   */
+  send(text) {
+    this.writeFrame(0x1, Buffer.from(text, 'utf8'));
+  }
+
+  writeFrame(opcode, payload) {
+    if (!this.open) return;
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  close() {
+    if (!this.open) return;
+    this.writeFrame(0x8, Buffer.alloc(0));
+    this.open = false;
+    this.socket.end();
+    this.emit('close');
+  }
+
+  onClose() {
+    if (!this.open) return;
+    this.open = false;
+    this.socket.destroy();
+    this.emit('close');
+  }
+}
+
+module.exports = WebSocketConnection;
@@ -0,0 +1,174 @@
+/**
+ * BOLT11 Invoice Decoder - Reads the fields SatSnake needs to validate zaps
+ * Spec: https://github.com/lightning/bolts/blob/master/11-payment-encoding.md
+ * Depends on lnurl.js (shared bech32 codec) being loaded first
+ */
+
+class Bolt11 {
+  /**
+   * Decode a BOLT11 payment request
+   * @param {string} invoice - lnbc... invoice (optionally lightning: prefixed)
+   * @returns {Object} Decoded invoice fields
+   */
+  static decode(invoice) {
+    if (typeof invoice !== "string" || !invoice) {
+      throw new Error("Invoice must be a non-empty string");
+    }
+
+    const request = Lnurl.stripScheme(invoice.trim());
+
+    const { prefix, words } = Lnurl.bech32Decode(request);
+
+    const hrpMatch = prefix.match(/^ln(bcrt|bc|tbs|tb|sb)(\d+[munp]?)?$/);
+    if (!hrpMatch) {
+      throw new Error(`Unknown invoice prefix: ${prefix}`);
+    }
+    const network = hrpMatch[1];
+    const amountMsats = hrpMatch[2] ? Bolt11.parseAmountMsats(hrpMatch[2]) : null;
+
+    // 104 words of signature (65 bytes) trail the data part
+    if (words.length < 7 + 104) {
+      throw new Error("Invoice data too short");
+    }
+    const dataWords = words.slice(0, words.length - 104);
+    const signature = Lnurl.fromWords(words.slice(words.length - 104), true);
+
+    const timestamp = Bolt11.wordsToInt(dataWords.slice(0, 7));
+    const decoded = {
+      prefix,
+      network,
+      amountMsats,
+      amountSats: amountMsats === null ? null : Math.floor(amountMsats / 1000),
+      timestamp,
+      expiry: 3600, // BOLT11 default when no x field is present
+      paymentHash: null,
+      paymentSecret: null,
+      description: null,
+      descriptionHash: null,
+      payeeNodeKey: null,
+      minFinalCltvExpiry: 18,
+      signature: Bolt11.bytesToHex(signature.slice(0, 64)),
+      recoveryFlag: signature[64],
+    };
+
+    let pos = 7;
+    while (pos < dataWords.length) {
+      if (pos + 3 > dataWords.length) {
+        throw new Error("Truncated tagged field");
+      }
+      const type = dataWords[pos];
+      const length = dataWords[pos + 1] * 32 + dataWords[pos + 2];
+      const fieldWords = dataWords.slice(pos + 3, pos + 3 + length);
+      if (fieldWords.length !== length) {
+        throw new Error("Truncated tagged field");
+      }
+      pos += 3 + length;
+
+      switch (Lnurl.CHARSET[type]) {
+        case "p":
+          // Readers must skip p/h/s fields that are not exactly 52 words
+          if (length === 52) {
+            decoded.paymentHash = Bolt11.bytesToHex(Lnurl.fromWords(fieldWords, false));
+          }
+          break;
+        case "s":
+          if (length === 52) {
+            decoded.paymentSecret = Bolt11.bytesToHex(Lnurl.fromWords(fieldWords, false));
+          }
+          break;
+        case "h":
+          if (length === 52) {
+            decoded.descriptionHash = Bolt11.bytesToHex(Lnurl.fromWords(fieldWords, false));
+          }
+          break;
+        case "d":
+          decoded.description = new TextDecoder().decode(Lnurl.fromWords(fieldWords, false));
+          break;
+        case "n":
+          if (length === 53) {
+            decoded.payeeNodeKey = Bolt11.bytesToHex(Lnurl.fromWords(fieldWords, false));
+          }
+          break;
+        case "x":
+          decoded.expiry = Bolt11.wordsToInt(fieldWords);
+          break;
+        case "c":
+          decoded.minFinalCltvExpiry = Bolt11.wordsToInt(fieldWords);
+          break;
+        default:
+          // Unknown fields are ignored, as the spec requires
+          break;
+      }
+    }
+
+    if (!decoded.paymentHash) {
+      throw new Error("Invoice has no payment hash");
+    }
+
+    decoded.expiresAt = decoded.timestamp + decoded.expiry;
+    return decoded;
+  }
+
+  /**
+   * Check whether a decoded invoice has expired
+   * @param {Object} decoded - Result of Bolt11.decode
+   * @param {number} [nowSeconds] - Current unix time
+   * @returns {boolean}
+   */
+  static isExpired(decoded, nowSeconds = Math.floor(Date.now() / 1000)) {
+    return nowSeconds > decoded.expiresAt;
+  }
+
+  /**
+   * Convert a human-readable amount (e.g. "2500u") to millisatoshis
+   * @param {string} amount - Digits with an optional m/u/n/p multiplier
+   * @returns {number}
+   */
+  static parseAmountMsats(amount) {
+    const match = amount.match(/^(\d+)([munp]?)$/);
+    if (!match || /^0\d/.test(match[1])) {
+      throw new Error(`Invalid invoice amount: ${amount}`);
+    }
+
+    const value = BigInt(match[1]);
+    // 1 BTC = 100,000,000,000 msat
+    let msats;
+    switch (match[2]) {
+      case "m": msats = value * 100000000n; break;
+      case "u": msats = value * 100000n; break;
+      case "n": msats = value * 100n; break;
+      case "p":
+        if (value % 10n !== 0n) {
+          throw new Error("Pico amount must be a multiple of 10");
+        }
+        msats = value / 10n;
+        break;
+      default: msats = value * 100000000000n; break;
+    }
+
+    if (msats > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error("Invoice amount too large");
+    }
+    return Number(msats);
+  }
+
+  /**
+   * Read 5-bit words as a big-endian unsigned integer
+   */
+  static wordsToInt(words) {
+    let value = 0;
+    for (const w of words) {
+      value = value * 32 + w;
+    }
+    return value;
+  }
+
+  static bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bolt11;
+}
@@ -0,0 +1,498 @@
+/**
+ * Config Loader - Resolves SATSNAKE_CONFIG from layered sources
+ * Later sources override earlier ones:
+ *   1. Defaults in js/config.js
+ *   2. A JSON file named by data-config-url on the canvas
+ *   3. data-* attributes on the canvas (data-min-payment-sats="200")
+ *   4. URL query parameters (?gameDuration=60000 or ?game-duration=60000)
+ * The result is validated against ConfigLoader.SCHEMA and written back into
+ * SATSNAKE_CONFIG, so every module reads the same resolved values.
+ * Depends on config.js and lnurl.js being loaded first
+ */
+
+class ConfigLoader {
+  /**
+   * Every setting a source may change
+   * query: false keeps a setting out of the URL, so a shared link can't
+   * send someone's payment to a different recipient, lower the price or
+   * swap the relays receipts are read from
+   */
+  static SCHEMA = {
+    recipientLightningAddress: { type: "recipient", query: false },
+    recipients: { type: "recipients", query: false },
+    splitConfirmation: { type: "enum", values: ["all", "primary"] },
+    recipientNostrPubkey: { type: "pubkey", query: false },
+    minPaymentSats: { type: "integer", min: 1, query: false },
+    gamePriceSats: { type: "integer", min: 0, query: false },
+    relays: { type: "relays", minItems: 1, query: false },
+    maxRelays: { type: "integer", min: 1 },
+    zapReceiptTimeout: { type: "integer", min: 1000 },
+    confirmationStrategy: { type: "enum", values: ["zap", "verify", "first"], query: false },
+    verifyPollInterval: { type: "integer", min: 250 },
+    relayTimeout: { type: "integer", min: 500 },
+    relayReconnectDelay: { type: "integer", min: 100 },
+    relayMaxReconnectDelay: { type: "integer", min: 100 },
+    nwcRequestTimeout: { type: "integer", min: 1000 },
+    devHarnessUrl: { type: "httpUrl", query: false },
+    gameDuration: { type: "integer", min: 0, query: false },
+    passGracePeriod: { type: "integer", min: 0, query: false },
+    "board.width": { type: "integer", min: 5, max: 100 },
+    "board.height": { type: "integer", min: 5, max: 100 },
+    "controls.keys.up": { type: "keys" },
+    "controls.keys.down": { type: "keys" },
+    "controls.keys.left": { type: "keys" },
+    "controls.keys.right": { type: "keys" },
+    "controls.swipeThreshold": { type: "integer", min: 5 },
+    "controls.dpad": { type: "enum", values: ["auto", "always", "never"] },
+    "controls.gamepad": { type: "boolean" },
+    "modes.available": { type: "modes", values: ["classic", "wrap", "obstacles", "speed"] },
+    "modes.default": { type: "enum", values: ["classic", "wrap", "obstacles", "speed"] },
+    "modes.prices": { type: "prices", values: ["classic", "wrap", "obstacles", "speed"], query: false },
+    "modes.levelsUrl": { type: "string", query: false },
+    "continues.enabled": { type: "boolean", query: false },
+    "continues.priceSats": { type: "integer", min: 1, query: false },
+    "continues.windowSeconds": { type: "integer", min: 5, query: false },
+    "continues.maxPerRun": { type: "integer", min: 0, query: false },
+    "rewards.enabled": { type: "boolean" },
+    "rewards.revenueShare": { type: "fraction" },
+    "rewards.period": { type: "enum", values: ["daily", "weekly"] },
+    "rewards.weights": { type: "weights" },
+    "rewards.operatorPubkey": { type: "pubkey", query: false },
+    "ui.showQrCode": { type: "boolean" },
+    "ui.showPaymentAmount": { type: "boolean" },
+    "ui.showRelayStatus": { type: "boolean" },
+  };
+
+  /**
+   * Resolve, validate and apply the configuration
+   * @param {Object} options
+   * @param {Object} [options.config] - Defaults; updated in place (SATSNAKE_CONFIG)
+   * @param {HTMLElement} [options.canvas] - Element carrying data-* settings
+   * @param {string} [options.search] - Query string (default: location.search)
+   * @returns {Promise<Object>} The resolved config
+   * @throws {Error} With an errors array when any setting is invalid
+   */
+  static async load({ config = SATSNAKE_CONFIG, canvas = null, search = null } = {}) {
+    const dataset = canvas && canvas.dataset ? { ...canvas.dataset } : {};
+    const query = search !== null
+      ? search
+      : (typeof location !== 'undefined' ? location.search : '');
+
+    let file = null;
+    const errors = [];
+    if (dataset.configUrl) {
+      try {
+        file = await ConfigLoader.fetchFile(dataset.configUrl);
+      } catch (error) {
+        errors.push(`Config file ${dataset.configUrl}: ${error.message}`);
+      }
+    }
+    delete dataset.configUrl;
+
+    const result = ConfigLoader.resolve({
+      defaults: config,
+      file,
+      dataset,
+      query: new URLSearchParams(query),
+    });
+    errors.push(...result.errors);
+    for (const warning of result.warnings) {
+      console.warn(`[Config] ${warning}`);
+    }
+
+    if (errors.length) {
+      const error = new Error(`Invalid SatSnake configuration:\n- ${errors.join("\n- ")}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    // Write back so modules holding SATSNAKE_CONFIG see the resolved values
+    for (const path of Object.keys(ConfigLoader.SCHEMA)) {
+      ConfigLoader.setPath(config, path, ConfigLoader.getPath(result.config, path));
+    }
+    console.log("[Config] Configuration resolved");
+    return config;
+  }
+
+  /**
+   * Fetch and parse the JSON config file
+   */
+  static async fetchFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error("must contain a JSON object");
+    }
+    return data;
+  }
+
+  /**
+   * Merge the sources over the defaults and validate the result
+   * @param {Object} sources
+   * @param {Object} sources.defaults - Default config
+   * @param {Object} [sources.file] - Parsed JSON file (typed values)
+   * @param {Object} [sources.dataset] - Canvas dataset (strings)
+   * @param {URLSearchParams} [sources.query] - URL query (strings)
+   * @returns {{config: Object, errors: string[], warnings: string[]}}
+   */
+  static resolve({ defaults, file = null, dataset = {}, query = new URLSearchParams() }) {
+    const config = JSON.parse(JSON.stringify(defaults));
+    const errors = [];
+    const warnings = [];
+    const keys = ConfigLoader.keyIndex();
+
+    // JSON file: nested like config.js; unknown keys are mistakes
+    if (file) {
+      for (const [path, value] of ConfigLoader.flatten(file)) {
+        if (!ConfigLoader.SCHEMA[path]) {
+          errors.push(`Config file: unknown setting "${path}"`);
+          continue;
+        }
+        ConfigLoader.setPath(config, path, value);
+      }
+    }
+
+    // Canvas data-* and URL query: strings, other attributes/params are ignored
+    const stringSources = [
+      ["Canvas data attribute", Object.entries(dataset)],
+      ["URL query", [...query.entries()]],
+    ];
+    for (const [source, entries] of stringSources) {
+      for (const [name, raw] of entries) {
+        const path = keys.get(ConfigLoader.normalizeKey(name));
+        if (!path) continue;
+        const rule = ConfigLoader.SCHEMA[path];
+        if (source === "URL query" && rule.query === false) {
+          warnings.push(`${path} can't be set from the URL - ignored`);
+          continue;
+        }
+        const parsed = ConfigLoader.fromString(raw, rule);
+        if (parsed.error) {
+          errors.push(`${source} ${name}: ${parsed.error}`);
+          continue;
+        }
+        ConfigLoader.setPath(config, path, parsed.value);
+      }
+    }
+
+    errors.push(...ConfigLoader.validate(config));
+    return { config, errors, warnings };
+  }
+
+  /**
+   * Check every setting against the schema, normalizing where it can
+   * (e.g. an npub becomes a hex pubkey)
+   * @param {Object} config - Config to check (updated in place)
+   * @returns {string[]} Error messages
+   */
+  static validate(config) {
+    const errors = [];
+    for (const [path, rule] of Object.entries(ConfigLoader.SCHEMA)) {
+      const result = ConfigLoader.check(ConfigLoader.getPath(config, path), rule, config);
+      if (result.error) {
+        errors.push(`${path} ${result.error}`);
+      } else {
+        ConfigLoader.setPath(config, path, result.value);
+      }
+    }
+
+    if (config.relayMaxReconnectDelay < config.relayReconnectDelay) {
+      errors.push("relayMaxReconnectDelay must not be below relayReconnectDelay");
+    }
+    const steering = new Map();
+    for (const [direction, keys] of Object.entries(config.controls.keys)) {
+      for (const key of Array.isArray(keys) ? keys.filter(k => typeof k === 'string') : []) {
+        const name = key.length === 1 ? key.toLowerCase() : key;
+        if (!steering.has(name)) {
+          steering.set(name, direction);
+        } else if (steering.get(name) !== direction) {
+          errors.push(`controls.keys: "${key}" can't steer both ${steering.get(name)} and ${direction}`);
+        }
+      }
+    }
+    if (Array.isArray(config.modes.available) && !config.modes.available.includes(config.modes.default)) {
+      errors.push("modes.default must be one of modes.available");
+    }
+    if (config.rewards.enabled && !config.rewards.operatorPubkey) {
+      errors.push("rewards.operatorPubkey is required when rewards are enabled");
+    }
+    return errors;
+  }
+
+  /**
+   * Check one value
+   * @returns {{value?: *, error?: string}}
+   */
+  static check(value, rule, config) {
+    const show = JSON.stringify(value);
+    switch (rule.type) {
+      case "integer":
+        if (!Number.isInteger(value) || value < rule.min) {
+          return { error: `must be a whole number of at least ${rule.min} (got ${show})` };
+        }
+        if (rule.max !== undefined && value > rule.max) {
+          return { error: `must be a whole number of at most ${rule.max} (got ${show})` };
+        }
+        return { value };
+
+      case "boolean":
+        return typeof value === 'boolean'
+          ? { value }
+          : { error: `must be true or false (got ${show})` };
+
+      case "enum":
+        return rule.values.includes(value)
+          ? { value }
+          : { error: `must be one of ${rule.values.join(", ")} (got ${show})` };
+
+      case "fraction":
+        return typeof value === 'number' && value >= 0 && value <= 1
+          ? { value }
+          : { error: `must be a number from 0 to 1 (got ${show})` };
+
+      case "weights":
+        return Array.isArray(value) && value.length &&
+          value.every(weight => typeof weight === 'number' && weight > 0)
+          ? { value }
+          : { error: `must list at least one positive number (got ${show})` };
+
+      case "modes":
+        return Array.isArray(value) && value.length && new Set(value).size === value.length &&
+          value.every(mode => rule.values.includes(mode))
+          ? { value }
+          : { error: `must list one or more of ${rule.values.join(", ")} (got ${show})` };
+
+      case "prices":
+        return value && typeof value === 'object' && !Array.isArray(value) &&
+          Object.entries(value).every(([mode, sats]) => rule.values.includes(mode) && Number.isInteger(sats) && sats >= 1)
+          ? { value }
+          : { error: `must map modes (${rule.values.join(", ")}) to whole numbers of sats (got ${show})` };
+
+      case "keys":
+        return Array.isArray(value) && value.length &&
+          value.every(key => typeof key === 'string' && key.length > 0)
+          ? { value }
+          : { error: `must list one or more key names (got ${show})` };
+
+      case "string":
+        return typeof value === 'string'
+          ? { value }
+          : { error: `must be text (got ${show})` };
+
+      case "recipient":
+        return ConfigLoader.isRecipient(value)
+          ? { value: value.trim() }
+          : { error: `must be a Lightning Address, LNURL or lightning: URI (got ${show})` };
+
+      case "recipients":
+        return ConfigLoader.checkRecipients(value);
+
+      case "pubkey":
+        return ConfigLoader.checkPubkey(value);
+
+      case "relays": {
+        if (!Array.isArray(value) || value.length < (rule.minItems || 0)) {
+          return { error: `must list at least ${rule.minItems} relay URL` };
+        }
+        const bad = value.filter(url => !ConfigLoader.isRelayUrl(url, config));
+        return bad.length
+          ? { error: `must be wss:// URLs (ws:// only for localhost or the dev harness): ${bad.join(", ")}` }
+          : { value };
+      }
+
+      case "httpUrl":
+        if (value === "") return { value };
+        try {
+          if (/^https?:$/.test(new URL(value).protocol)) return { value };
+        } catch (error) {
+          // Falls through to the error below
+        }
+        return { error: `must be an http(s) URL or empty (got ${show})` };
+
+      default:
+        return { value };
+    }
+  }
+
+  static isRecipient(value) {
+    if (typeof value !== 'string' || !value.trim()) return false;
+    try {
+      Lnurl.resolvePayUrl(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static checkRecipients(value) {
+    if (!Array.isArray(value)) {
+      return { error: "must be a list of { lightningAddress, weight, primary }" };
+    }
+    for (const [i, recipient] of value.entries()) {
+      if (!recipient || !ConfigLoader.isRecipient(recipient.lightningAddress)) {
+        return { error: `[${i}].lightningAddress must be a Lightning Address, LNURL or lightning: URI` };
+      }
+      if (recipient.weight !== undefined && !(typeof recipient.weight === 'number' && recipient.weight >= 0)) {
+        return { error: `[${i}].weight must be a number of at least 0` };
+      }
+      if (recipient.primary !== undefined && typeof recipient.primary !== 'boolean') {
+        return { error: `[${i}].primary must be true or false` };
+      }
+    }
+    return { value };
+  }
+
+  /**
+   * Accept a hex pubkey or an npub (converted to hex); empty means "resolve it"
+   */
+  static checkPubkey(value) {
+    if (value === "") return { value };
+    if (typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value)) {
+      return { value: value.toLowerCase() };
+    }
+    if (typeof value === 'string' && /^npub1/i.test(value)) {
+      try {
+        const { prefix, words } = Lnurl.bech32Decode(value);
+        const bytes = Lnurl.fromWords(words, true);
+        if (prefix === "npub" && bytes.length === 32) {
+          return { value: [...bytes].map(b => b.toString(16).padStart(2, '0')).join('') };
+        }
+      } catch (error) {
+        return { error: `is not a valid npub (${error.message})` };
+      }
+    }
+    return { error: `must be a 64-character hex pubkey, an npub or empty (got ${JSON.stringify(value)})` };
+  }
+
+  static isRelayUrl(url, config) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol === 'wss:') return true;
+      const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+      return parsed.protocol === 'ws:' && (local || Boolean(config.devHarnessUrl));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Turn a data-* or query string into the schema's type
+   * Lists are comma-separated; recipients and prices are JSON
+   * @returns {{value?: *, error?: string}}
+   */
+  static fromString(raw, rule) {
+    const text = String(raw).trim();
+    switch (rule.type) {
+      case "integer":
+        return /^-?\d+$/.test(text)
+          ? { value: parseInt(text, 10) }
+          : { error: `expected a whole number, got "${text}"` };
+      case "boolean":
+        if (/^(true|1|yes|on)$/i.test(text)) return { value: true };
+        if (/^(false|0|no|off)$/i.test(text)) return { value: false };
+        return { error: `expected true or false, got "${text}"` };
+      case "fraction":
+        return /^\d*\.?\d+$/.test(text)
+          ? { value: parseFloat(text) }
+          : { error: `expected a number from 0 to 1, got "${text}"` };
+      case "relays":
+      case "modes":
+      case "keys":
+        return { value: text.split(",").map(item => item.trim()).filter(Boolean) };
+      case "weights":
+        return { value: text.split(",").map(weight => Number(weight.trim())) };
+      case "recipients":
+        try {
+          return { value: JSON.parse(text) };
+        } catch (error) {
+          return { error: "expected a JSON list of recipients" };
+        }
+      case "prices":
+        try {
+          return { value: JSON.parse(text) };
+        } catch (error) {
+          return { error: 'expected JSON like {"obstacles": 150}' };
+        }
+      default:
+        return { value: text };
+    }
+  }
+
+  /**
+   * Map every accepted spelling of a setting to its path:
+   * minPaymentSats, min-payment-sats, min_payment_sats, ui.showQrCode, ui-show-qr-code
+   */
+  static keyIndex() {
+    const index = new Map();
+    for (const path of Object.keys(ConfigLoader.SCHEMA)) {
+      index.set(ConfigLoader.normalizeKey(path), path);
+    }
+    return index;
+  }
+
+  static normalizeKey(name) {
+    return String(name).replace(/[-_.]/g, "").toLowerCase();
+  }
+
+  /**
+   * [path, value] pairs for a nested object, stopping at arrays, values and
+   * settings that are objects themselves (modes.prices)
+   */
+  static flatten(object, prefix = "") {
+    const entries = [];
+    for (const [key, value] of Object.entries(object)) {
+      const path = prefix + key;
+      if (value && typeof value === 'object' && !Array.isArray(value) && !ConfigLoader.SCHEMA[path]) {
+        entries.push(...ConfigLoader.flatten(value, `${path}.`));
+      } else {
+        entries.push([path, value]);
+      }
+    }
+    return entries;
+  }
+
+  static getPath(object, path) {
+    return path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), object);
+  }
+
+  static setPath(object, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    let node = object;
+    for (const key of keys) {
+      if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+      node = node[key];
+    }
+    node[last] = value;
+  }
+
+  /**
+   * Show configuration errors on the page
+   * @param {Error} error - From load()
+   * @param {HTMLElement} [container]
+   */
+  static report(error, container = document.body) {
+    console.error("[Config]", error.message);
+    const box = document.createElement('div');
+    box.className = 'config-errors';
+    const heading = document.createElement('p');
+    heading.textContent = 'SatSnake is misconfigured:';
+    box.appendChild(heading);
+    const list = document.createElement('ul');
+    for (const message of error.errors || [error.message]) {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    }
+    box.appendChild(list);
+    container.appendChild(box);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigLoader;
+}
@@ -3,15 +3,32 @@
  */
 const SATSNAKE_CONFIG = {
   // Lightning Address to receive zaps
+  // An LNURL (LNURL1...) or lightning: URI for the recipient also works
   recipientLightningAddress: "mustardmoose1@primal.net",
   
+  // Split each payment between several recipients (NIP-57 zap splits), e.g.
+  // [{ lightningAddress: "dev@example.com", weight: 70, primary: true },
+  //  { lightningAddress: "artist@example.com", weight: 30 }]
+  // Each share is paid as its own zap; leave empty to pay only the address above
+  recipients: [],
+  
+  // Which zap receipts a split payment needs before unlocking:
+  // "all" - every recipient's share, "primary" - the primary recipient's share
+  splitConfirmation: "all",
+  
   // Nostr pubkey of the lightning address owner (you'll get this from Primal)
-  // This can be derived from the Lightning Address via LUD-16 lookup
-  recipientNostrPubkey: "", // Will be populated dynamically
+  // Zaps are addressed to it. Left empty, the LNURL server's nostrPubkey
+  // (LUD-16 lookup) stands in; that key only ever signs the receipts
+  recipientNostrPubkey: "",
   
   // Minimum amount to unlock game (in satoshis)
   minPaymentSats: 100,
   
+  // Price of one game from prepaid credit (in satoshis)
+  // When set, payments top up a credit balance (any amount from
+  // minPaymentSats) and each new game is paid from it. 0 = pay per unlock
+  gamePriceSats: 0,
+  
   // Nostr relays to listen for zap receipts
   relays: [
     "wss://relay.damus.io",
@@ -20,16 +37,106 @@ const SATSNAKE_CONFIG = {
     "wss://relay.nostr.band",
   ],
   
+  // The recipient's own relays (NIP-65) are added to the configured ones,
+  // up to this many in total
+  maxRelays: 8,
+  
+  // Relays put in the zap request and watched for receipts
+  zapRelays: [], // Will be populated dynamically
+  
   // How long to wait for a zap receipt after payment (milliseconds)
   zapReceiptTimeout: 60000, // 60 seconds
   
+  // How payments are confirmed:
+  // "zap"    - kind 9735 zap receipt on Nostr relays (NIP-57)
+  // "verify" - poll the LNURL callback's verify URL (LUD-21)
+  // "first"  - whichever of the two confirms first
+  confirmationStrategy: "first",
+  
+  // How often to poll a LUD-21 verify URL (milliseconds)
+  verifyPollInterval: 2000,
+  
   // Relay connection timeout
   relayTimeout: 5000,
   
+  // Dropped relays are retried after 1s, 2s, 4s ... up to this ceiling
+  relayReconnectDelay: 1000,
+  relayMaxReconnectDelay: 60000,
+  
+  // How long to wait for a Nostr Wallet Connect (NIP-47) response
+  nwcRequestTimeout: 30000, // 30 seconds
+  
+  // Offline development: origin of the local harness (node dev/harness.js),
+  // e.g. "http://localhost:8787". Replaces the LNURL host and the relays.
+  devHarnessUrl: "",
+  
   // Game duration after payment (milliseconds)
-  // Set to 0 for unlimited
+  // Set to 0 for unlimited, e.g. 600000 sells 10 minute passes
   gameDuration: 0,
   
+  // When a pass runs out mid-round, the round may continue this long
+  // before the game locks (milliseconds)
+  passGracePeriod: 30000,
+  
+  // Board size in cells for modes without a level of their own; the board
+  // is scaled to fit the canvas at the screen's pixel density
+  board: {
+    width: 20,
+    height: 20,
+  },
+  
+  // How the snake is steered. keys lists the keys for each direction (key
+  // names as in KeyboardEvent.key; letters match either case). Swipes on
+  // the board turn once they travel swipeThreshold CSS pixels. dpad shows
+  // on-screen arrows: "auto" (touch screens), "always" or "never". gamepad
+  // reads the d-pad and left stick of connected controllers
+  controls: {
+    keys: {
+      up: ["ArrowUp", "w"],
+      down: ["ArrowDown", "s"],
+      left: ["ArrowLeft", "a"],
+      right: ["ArrowRight", "d"],
+    },
+    swipeThreshold: 30,
+    dpad: "auto",
+    gamepad: true,
+  },
+  
+  // Game modes the player can pick, each with its own leaderboard:
+  // "classic", "wrap" (no walls), "obstacles" (one choice per level in
+  // levelsUrl) and "speed" (faster ticks, more points per food).
+  // prices sets a mode's price in sats, e.g. { obstacles: 150 }; modes
+  // without one cost minPaymentSats (gamePriceSats in credit mode)
+  modes: {
+    available: ["classic", "wrap", "obstacles", "speed"],
+    default: "classic",
+    prices: {},
+    levelsUrl: "levels/levels.json",
+  },
+  
+  // "Zap to continue": when the snake dies, offer to pay priceSats within
+  // windowSeconds to carry on the same run with the score kept, at most
+  // maxPerRun times per run. Paid with the same invoice and receipt checks
+  // as unlocking
+  continues: {
+    enabled: true,
+    priceSats: 21,
+    windowSeconds: 30,
+    maxPerRun: 2,
+  },
+  
+  // Rewards: each period, a share of the game's zap revenue goes back to
+  // the best verified scores as LNURL-withdraw vouchers. The operator runs
+  // dev/payouts.js after the period ends; players see their vouchers on the
+  // leaderboard when enabled
+  rewards: {
+    enabled: false,
+    revenueShare: 0.2, // 0..1 of the period's revenue
+    period: "weekly", // "daily" or "weekly" (Monday 00:00 UTC)
+    weights: [50, 30, 20], // 1st, 2nd, 3rd ... place
+    operatorPubkey: "", // Key that signs vouchers (hex or npub)
+  },
+  
   // Display settings
   ui: {
     showQrCode: true,
@@ -0,0 +1,145 @@
+/**
+ * Credit Ledger - Prepaid sat balance for SatSnake
+ * Every top-up is recorded under the receipt that paid for it (zap receipt
+ * event id or invoice payment hash), so a payment credits at most once and
+ * the balance can always be traced back to the payments that funded it
+ * Depends on zap-replay-store.js being loaded first
+ */
+
+class CreditLedger {
+  constructor(storageKey = "satsnake:credits") {
+    this.storageKey = storageKey;
+    this.storage = ZapReplayStore.getStorage();
+    this.state = this.load();
+  }
+
+  /**
+   * Add a top-up to the balance
+   * @param {string} receiptId - Zap receipt event id, or the payment hash
+   * @param {number} amountSats - Amount paid
+   * @param {Object} [details]
+   * @param {string} [details.source] - 'zap' | 'verify' | 'webln'
+   * @param {string} [details.paymentHash] - Invoice payment hash
+   * @param {string} [details.sessionId] - Session of the payment (seeds its games)
+   * @returns {boolean} False if this receipt or invoice was already credited
+   */
+  credit(receiptId, amountSats, { source = null, paymentHash = null, sessionId = null } = {}) {
+    if (!receiptId || !(amountSats > 0)) return false;
+
+    // Another tab may have credited or spent since we loaded
+    this.state = this.load();
+    const duplicate = this.state.credits.some(c =>
+      c.receiptId === receiptId || (paymentHash && c.paymentHash === paymentHash)
+    );
+    if (duplicate) return false;
+
+    this.state.credits.push({
+      receiptId,
+      paymentHash,
+      amountSats,
+      source,
+      sessionId,
+      creditedAt: Date.now(),
+    });
+    this.save();
+    console.log(`[Credits] +${amountSats} sats (balance ${this.balance()} sats)`);
+    return true;
+  }
+
+  /**
+   * Pay for one game from the balance
+   * @param {number} priceSats - Price of a game
+   * @returns {boolean} Whether the balance covered it
+   */
+  charge(priceSats) {
+    this.state = this.load();
+    if (this.balance() < priceSats) return false;
+
+    this.state.spentSats += priceSats;
+    this.state.gamesPlayed++;
+    this.save();
+    console.log(`[Credits] -${priceSats} sats (balance ${this.balance()} sats)`);
+    return true;
+  }
+
+  /**
+   * The top-up that pays for the next game: credits are spent oldest first
+   * @param {number} priceSats - Price of a game
+   * @returns {{credit: Object, game: number}|null} The credit, and how many
+   *   games it paid for before this one; null when the balance is empty
+   */
+  funding(priceSats) {
+    this.state = this.load();
+    let start = 0;
+    for (const credit of this.state.credits) {
+      const end = start + credit.amountSats;
+      if (this.state.spentSats < end) {
+        const spent = Math.max(0, this.state.spentSats - start);
+        return { credit, game: priceSats > 0 ? Math.floor(spent / priceSats) : 0 };
+      }
+      start = end;
+    }
+    return null;
+  }
+
+  /**
+   * Sats left: everything credited minus everything spent
+   */
+  balance() {
+    const credited = this.state.credits.reduce((sum, c) => sum + c.amountSats, 0);
+    return Math.max(0, credited - this.state.spentSats);
+  }
+
+  /**
+   * How many games the balance pays for
+   */
+  gamesLeft(priceSats) {
+    return priceSats > 0 ? Math.floor(this.balance() / priceSats) : 0;
+  }
+
+  /**
+   * Receipt ids that funded the balance
+   */
+  receiptIds() {
+    return this.state.credits.map(c => c.receiptId);
+  }
+
+  /**
+   * Load the ledger from storage
+   * @returns {{credits: Array, spentSats: number, gamesPlayed: number}}
+   */
+  load() {
+    const empty = { credits: [], spentSats: 0, gamesPlayed: 0 };
+    if (!this.storage) return this.state || empty;
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (!parsed || !Array.isArray(parsed.credits)) return empty;
+      return {
+        credits: parsed.credits.filter(c => c && c.receiptId && c.amountSats > 0),
+        spentSats: Number(parsed.spentSats) || 0,
+        gamesPlayed: Number(parsed.gamesPlayed) || 0,
+      };
+    } catch (error) {
+      console.warn("[Credits] Could not read ledger:", error);
+      return empty;
+    }
+  }
+
+  /**
+   * Write the ledger to storage
+   */
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+    } catch (error) {
+      console.warn("[Credits] Could not persist ledger:", error);
+    }
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CreditLedger;
+}
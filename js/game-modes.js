@@ -0,0 +1,293 @@
+/**
+ * Game Modes - The rule sets a player can pick, and the levels they use
+ *   classic    walls kill, 10 points per food
+ *   wrap       no walls: leaving one edge enters at the opposite one
+ *   obstacles  a level's obstacle cells kill like walls (levels/levels.json)
+ *   speed      the tick interval shrinks and food is worth more as you eat
+ * Every mode drops bonus "sat" pellets from SPAWN_TABLE, and plays on the
+ * board size in SATSNAKE_CONFIG.board unless a level sets its own.
+ * A mode is only data for SnakeEngine (state.rules). Each mode, and each
+ * level of the obstacle mode, is its own leaderboard, keyed by key(rules):
+ * "classic", "wrap", "speed", "obstacles:<level id>".
+ *
+ * Level format: { "levels": [{ "id", "name", "rows": [...] }] }, one string
+ * per board row of equal length:
+ *   #  obstacle
+ *   S  spawn (exactly one); the snake starts and revives here heading
+ *      right, so the rest of its row must be free
+ *   F  first food (optional)
+ *   .  free cell
+ * Depends on snake-engine.js being loaded first
+ */
+
+class GameModes {
+  static MODES = {
+    classic: { name: "Classic", rules: {} },
+    wrap: { name: "Wrap-around", rules: { wrap: true, foodPoints: 5 } },
+    obstacles: { name: "Obstacles", levels: true, rules: { foodPoints: 15 } },
+    speed: { name: "Speed-up", rules: { speedBonus: 2, speedUp: { step: 5, min: 50 } } },
+  };
+
+  // Bonus pellets of every mode (SnakeEngine rules.spawnTable): a 50 point
+  // sat that shows up after 15% of meals and is gone after 40 ticks
+  static SPAWN_TABLE = [
+    { type: "sat", points: 50, chance: 0.15, ttl: 40, max: 1 },
+  ];
+
+  // Level id -> parsed level, in file order
+  static levels = new Map();
+
+  /**
+   * Fetch and register a level file
+   * @param {string} url
+   * @returns {Promise<number>} Levels registered (0 when the file is unusable)
+   */
+  static async loadLevels(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return GameModes.registerLevels(await response.json());
+    } catch (error) {
+      console.warn(`[Modes] Could not load levels from ${url}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Register every level in a parsed level file
+   * @param {Object} file - { levels: [...] }
+   * @returns {number} Levels registered
+   * @throws {Error} When a level is malformed (none are registered then)
+   */
+  static registerLevels(file) {
+    if (!file || !Array.isArray(file.levels)) {
+      throw new Error("A level file needs a levels list");
+    }
+    const parsed = file.levels.map(level => GameModes.parseLevel(level));
+    for (const level of parsed) {
+      GameModes.levels.set(level.id, level);
+    }
+    return parsed.length;
+  }
+
+  /**
+   * Turn a level's rows into board size, obstacles, spawn and first food
+   * @throws {Error} On anything the format doesn't allow
+   */
+  static parseLevel({ id, name, rows }) {
+    if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Level ids are lowercase letters, digits and dashes (got ${JSON.stringify(id)})`);
+    }
+    if (!Array.isArray(rows) || !rows.length || !rows.every(row => typeof row === 'string' && row.length === rows[0].length)) {
+      throw new Error(`Level ${id}: rows must be strings of equal length`);
+    }
+
+    const obstacles = [];
+    const spawns = [];
+    let food = null;
+    rows.forEach((row, y) => {
+      [...row].forEach((cell, x) => {
+        if (cell === "#") {
+          obstacles.push({ x, y });
+        } else if (cell === "S") {
+          spawns.push({ x, y });
+        } else if (cell === "F") {
+          if (food) throw new Error(`Level ${id}: more than one first food (F)`);
+          food = { x, y };
+        } else if (cell !== ".") {
+          throw new Error(`Level ${id}: unknown cell "${cell}" at ${x},${y}`);
+        }
+      });
+    });
+
+    if (spawns.length !== 1) {
+      throw new Error(`Level ${id}: needs exactly one spawn (S), found ${spawns.length}`);
+    }
+    const [spawn] = spawns;
+    if (rows[spawn.y].slice(spawn.x + 1).includes("#")) {
+      throw new Error(`Level ${id}: the row right of the spawn must be free`);
+    }
+
+    return {
+      id,
+      name: typeof name === 'string' && name.trim() ? name.trim() : id,
+      width: rows[0].length,
+      height: rows.length,
+      obstacles,
+      spawn,
+      food,
+    };
+  }
+
+  /**
+   * Engine rules for a mode
+   * @param {string} mode - Key of MODES
+   * @param {string} [levelId] - Obstacle mode: level id (default: the first level)
+   * @returns {Object|null} Full rules, or null for an unknown mode or level
+   */
+  static rules(mode, levelId = null) {
+    const definition = GameModes.MODES[mode];
+    if (!definition) return null;
+
+    const rules = {
+      ...SnakeEngine.DEFAULT_RULES,
+      spawnTable: GameModes.SPAWN_TABLE,
+      ...definition.rules,
+      mode,
+    };
+    if (definition.levels) {
+      const level = GameModes.level(levelId);
+      if (!level) return null;
+      Object.assign(rules, {
+        level: level.id,
+        obstacles: level.obstacles,
+        spawn: level.spawn,
+        food: level.food,
+      });
+    } else if (levelId) {
+      return null;
+    }
+    return rules;
+  }
+
+  /**
+   * Engine rules for a leaderboard key ("wrap", "obstacles:pillars", ...)
+   * @returns {Object|null}
+   */
+  static rulesFor(key) {
+    const [mode, levelId = null] = String(key).split(":");
+    return GameModes.rules(mode, levelId);
+  }
+
+  /**
+   * Leaderboard key of a set of rules
+   */
+  static key(rules) {
+    return rules.level ? `${rules.mode}:${rules.level}` : rules.mode;
+  }
+
+  /**
+   * A registered level; the first one when no id is given
+   */
+  static level(levelId = null) {
+    return levelId
+      ? GameModes.levels.get(levelId) || null
+      : GameModes.levels.values().next().value || null;
+  }
+
+  /**
+   * Board size for a set of rules: the level's, or SATSNAKE_CONFIG.board
+   * @param {Object} rules
+   * @param {Object} config - SATSNAKE_CONFIG
+   */
+  static board(rules, config) {
+    const level = rules.level ? GameModes.level(rules.level) : null;
+    return level
+      ? { width: level.width, height: level.height }
+      : { width: config.board.width, height: config.board.height };
+  }
+
+  /**
+   * Start a game of a mode
+   * @param {string} key - Mode or leaderboard key
+   * @param {Object} config - SATSNAKE_CONFIG
+   * @param {number} [seed] - RNG seed (random when omitted)
+   * @returns {Object} SnakeEngine state
+   * @throws {Error} For an unknown mode or level
+   */
+  static newGame(key, config, seed) {
+    const rules = GameModes.rulesFor(key);
+    if (!rules) {
+      throw new Error(`Unknown game mode: ${key}`);
+    }
+    return SnakeEngine.create({ seed, ...GameModes.board(rules, config), rules });
+  }
+
+  /**
+   * Whether a replay was played under exactly the rules of a key, so a
+   * score can't claim a mode with friendlier rules than the real ones
+   * @param {Replay} replay
+   * @param {string} key
+   * @param {Object} config - SATSNAKE_CONFIG
+   */
+  static matches(replay, key, config) {
+    const rules = GameModes.rulesFor(key);
+    if (!rules) return false;
+    const board = GameModes.board(rules, config);
+    return replay.width === board.width && replay.height === board.height &&
+      JSON.stringify(replay.rules) === JSON.stringify(rules);
+  }
+
+  /**
+   * Milliseconds until the next tick: the base interval, less speedUp.step
+   * per food eaten down to speedUp.min
+   * @param {Object} state - SnakeEngine state
+   * @param {number} base - Interval with no speed-up
+   */
+  static tickInterval(state, base) {
+    const { speedUp } = state.rules;
+    return speedUp ? Math.max(speedUp.min, base - speedUp.step * state.eaten) : base;
+  }
+
+  /**
+   * Price of a game of a mode (SATSNAKE_CONFIG.modes.prices), falling back
+   * to gamePriceSats in credit mode and minPaymentSats otherwise
+   * @param {string} key - Mode or leaderboard key (levels share their mode's price)
+   * @param {Object} config - SATSNAKE_CONFIG
+   */
+  static price(key, config) {
+    const mode = String(key).split(":")[0];
+    const price = config.modes.prices[mode];
+    if (price !== undefined) return price;
+    return config.gamePriceSats > 0 ? config.gamePriceSats : config.minPaymentSats;
+  }
+
+  /**
+   * Every playable choice: each available mode, the obstacle mode once per
+   * level (it is left out when no levels loaded)
+   * @param {Object} config - SATSNAKE_CONFIG
+   * @returns {Array<{key: string, name: string, priceSats: number}>}
+   */
+  static options(config) {
+    const options = [];
+    for (const mode of config.modes.available) {
+      const definition = GameModes.MODES[mode];
+      const keys = definition.levels
+        ? [...GameModes.levels.keys()].map(id => `${mode}:${id}`)
+        : [mode];
+      for (const key of keys) {
+        options.push({ key, name: GameModes.describe(key), priceSats: GameModes.price(key, config) });
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Key of modes.default; the obstacle mode starts on its first level
+   * @param {Object} config - SATSNAKE_CONFIG
+   */
+  static defaultKey(config) {
+    const options = GameModes.options(config);
+    const mode = config.modes.default;
+    const match = options.find(option => option.key === mode || option.key.startsWith(`${mode}:`));
+    return (match || options[0] || { key: "classic" }).key;
+  }
+
+  /**
+   * Name of a key for menus, e.g. "Obstacles: Pillars"
+   */
+  static describe(key) {
+    const [mode, levelId] = String(key).split(":");
+    const definition = GameModes.MODES[mode];
+    if (!definition) return key;
+    const level = levelId ? GameModes.levels.get(levelId) : null;
+    return level ? `${definition.name}: ${level.name}` : definition.name;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameModes;
+}
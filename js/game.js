@@ -8,12 +8,242 @@ class SatSnakeGame {
     this.ctx = canvas.getContext('2d');
     this.gameUnlocked = false;
     
+    // Snake rules (SnakeEngine) and drawing (SnakeRenderer)
+    this.renderer = new SnakeRenderer(canvas);
+    this.state = null;
+    this.input = new InputController(canvas, {
+      ...SATSNAKE_CONFIG.controls,
+      active: () => this.gameUnlocked && !this.watchingReplay,
+      direction: () => this.state && this.state.direction,
+    });
+    this.tickInterval = 120; // before any speed-up (GameModes.tickInterval)
+    this.lastTickAt = 0;
+    
+    // Game mode being played (a GameModes key); paying buys a game of it
+    this.modeKey = GameModes.defaultKey(SATSNAKE_CONFIG);
+    
+    // Every run is recorded; the last one can be watched or shared
+    this.replay = null;
+    this.lastReplay = null;
+    
+    // The payment behind the current run (paymentReference), and the ones
+    // that already back a published score
+    this.runPayment = null;
+    this.scoredPayments = new Set();
+    this.replayPlayer = new ReplayPlayer(this.renderer, {
+      tickInterval: this.tickInterval,
+      onTick: (tick) => this.showReplayPosition(tick),
+      onEnd: () => { document.getElementById('replay-play-btn').textContent = 'Play'; },
+    });
+    this.watchingReplay = false;
+    
+    // "Zap to continue" offer after a death (SATSNAKE_CONFIG.continues)
+    this.continueOffer = null;
+    this.continueTimer = null;
+    
+    // Scores of paid games go to the Nostr leaderboard
+    this.leaderboard = null;
+    this.leaderboardPeriod = 'all';
+    this.leaderboardMode = this.modeKey;
+    this.leaderboardRequest = 0;
+    this.leaderboardEntries = [];
+    this.leaderboardItems = new Map(); // score event id -> list item
+    this.demoMode = false;
+    this.vouchers = [];
+    
+    // Timed play (SATSNAKE_CONFIG.gameDuration)
+    this.playPass = new PlayPass();
+    this.roundInProgress = false;
+    this.passExpired = false;
+    this.confirmedSessionId = null;
+    
+    // Prepaid games (SATSNAKE_CONFIG.gamePriceSats)
+    this.credits = new CreditLedger();
+    
+    // Proof of the unlocking payment, re-checked after a reload
+    this.paidSession = new PaidSessionStore();
+    
     // Initialize payment managers
     this.relayManager = null;
     this.paymentManager = null;
+    this.walletConnect = null;
+    this.paymentVerifier = null;
     
     // Setup payment UI
     this.setupPaymentUI();
+    this.setupControls();
+    this.setupReplayUI();
+    this.setupLeaderboardUI();
+    this.setupContinueUI();
+  }
+
+  /**
+   * Keys, swipes on the board, the on-screen D-pad and gamepads steer the
+   * snake (SATSNAKE_CONFIG.controls); turns queue up for the next ticks
+   */
+  setupControls() {
+    this.input.attach();
+    const dpad = document.createElement('div');
+    dpad.id = 'dpad';
+    document.body.appendChild(this.input.createDpad(dpad));
+  }
+
+  /**
+   * Replay panel: watch, scrub, change speed, export and import runs
+   */
+  setupReplayUI() {
+    const panel = document.createElement('div');
+    panel.id = 'replay-panel';
+    panel.innerHTML = `
+      <div class="replay-controls">
+        <button id="replay-watch-btn" class="btn" disabled>Watch Last Run</button>
+        <span id="replay-player-controls" style="display:none;">
+          <button id="replay-play-btn" class="btn">Play</button>
+          <select id="replay-speed">
+            ${ReplayPlayer.SPEEDS.map(s => `<option value="${s}">${s}x</option>`).join('')}
+          </select>
+          <input id="replay-scrub" type="range" min="0" max="0" value="0" />
+          <span id="replay-position"></span>
+          <button id="replay-export-btn" class="btn">Export File</button>
+          <button id="replay-share-btn" class="btn">Copy Share String</button>
+          <button id="replay-close-btn" class="btn btn-secondary">Back to Game</button>
+        </span>
+      </div>
+      <div class="replay-import">
+        <input id="replay-file" type="file" accept=".json,application/json" />
+        <input id="replay-string" type="text" placeholder="Paste a replay string (SSR1.…)" />
+        <button id="replay-import-btn" class="btn">Watch Replay</button>
+      </div>
+      <p id="replay-status"></p>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('replay-watch-btn').addEventListener('click',
+      () => this.watchReplay(this.lastReplay)
+    );
+    document.getElementById('replay-play-btn').addEventListener('click', () => {
+      if (this.replayPlayer.playing) {
+        this.replayPlayer.pause();
+      } else {
+        this.replayPlayer.play();
+      }
+      document.getElementById('replay-play-btn').textContent = this.replayPlayer.playing ? 'Pause' : 'Play';
+    });
+    document.getElementById('replay-speed').addEventListener('change',
+      (e) => this.replayPlayer.setSpeed(Number(e.target.value))
+    );
+    document.getElementById('replay-scrub').addEventListener('input',
+      (e) => this.replayPlayer.seek(Number(e.target.value))
+    );
+    document.getElementById('replay-export-btn').addEventListener('click',
+      () => this.exportReplay()
+    );
+    document.getElementById('replay-share-btn').addEventListener('click',
+      () => this.shareReplay()
+    );
+    document.getElementById('replay-close-btn').addEventListener('click',
+      () => this.closeReplay()
+    );
+    document.getElementById('replay-import-btn').addEventListener('click',
+      () => this.importReplay()
+    );
+  }
+
+  /**
+   * Leaderboard panel with all-time, daily and weekly tabs
+   */
+  setupLeaderboardUI() {
+    const panel = document.createElement('div');
+    panel.id = 'leaderboard';
+    panel.className = 'leaderboard';
+    panel.innerHTML = `
+      <h3>Leaderboard</h3>
+      <select id="leaderboard-mode">${this.modeOptions(false)}</select>
+      <div class="leaderboard-tabs">
+        <button id="leaderboard-all-btn" class="btn">All-time</button>
+        <button id="leaderboard-daily-btn" class="btn">Daily</button>
+        <button id="leaderboard-weekly-btn" class="btn">Weekly</button>
+      </div>
+      <ol id="leaderboard-list"></ol>
+      <p id="leaderboard-status"></p>
+      <div id="leaderboard-rewards" style="display:none;">
+        <h4>Your rewards</h4>
+        <ul id="leaderboard-rewards-list"></ul>
+        <div id="leaderboard-claim-qr" class="qr-container"></div>
+      </div>
+    `;
+    document.body.appendChild(panel);
+    
+    const modeSelect = document.getElementById('leaderboard-mode');
+    modeSelect.value = this.leaderboardMode;
+    modeSelect.addEventListener('change', (e) => {
+      this.leaderboardMode = e.target.value;
+      this.showLeaderboard(this.leaderboardPeriod);
+    });
+    for (const period of Leaderboard.PERIODS) {
+      document.getElementById(`leaderboard-${period}-btn`).addEventListener('click',
+        () => this.showLeaderboard(period)
+      );
+    }
+  }
+
+  /**
+   * <option>s for every playable mode, with prices on the payment overlay
+   * @param {boolean} withPrices
+   */
+  modeOptions(withPrices) {
+    return GameModes.options(SATSNAKE_CONFIG).map(option => {
+      const label = withPrices
+        ? `${option.name} - ${option.priceSats} sats`
+        : option.name;
+      return `<option value="${option.key}">${label}</option>`;
+    }).join('');
+  }
+
+  /**
+   * Pick the mode the next payment (or, in credit mode, game) is for
+   * @param {string} key - GameModes key
+   */
+  selectMode(key) {
+    if (!GameModes.rulesFor(key)) return;
+    this.modeKey = key;
+    document.getElementById('mode-select').value = key;
+    document.getElementById('payment-subtitle').textContent = this.describeOffer();
+    this.updateCreditDisplay();
+  }
+
+  /**
+   * Price of a game of a mode (SATSNAKE_CONFIG.modes.prices)
+   * @param {string} [key] - Default: the selected mode
+   */
+  gamePrice(key = this.modeKey) {
+    return GameModes.price(key, SATSNAKE_CONFIG);
+  }
+
+  /**
+   * Panel with the continue invoice; the countdown is drawn on the canvas
+   */
+  setupContinueUI() {
+    const panel = document.createElement('div');
+    panel.id = 'continue-offer';
+    panel.className = 'continue-offer';
+    panel.style.display = 'none';
+    panel.innerHTML = `
+      <p id="continue-title"></p>
+      <div id="continue-qr" class="qr-container"></div>
+      <p id="continue-status"></p>
+      <button id="continue-copy-btn" class="btn">Copy Invoice</button>
+      <button id="continue-decline-btn" class="btn btn-secondary">End Run</button>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('continue-copy-btn').addEventListener('click', () => {
+      const invoice = document.getElementById('continue-copy-btn').dataset.invoice;
+      if (invoice) this.paymentManager.copyInvoiceToClipboard(invoice);
+    });
+    document.getElementById('continue-decline-btn').addEventListener('click',
+      () => this.declineContinue()
+    );
   }
 
   /**
@@ -25,8 +255,10 @@ class SatSnakeGame {
     overlay.id = 'payment-overlay';
     overlay.innerHTML = `
       <div class="payment-modal">
-        <h2>Unlock SatSnake</h2>
-        <p>Pay with Bitcoin Lightning to play</p>
+        <h2 id="payment-title">Unlock SatSnake</h2>
+        <p id="payment-subtitle">${this.describeOffer()}</p>
+        <p id="credit-display"></p>
+        <p id="session-notice"></p>
         
         <div id="relay-status" class="relay-status"></div>
         
@@ -35,8 +267,24 @@ class SatSnakeGame {
           
           <div class="payment-info">
             <p id="amount-display"></p>
+            <p id="payer-display"></p>
             <button id="copy-invoice-btn" class="btn">Copy Invoice</button>
+            <button id="webln-pay-btn" class="btn btn-primary" style="display:none;">Pay with browser wallet</button>
           </div>
+          
+          <ul id="split-legs" class="split-legs" style="display:none;"></ul>
+        </div>
+        
+        <div class="nwc-section" id="nwc-section">
+          <div id="nwc-connect-form">
+            <input id="nwc-uri-input" type="password" placeholder="nostr+walletconnect://..." />
+            <button id="nwc-connect-btn" class="btn">Connect Wallet</button>
+          </div>
+          <div id="nwc-connected" style="display:none;">
+            <p id="nwc-wallet-info"></p>
+            <button id="nwc-disconnect-btn" class="btn btn-secondary">Disconnect Wallet</button>
+          </div>
+          <p id="nwc-status"></p>
         </div>
         
         <div class="waiting-section" id="waiting-section" style="display:none;">
@@ -45,6 +293,16 @@ class SatSnakeGame {
           <p id="payment-status"></p>
         </div>
         
+        <div class="mode-section">
+          <label for="mode-select">Game mode</label>
+          <select id="mode-select">${this.modeOptions(true)}</select>
+        </div>
+        
+        <div id="topup-section" style="display:none;">
+          <label for="topup-amount">Top up (sats)</label>
+          <input id="topup-amount" type="number" step="1" />
+        </div>
+        
         <button id="unlock-btn" class="btn btn-primary">Generate Invoice</button>
         <button id="demo-btn" class="btn btn-secondary">Play Demo</button>
       </div>
@@ -53,16 +311,37 @@ class SatSnakeGame {
     
     this.paymentOverlay = overlay;
     
+    // Credit mode: choose how much to top up
+    if (this.usesCredits()) {
+      const topupInput = document.getElementById('topup-amount');
+      topupInput.min = SATSNAKE_CONFIG.minPaymentSats;
+      topupInput.value = Math.max(SATSNAKE_CONFIG.minPaymentSats, this.gamePrice());
+      document.getElementById('topup-section').style.display = 'block';
+      this.updateCreditDisplay();
+    }
+    
     // Attach event listeners
+    const modeSelect = document.getElementById('mode-select');
+    modeSelect.value = this.modeKey;
+    modeSelect.addEventListener('change', (e) => this.selectMode(e.target.value));
     document.getElementById('unlock-btn').addEventListener('click', 
       () => this.initiatePayment()
     );
     document.getElementById('copy-invoice-btn').addEventListener('click',
       () => this.copyInvoice()
     );
+    document.getElementById('webln-pay-btn').addEventListener('click',
+      () => this.payWithWebln()
+    );
     document.getElementById('demo-btn').addEventListener('click',
       () => this.playDemo()
     );
+    document.getElementById('nwc-connect-btn').addEventListener('click',
+      () => this.connectWallet()
+    );
+    document.getElementById('nwc-disconnect-btn').addEventListener('click',
+      () => this.disconnectWallet()
+    );
   }
 
   /**
@@ -80,12 +359,35 @@ class SatSnakeGame {
         console.error("[Game] Failed to initialize Nostr relay manager");
         this.updateRelayStatus('⚠️ Relay connection failed');
         // Continue anyway - payment might still work
-      } else {
-        this.updateRelayStatus('✓ Connected to Nostr relays');
+      }
+      
+      // Live relay count; relays that drop keep reconnecting
+      if (this.relayManager.pool) {
+        this.relayStatusUnsubscribe = this.relayManager.onRelayStatus(
+          (status) => this.showRelayStatus(status)
+        );
       }
       
       // Initialize Lightning payment manager
       this.paymentManager = new LightningPaymentManager(SATSNAKE_CONFIG);
+      this.paymentVerifier = new PaymentVerifier(SATSNAKE_CONFIG);
+      
+      // Scores are signed with the key that signs zap requests
+      this.leaderboard = new Leaderboard(
+        this.relayManager,
+        () => this.paymentManager.getSigner(),
+        SATSNAKE_CONFIG
+      );
+      if (relayInitialized) {
+        this.showLeaderboard(this.leaderboardPeriod);
+      }
+      
+      // Restore a linked Nostr Wallet Connect wallet, if any
+      this.walletConnect = new NostrWalletConnect(this.relayManager, SATSNAKE_CONFIG);
+      if (relayInitialized && this.walletConnect.restore()) {
+        this.showWalletConnected(true);
+        this.refreshWalletInfo();
+      }
       
       console.log("[Game] Payment system initialized");
       return true;
@@ -103,19 +405,31 @@ class SatSnakeGame {
     try {
       console.log("[Game] Initiating payment...");
       
-      const paymentResult = await this.paymentManager.initiatePayment();
+      // Credit mode tops up any amount from minPaymentSats; otherwise the
+      // payment is one game (or pass) of the selected mode
+      let amountSats = this.gamePrice();
+      if (this.usesCredits()) {
+        amountSats = parseInt(document.getElementById('topup-amount').value, 10);
+        if (!Number.isInteger(amountSats) || amountSats < SATSNAKE_CONFIG.minPaymentSats) {
+          alert(`Top up at least ${SATSNAKE_CONFIG.minPaymentSats} sats.`);
+          return;
+        }
+      }
+      
+      const paymentResult = await this.paymentManager.initiatePayment(amountSats);
       if (!paymentResult) {
         alert('Failed to create payment. Please try again.');
         return;
       }
 
-      // Display invoice
+      // Display invoice; the mode is fixed until the payment is done with
+      document.getElementById('mode-select').disabled = true;
       document.getElementById('unlock-btn').style.display = 'none';
       document.getElementById('demo-btn').style.display = 'none';
       document.getElementById('waiting-section').style.display = 'block';
 
       // Show QR code
-      if (SATSNAKE_CONFIG.ui.showQrCode) {
+      if (!paymentResult.legs && SATSNAKE_CONFIG.ui.showQrCode) {
         this.paymentManager.displayQrCode(
           paymentResult.invoice,
           paymentResult.amountSats,
@@ -127,16 +441,38 @@ class SatSnakeGame {
       document.getElementById('amount-display').textContent = 
         `Amount: ${paymentResult.amountSats} sats`;
 
+      // Show which Nostr identity signed the zap
+      document.getElementById('payer-display').textContent = paymentResult.payer
+        ? `Paying as ${paymentResult.payer.label}`
+        : '';
+
       // Update button
       const copyBtn = document.getElementById('copy-invoice-btn');
       copyBtn.style.display = 'block';
       copyBtn.dataset.invoice = paymentResult.invoice;
 
-      // Start listening for zap receipt
-      this.listenForPayment(
-        paymentResult.sessionId,
-        paymentResult.amountSats
-      );
+      // Offer one-click payment when a WebLN extension (Alby etc.) is present
+      if (typeof window.webln !== 'undefined') {
+        const weblnBtn = document.getElementById('webln-pay-btn');
+        weblnBtn.style.display = 'block';
+        weblnBtn.disabled = false;
+        weblnBtn.dataset.invoice = paymentResult.invoice;
+      }
+
+      // Zap split: one QR per leg, with each leg's progress
+      if (paymentResult.legs) {
+        this.showSplitLegs(paymentResult.legs);
+      }
+
+      // Start listening for zap receipt and/or verify URL settlement
+      await this.listenForPayment(paymentResult);
+
+      // Pay straight from the linked wallet; the QR stays up as a fallback
+      if (this.walletConnect && this.walletConnect.isConnected()) {
+        this.payWithWallet(paymentResult.legs
+          ? paymentResult.legs.map(leg => leg.invoice)
+          : paymentResult.invoice);
+      }
     } catch (error) {
       console.error("[Game] Payment initiation error:", error);
       alert('Error initiating payment: ' + error.message);
@@ -144,69 +480,626 @@ class SatSnakeGame {
   }
 
   /**
-   * Listen for zap receipt from Nostr relays
+   * Listen for payment confirmation
+   * Zap receipts from Nostr relays and/or a LUD-21 verify URL, depending on
+   * SATSNAKE_CONFIG.confirmationStrategy; the first valid one unlocks
    */
-  async listenForPayment(sessionId, expectedAmountSats) {
+  async listenForPayment(paymentResult) {
+    const { sessionId } = paymentResult;
+    this.pendingSessionId = sessionId;
     try {
-      const timeout = setTimeout(() => {
+      this.paymentTimeout = setTimeout(() => {
         console.error("[Game] Payment timeout");
+        this.stopWatchingPayment();
+        this.paymentManager.resetPayment();
+        this.pendingSessionId = null;
         this.updatePaymentStatus('Payment timeout. Please try again.');
         this.resetPaymentUI();
       }, SATSNAKE_CONFIG.zapReceiptTimeout);
 
-      // Set up listener
-      const unsubscribe = await this.relayManager.listenForZapReceipt(
+      const onConfirmed = (confirmation) => {
+        clearTimeout(this.paymentTimeout);
+        const label = confirmation.source === 'verify' ? 'Verify URL' : 'Zap receipt';
+        
+        if (confirmation.valid && (this.gameUnlocked || this.confirmedSessionId === sessionId)) {
+          // Already unlocked by another confirmation - this one is the second.
+          // Checking the session too stops a late receipt from buying a
+          // second pass after the first one ran out
+          console.log(`[Game] ✓ ${label} confirms earlier payment`);
+          this.updatePaymentStatus(
+            `✓ ${label} confirmed (${confirmation.amountSats} sats)`
+          );
+        } else if (confirmation.valid) {
+          console.log(`[Game] ✓ Payment confirmed by ${label}!`);
+          this.confirmPayment(
+            `✓ Payment confirmed! (${confirmation.amountSats} sats)`,
+            confirmation
+          );
+        } else {
+          this.updatePaymentStatus('Invalid payment received.');
+        }
+      };
+
+      // Store unsubscribe function for cleanup
+      this.zapReceiptUnsubscribe = await this.watchPayment(paymentResult, onConfirmed, {
+        minSats: this.usesCredits() ? undefined : this.gamePrice(),
+        onLegPaid: () => this.showSplitLegs(paymentResult.legs),
+      });
+      if (this.pendingSessionId !== sessionId) {
+        // Timed out while the watchers were still starting
+        this.stopWatchingPayment();
+      }
+    } catch (error) {
+      console.error("[Game] Error setting up payment listener:", error);
+      this.updatePaymentStatus('Error listening for payment: ' + error.message);
+    }
+  }
+
+  /**
+   * Watch an invoice from paymentManager.initiatePayment() for confirmation
+   * by zap receipt and/or LUD-21 verify URL, per confirmationStrategy
+   * @param {Object} paymentResult - From initiatePayment
+   * @param {Function} onConfirmed - Called with each confirmation
+   * @param {Object} [options]
+   * @param {number} [options.minSats] - Smallest payment accepted (default: minPaymentSats)
+   * @param {Function} [options.onLegPaid] - Zap splits: called as each leg is paid
+   * @returns {Promise<Function>} Stops watching
+   */
+  async watchPayment(paymentResult, onConfirmed, { minSats, onLegPaid } = {}) {
+    const { sessionId, amountSats: expectedAmountSats, invoice, verifyUrl } = paymentResult;
+    const unsubscribers = [];
+    if (paymentResult.zapEnabled) {
+      // Zap splits: wait for the required legs' receipts
+      const options = paymentResult.legs ? {
+        legs: paymentResult.legs,
+        requirement: SATSNAKE_CONFIG.splitConfirmation,
+        onLegPaid,
+      } : { minSats };
+      unsubscribers.push(await this.relayManager.listenForZapReceipt(
         sessionId,
         expectedAmountSats,
-        (zapReceipt) => {
-          clearTimeout(timeout);
-          
-          if (zapReceipt.valid) {
-            console.log("[Game] ✓ Payment confirmed!");
-            this.updatePaymentStatus(
-              `✓ Payment confirmed! (${zapReceipt.amountSats} sats)`
-            );
-            
-            // Unlock game
-            this.unlockGame();
-            
-            // Hide payment UI after a delay
-            setTimeout(() => {
-              this.paymentOverlay.style.display = 'none';
-            }, 2000);
-          } else {
-            this.updatePaymentStatus('Invalid payment received.');
+        onConfirmed,
+        options
+      ));
+    }
+    if (verifyUrl && SATSNAKE_CONFIG.confirmationStrategy !== 'zap') {
+      unsubscribers.push(await this.paymentVerifier.listenForSettlement(
+        verifyUrl,
+        invoice,
+        expectedAmountSats,
+        onConfirmed
+      ));
+    }
+    return () => unsubscribers.forEach(unsub => unsub());
+  }
+
+  /**
+   * Pay the current invoice with a WebLN browser wallet
+   * A preimage matching the invoice unlocks immediately; the zap receipt
+   * listener stays open as a second confirmation
+   */
+  async payWithWebln() {
+    const btn = document.getElementById('webln-pay-btn');
+    const invoice = btn.dataset.invoice;
+    btn.disabled = true;
+    this.updatePaymentStatus('Confirm the payment in your browser wallet...');
+
+    try {
+      await window.webln.enable();
+      
+      // Zap split: pay every unpaid leg, the receipts confirm
+      const legs = this.paymentManager.currentSession?.legs;
+      if (legs) {
+        for (const leg of legs.filter(l => !l.paid)) {
+          const legResponse = await window.webln.sendPayment(leg.invoice);
+          if (!this.paymentManager.verifyPreimage(leg.invoice, legResponse && legResponse.preimage)) {
+            throw new Error(`Wallet returned a bad preimage for ${leg.lightningAddress}`);
           }
         }
+        this.updatePaymentStatus('Paid with browser wallet - waiting for zap receipts...');
+        return;
+      }
+      
+      const response = await window.webln.sendPayment(invoice);
+
+      if (!this.paymentManager.verifyPreimage(invoice, response && response.preimage)) {
+        throw new Error('Wallet returned a preimage that does not match the invoice');
+      }
+
+      this.confirmByPreimage(invoice, response.preimage, 'webln',
+        '✓ Paid with browser wallet! Waiting for zap receipt too...');
+    } catch (error) {
+      console.error("[Game] WebLN payment error:", error);
+      this.updatePaymentStatus(`Browser wallet payment failed: ${error.message}`);
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * Unlock on a wallet's proof of payment: the preimage of the invoice's
+   * payment hash, already checked with paymentManager.verifyPreimage
+   * A zap receipt that confirmed the session first wins; the preimage
+   * doesn't confirm (or credit) it a second time
+   * @param {string} invoice
+   * @param {string} preimage
+   * @param {string} source - 'webln' or 'nwc'
+   * @param {string} message - Status to show
+   */
+  confirmByPreimage(invoice, preimage, source, message) {
+    clearTimeout(this.paymentTimeout);
+    if (this.gameUnlocked || this.confirmedSessionId === this.pendingSessionId) return;
+    
+    console.log(`[Game] ✓ Payment proven by preimage (${source})`);
+    const decoded = Bolt11.decode(invoice);
+    this.confirmPayment(message, {
+      source,
+      paymentHash: decoded.paymentHash,
+      amountSats: decoded.amountSats,
+      bolt11: invoice,
+      preimage,
+    });
+  }
+
+  /**
+   * Mark the payment confirmed, unlock and hide the overlay
+   * @param {string} message - Status to show
+   * @param {Object} confirmation - What confirmed it (source, paymentHash, amountSats)
+   */
+  confirmPayment(message, confirmation = {}) {
+    this.updatePaymentStatus(message);
+    document.getElementById('webln-pay-btn').style.display = 'none';
+    this.confirmedSessionId = this.pendingSessionId;
+    
+    // Credit mode: the payment is a top-up, games are paid from the balance
+    if (this.usesCredits()) {
+      this.credits.credit(
+        confirmation.eventId || confirmation.paymentHash,
+        confirmation.amountSats,
+        { source: confirmation.source, paymentHash: confirmation.paymentHash, sessionId: this.pendingSessionId }
       );
+      this.updateCreditDisplay();
+    } else {
+      // Keep the proof so a reload doesn't ask for another payment
+      this.paidSession.record(confirmation, this.pendingSessionId, this.modeKey);
+    }
+    
+    // Unlock game
+    this.unlockGame(confirmation);
+    
+    // Hide payment UI after a delay
+    this.overlayHideTimer = setTimeout(() => {
+      this.paymentOverlay.style.display = 'none';
+    }, 2000);
+  }
 
-      // Store unsubscribe function for cleanup
-      this.zapReceiptUnsubscribe = unsubscribe;
+  /**
+   * Link a wallet from the pasted nostr+walletconnect:// URI
+   */
+  async connectWallet() {
+    const input = document.getElementById('nwc-uri-input');
+    try {
+      this.walletConnect.connect(input.value);
+      input.value = '';
+      this.showWalletConnected(true);
+      this.updateWalletStatus('');
+      await this.refreshWalletInfo();
     } catch (error) {
-      console.error("[Game] Error setting up payment listener:", error);
-      this.updatePaymentStatus('Error listening for payment: ' + error.message);
+      console.error("[Game] Wallet connect error:", error);
+      this.updateWalletStatus(`Could not connect wallet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unlink the wallet
+   */
+  disconnectWallet() {
+    this.walletConnect.disconnect();
+    this.showWalletConnected(false);
+    this.updateWalletStatus('Wallet disconnected');
+  }
+
+  /**
+   * Show balance and remaining budget of the linked wallet
+   */
+  async refreshWalletInfo() {
+    const infoEl = document.getElementById('nwc-wallet-info');
+    infoEl.textContent = 'Wallet connected - checking balance...';
+    try {
+      const [balanceMsats, budget] = await Promise.all([
+        this.walletConnect.getBalance(),
+        this.walletConnect.getBudget(),
+      ]);
+
+      let text = `Wallet balance: ${Math.floor(balanceMsats / 1000)} sats`;
+      if (budget && budget.total_budget) {
+        const left = Math.floor((budget.total_budget - (budget.used_budget || 0)) / 1000);
+        text += ` · Budget left: ${left} / ${Math.floor(budget.total_budget / 1000)} sats`;
+        if (budget.renewal_period && budget.renewal_period !== 'never') {
+          text += ` (${budget.renewal_period})`;
+        }
+      }
+      infoEl.textContent = text;
+    } catch (error) {
+      console.error("[Game] Wallet info error:", error);
+      infoEl.textContent = 'Wallet connected';
+      this.updateWalletStatus(this.describeWalletError(error));
     }
   }
 
+  /**
+   * Pay an invoice with the linked wallet (NIP-47 pay_invoice)
+   * Like WebLN, a preimage matching the invoice unlocks right away; zap
+   * splits (one invoice per leg) still wait for the legs' receipts
+   * @param {string|string[]} invoice
+   */
+  async payWithWallet(invoice) {
+    const sessionId = this.pendingSessionId;
+    this.updateWalletStatus('Paying from your connected wallet...');
+    try {
+      let preimage = null;
+      for (const legInvoice of [].concat(invoice)) {
+        const response = await this.walletConnect.payInvoice(legInvoice);
+        preimage = response && response.preimage;
+        if (!this.paymentManager.verifyPreimage(legInvoice, preimage)) {
+          throw new Error('Wallet returned a preimage that does not match the invoice');
+        }
+      }
+      this.updateWalletStatus('Wallet paid - waiting for zap receipt...');
+      this.refreshWalletInfo();
+      
+      // Not if the payment was given up on (timeout, new invoice) meanwhile
+      if (!Array.isArray(invoice) && this.pendingSessionId === sessionId) {
+        this.updateWalletStatus('Wallet paid');
+        this.confirmByPreimage(invoice, preimage, 'nwc', '✓ Paid from your wallet! Waiting for zap receipt too...');
+      }
+    } catch (error) {
+      console.error("[Game] Wallet payment error:", error);
+      this.updateWalletStatus(
+        `${this.describeWalletError(error)} - scan the QR code to pay manually.`
+      );
+    }
+  }
+
+  /**
+   * Format a NIP-47 error for the modal
+   */
+  describeWalletError(error) {
+    return error.code
+      ? `Wallet error (${error.code}): ${error.message}`
+      : `Wallet error: ${error.message}`;
+  }
+
+  /**
+   * Toggle between the connect form and the connected wallet view
+   */
+  showWalletConnected(connected) {
+    document.getElementById('nwc-connect-form').style.display = connected ? 'none' : 'block';
+    document.getElementById('nwc-connected').style.display = connected ? 'block' : 'none';
+  }
+
+  /**
+   * Update wallet connect status message
+   */
+  updateWalletStatus(message) {
+    document.getElementById('nwc-status').textContent = message;
+  }
+
   /**
    * Unlock game after successful payment
    */
-  unlockGame() {
+  unlockGame(confirmation = {}) {
     this.gameUnlocked = true;
+    this.demoMode = false;
     this.paymentManager.completePayment();
     
+    // Time-boxed pass, counted from confirmation
+    if (SATSNAKE_CONFIG.gameDuration > 0) {
+      this.playPass.start(SATSNAKE_CONFIG.gameDuration, confirmation);
+      this.schedulePassExpiry();
+    }
+    
     // Start game loop
     this.startGameLoop();
     
     console.log("[Game] ✓ Game unlocked!");
   }
 
+  /**
+   * Restore the unlocked state after a page reload from the stored payment
+   * proof, re-checked the way it was checked when it first arrived
+   * Needs initializePaymentSystem() first (zap receipts are checked against
+   * the recipient's LNURL server key)
+   * @returns {boolean} Whether the session was restored
+   */
+  restorePaidSession() {
+    const proof = this.paidSession.load();
+    if (!proof) return false;
+    
+    const check = this.validatePaidSessionProof(proof);
+    if (check.retry) {
+      // Can't check right now (e.g. LNURL server unreachable) - keep the proof
+      console.warn("[Game] Could not check saved payment:", check.reason);
+      return false;
+    }
+    if (!check.valid) {
+      this.discardPaidSession(`Your saved payment could not be verified (${check.reason}).`);
+      return false;
+    }
+    
+    // A timed pass only restores with the time it has left
+    if (SATSNAKE_CONFIG.gameDuration > 0) {
+      const pass = this.playPass.pass;
+      if (!pass || pass.paymentHash !== check.paymentHash || !this.playPass.isActive()) {
+        this.discardPaidSession('Your play pass has expired.');
+        return false;
+      }
+      this.selectMode(proof.mode);
+      this.confirmedSessionId = proof.sessionId;
+      return this.resumePlayPass();
+    }
+    
+    console.log("[Game] ✓ Paid session restored");
+    this.selectMode(proof.mode);
+    this.confirmedSessionId = proof.sessionId;
+    this.gameUnlocked = true;
+    this.paymentOverlay.style.display = 'none';
+    this.startGameLoop();
+    return true;
+  }
+
+  /**
+   * Check a stored payment proof
+   * @param {Object} proof - From PaidSessionStore.load()
+   * @returns {{valid: boolean, reason?: string, paymentHash?: string, retry?: boolean}}
+   */
+  validatePaidSessionProof(proof) {
+    if (!GameModes.rulesFor(proof.mode)) {
+      return { valid: false, reason: `Unknown game mode ${proof.mode}` };
+    }
+    const priceSats = this.gamePrice(proof.mode);
+    if (proof.type === 'zap-split') {
+      return this.validateSplitProof(proof);
+    }
+    if (proof.type === 'zap') {
+      if (!this.relayManager || !this.relayManager.zapperPubkey) {
+        return { valid: false, retry: true, reason: "Recipient's zapper key is unknown" };
+      }
+      return this.relayManager.validateZapReceipt(
+        proof.receipt,
+        proof.sessionId,
+        proof.amountSats,
+        { allowUsed: true, minSats: priceSats }
+      );
+    }
+    
+    // Preimage proof (verify URL or browser wallet)
+    let invoice;
+    try {
+      invoice = Bolt11.decode(proof.invoice);
+    } catch (error) {
+      return { valid: false, reason: `Invalid invoice: ${error.message}` };
+    }
+    if (!this.paymentManager || !this.paymentManager.verifyPreimage(proof.invoice, proof.preimage)) {
+      return { valid: false, reason: "Preimage does not match the invoice" };
+    }
+    if (invoice.amountSats === null || invoice.amountSats < priceSats) {
+      return { valid: false, reason: `Invoice amount below minimum: ${invoice.amountSats}` };
+    }
+    return { valid: true, paymentHash: invoice.paymentHash, amountSats: invoice.amountSats };
+  }
+
+  /**
+   * Check every stored leg receipt of a zap split payment
+   * @param {Object} proof - Proof with legs
+   * @returns {{valid: boolean, reason?: string, paymentHash?: string, retry?: boolean}}
+   */
+  validateSplitProof(proof) {
+    if (!this.relayManager || !this.relayManager.splitRecipients.size) {
+      return { valid: false, retry: true, reason: "Split recipients' zapper keys are unknown" };
+    }
+    
+    const legs = proof.legs.map(leg => ({ ...leg, paid: false }));
+    for (const leg of legs) {
+      if (!leg.receipt) continue;
+      const result = this.relayManager.validateSplitLegReceipt(
+        leg.receipt,
+        proof.sessionId,
+        leg,
+        { allowUsed: true }
+      );
+      if (!result.valid) {
+        return { valid: false, reason: `${leg.lightningAddress}: ${result.reason}` };
+      }
+      leg.paid = true;
+      leg.paymentHash = result.paymentHash;
+    }
+    
+    if (!ZapSplit.isSatisfied(legs, SATSNAKE_CONFIG.splitConfirmation)) {
+      return { valid: false, reason: "Not every required split share was paid" };
+    }
+    const main = legs.find(leg => leg.paid && leg.primary) || legs.find(leg => leg.paid);
+    return { valid: true, paymentHash: main.paymentHash };
+  }
+
+  /**
+   * Drop a stored session that can't be restored and say why
+   */
+  discardPaidSession(message) {
+    console.log(`[Game] Discarding saved session: ${message}`);
+    this.paidSession.clear();
+    this.playPass.clear();
+    document.getElementById('session-notice').textContent = message;
+  }
+
+  /**
+   * Pick up a play pass that is still running after a page reload
+   * Called by restorePaidSession once the payment behind the pass checks out
+   * @returns {boolean} Whether a pass was resumed
+   */
+  resumePlayPass() {
+    if (!this.playPass.isActive()) {
+      this.playPass.clear();
+      return false;
+    }
+    
+    console.log(`[Game] Resuming play pass (${PlayPass.formatRemaining(this.playPass.remaining())} left)`);
+    this.gameUnlocked = true;
+    this.paymentOverlay.style.display = 'none';
+    this.schedulePassExpiry();
+    this.startGameLoop();
+    return true;
+  }
+
+  /**
+   * Fire onPassExpired when the pass runs out
+   */
+  schedulePassExpiry() {
+    clearTimeout(this.passExpiryTimer);
+    this.passExpired = false;
+    this.passExpiryTimer = setTimeout(
+      () => this.onPassExpired(),
+      this.playPass.remaining()
+    );
+  }
+
+  /**
+   * Out of time: let the current round finish (up to passGracePeriod),
+   * then lock the game
+   */
+  onPassExpired() {
+    this.passExpired = true;
+    if (!this.roundInProgress) {
+      this.endPlaySession();
+      return;
+    }
+    
+    console.log("[Game] Play pass ended - finishing the current round");
+    this.passGraceTimer = setTimeout(
+      () => this.endPlaySession(),
+      SATSNAKE_CONFIG.passGracePeriod
+    );
+  }
+
+  /**
+   * Mark the start of a round (a life of the snake)
+   * In credit mode this pays for the game from the balance; demo games are free
+   * @returns {boolean} Whether the round may start
+   */
+  startRound() {
+    if (!this.demoMode && this.usesCredits() && !this.credits.charge(this.gamePrice())) {
+      this.endPlaySession();
+      return false;
+    }
+    this.updateCreditDisplay();
+    this.roundInProgress = true;
+    return true;
+  }
+
+  /**
+   * Mark the end of a round; call this when the snake dies
+   * Locks the game if the pass ran out during the round or the credit
+   * can't pay for another game
+   */
+  endRound() {
+    this.roundInProgress = false;
+    const outOfCredit = !this.demoMode && this.usesCredits() &&
+      this.credits.gamesLeft(this.gamePrice()) === 0;
+    if (this.passExpired || outOfCredit) {
+      this.endPlaySession();
+    }
+  }
+
+  /**
+   * Pick up prepaid credit after a page reload
+   * @returns {boolean} Whether there was credit for a game
+   */
+  resumeCredit() {
+    if (!this.usesCredits() || this.credits.gamesLeft(this.gamePrice()) === 0) {
+      return false;
+    }
+    
+    console.log(`[Game] Playing from credit (${this.credits.balance()} sats)`);
+    this.gameUnlocked = true;
+    this.paymentOverlay.style.display = 'none';
+    this.startGameLoop();
+    return true;
+  }
+
+  /**
+   * Whether payments top up a credit balance instead of unlocking directly
+   */
+  usesCredits() {
+    return SATSNAKE_CONFIG.gamePriceSats > 0;
+  }
+
+  /**
+   * Show the credit balance and how many games it buys
+   */
+  updateCreditDisplay() {
+    const creditEl = document.getElementById('credit-display');
+    if (!creditEl || !this.usesCredits()) return;
+    
+    const games = this.credits.gamesLeft(this.gamePrice());
+    creditEl.textContent =
+      `Balance: ${this.credits.balance()} sats · ${games} game${games === 1 ? '' : 's'} left`;
+  }
+
+  /**
+   * Stop play and bring back the paywall with a renew offer
+   */
+  endPlaySession() {
+    clearTimeout(this.passExpiryTimer);
+    clearTimeout(this.passGraceTimer);
+    this.passExpired = false;
+    this.roundInProgress = false;
+    this.gameUnlocked = false;
+    this.playPass.clear();
+    this.paidSession.clear();
+    this.stopGameLoop();
+    
+    console.log("[Game] Play pass over");
+    this.showRenewOffer();
+  }
+
+  /**
+   * Show the paywall again, offering another pass
+   */
+  showRenewOffer() {
+    clearTimeout(this.overlayHideTimer);
+    this.resetPaymentUI();
+    this.updatePaymentStatus('');
+    document.getElementById('payment-title').textContent = this.usesCredits()
+      ? 'Out of credit'
+      : 'Your play pass has ended';
+    document.getElementById('payment-subtitle').textContent = this.describeOffer();
+    document.getElementById('unlock-btn').textContent = this.usesCredits()
+      ? 'Top Up'
+      : 'Renew Pass';
+    this.updateCreditDisplay();
+    this.paymentOverlay.style.display = 'block';
+  }
+
+  /**
+   * What a payment buys, e.g. "100 sats for 10 minutes of play"
+   */
+  describeOffer() {
+    if (this.usesCredits()) {
+      return `Top up with Bitcoin Lightning - ${this.gamePrice()} sats per game`;
+    }
+    if (SATSNAKE_CONFIG.gameDuration > 0) {
+      const duration = PlayPass.describeDuration(SATSNAKE_CONFIG.gameDuration);
+      return `Pay ${this.gamePrice()} sats with Bitcoin Lightning for ${duration} of play`;
+    }
+    return `Pay ${this.gamePrice()} sats with Bitcoin Lightning to play`;
+  }
+
   /**
    * Play demo/free version of game
    */
   playDemo() {
     console.log("[Game] Playing demo mode");
     this.gameUnlocked = true;
+    this.demoMode = true;
     this.paymentOverlay.style.display = 'none';
     this.startGameLoop();
   }
@@ -220,38 +1113,524 @@ class SatSnakeGame {
     
     // Initialize game state
     this.initializeGame();
+    this.startRound();
     
-    // Game loop
+    // Game loop; a loop left over from before a stop/start bails out
+    const loopId = this.loopId = (this.loopId || 0) + 1;
     const loop = () => {
+      if (!this.gameLoopRunning || loopId !== this.loopId) return;
       this.update();
       this.render();
+      this.renderPassCountdown();
+      this.renderContinueCountdown();
       requestAnimationFrame(loop);
     };
     
     requestAnimationFrame(loop);
   }
 
+  /**
+   * Stop the game loop after the current frame
+   */
+  stopGameLoop() {
+    this.gameLoopRunning = false;
+  }
+
+  /**
+   * Draw the time left on the play pass in the top-right corner
+   */
+  renderPassCountdown() {
+    if (!this.playPass.pass) return;
+    
+    const ctx = this.ctx;
+    const remaining = this.playPass.remaining();
+    ctx.save();
+    ctx.font = 'bold 16px monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    // Turn red for the last 30 seconds
+    ctx.fillStyle = remaining > 30000 ? '#f7931a' : '#ff4d4d';
+    ctx.fillText(`⏱ ${PlayPass.formatRemaining(remaining)}`, this.renderer.width - 8, 8);
+    ctx.restore();
+  }
+
   /**
    * Initialize game state
    */
   initializeGame() {
-    // Your existing game initialization code
-    console.log("[Game] Initializing game state...");
-    // ... setup snake, food, etc.
+    // A paid game's board comes from its payment's session (random in demo mode)
+    this.runPayment = this.paymentReference();
+    const seed = this.runPayment && this.runPayment.sessionId
+      ? Replay.sessionSeed(this.runPayment.sessionId, this.runPayment.game)
+      : undefined;
+    this.state = GameModes.newGame(this.modeKey, SATSNAKE_CONFIG, seed);
+    this.replay = Replay.start(this.state);
+    this.input.clear();
+    this.lastTickAt = Date.now();
+    console.log(`[Game] New ${this.modeKey} game (seed ${this.state.seed})`);
+  }
+
+  /**
+   * Advance the engine one tick every tickInterval ms (less in speed-up mode)
+   * @param {number} [now] - Current time in ms
+   */
+  update(now = Date.now()) {
+    if (!this.roundInProgress || !this.state || this.watchingReplay || this.continueOffer) return;
+    if (now - this.lastTickAt < GameModes.tickInterval(this.state, this.tickInterval)) return;
+    this.lastTickAt = now;
+    
+    // One queued turn per tick, recorded exactly as the engine is given it
+    // so playback is bit-exact
+    const input = this.input.take(this.state.direction);
+    this.replay.record(input);
+    const { state, events } = SnakeEngine.tick(this.state, input);
+    this.state = state;
+    events.forEach(event => this.onGameEvent(event));
+  }
+
+  /**
+   * React to engine events
+   * A death ends the round, after a continue offer when one is allowed, and
+   * so does filling the board; the next round starts right away unless the
+   * play pass or the credit ran out
+   */
+  onGameEvent(event) {
+    if (event.type !== 'died' && event.type !== 'won') return;
+    
+    this.lastReplay = this.replay;
+    document.getElementById('replay-watch-btn').disabled = false;
+    if (event.type === 'won') {
+      console.log(`[Game] Board cleared with ${event.score} points`);
+      this.finishRun(event.score);
+      return;
+    }
+    
+    console.log(`[Game] Snake died (${event.cause}) with ${event.score} points`);
+    if (this.canOfferContinue()) {
+      this.offerContinue(event.score);
+      return;
+    }
+    this.finishRun(event.score);
   }
 
   /**
-   * Update game state
+   * Publish the run's score and move on to the next round
+   * @param {number} score
    */
-  update() {
-    // Your existing game update code
+  finishRun(score) {
+    this.submitScore(score);
+    this.endRound();
+    if (this.gameLoopRunning) {
+      this.initializeGame();
+      this.startRound();
+    }
+  }
+
+  /**
+   * Whether the run that just died may be continued
+   * Paid runs only, while the pass lasts and under the per-run cap
+   */
+  canOfferContinue() {
+    const { enabled, maxPerRun } = SATSNAKE_CONFIG.continues;
+    return enabled && !this.demoMode && !this.passExpired &&
+      Boolean(this.paymentManager && this.relayManager) &&
+      this.replay.continues.length < maxPerRun;
+  }
+
+  /**
+   * Offer to pay continues.priceSats to carry on the run
+   * Uses the same invoice and confirmation pipeline as unlocking; the run
+   * ends if the offer is declined or not paid within continues.windowSeconds
+   * @param {number} score - Score at the death
+   */
+  async offerContinue(score) {
+    const { priceSats, windowSeconds, maxPerRun } = SATSNAKE_CONFIG.continues;
+    const offer = { score, deadline: Date.now() + windowSeconds * 1000, stop: null };
+    this.continueOffer = offer;
+    this.continueTimer = setTimeout(() => this.declineContinue(), windowSeconds * 1000);
+    
+    const left = maxPerRun - this.replay.continues.length;
+    document.getElementById('continue-title').textContent =
+      `Zap ${priceSats} sats within ${windowSeconds}s to continue (${left} left this run)`;
+    document.getElementById('continue-status').textContent = 'Creating invoice...';
+    document.getElementById('continue-offer').style.display = 'block';
+    
+    try {
+      const paymentResult = await this.paymentManager.initiatePayment(priceSats);
+      if (!paymentResult) throw new Error('No invoice');
+      if (this.continueOffer !== offer) {
+        // Declined or timed out while the invoice was on its way
+        this.paymentManager.resetPayment();
+        return;
+      }
+      
+      this.showContinueInvoice(paymentResult);
+      offer.stop = await this.watchPayment(
+        paymentResult,
+        (confirmation) => this.acceptContinue(offer, confirmation),
+        { minSats: priceSats }
+      );
+      if (this.continueOffer !== offer) offer.stop();
+    } catch (error) {
+      console.warn("[Game] Could not offer a continue:", error);
+      if (this.continueOffer === offer) this.declineContinue();
+    }
+  }
+
+  /**
+   * Show the continue invoice (one QR per leg for zap splits)
+   */
+  showContinueInvoice(paymentResult) {
+    const qr = document.getElementById('continue-qr');
+    qr.innerHTML = '';
+    const invoices = paymentResult.legs
+      ? paymentResult.legs.map(leg => leg.invoice)
+      : [paymentResult.invoice];
+    if (SATSNAKE_CONFIG.ui.showQrCode) {
+      for (const invoice of invoices) {
+        const container = document.createElement('div');
+        qr.appendChild(container);
+        this.paymentManager.displayQrCode(invoice, paymentResult.amountSats, container);
+      }
+    }
+    document.getElementById('continue-copy-btn').dataset.invoice = invoices[0];
+    document.getElementById('continue-status').textContent = 'Waiting for payment...';
+  }
+
+  /**
+   * The continue was paid: revive the snake and record the payment in the replay
+   */
+  acceptContinue(offer, confirmation) {
+    if (!confirmation.valid || this.continueOffer !== offer) return;
+    this.closeContinueOffer();
+    this.paymentManager.completePayment();
+    
+    this.replay.recordContinue({
+      receiptId: confirmation.source === 'zap' ? confirmation.eventId : undefined,
+      paymentHash: confirmation.paymentHash,
+      amountSats: confirmation.amountSats,
+    });
+    this.state = SnakeEngine.revive(this.state);
+    this.input.clear();
+    this.lastTickAt = Date.now();
+    console.log(`[Game] ✓ Continue paid (${confirmation.amountSats} sats), score ${this.state.score}`);
+  }
+
+  /**
+   * Turn the offer down (or let it run out) and end the run
+   */
+  declineContinue() {
+    const offer = this.continueOffer;
+    if (!offer) return;
+    this.closeContinueOffer();
+    this.paymentManager.resetPayment();
+    this.finishRun(offer.score);
+  }
+
+  /**
+   * Hide the offer and stop waiting for its payment
+   */
+  closeContinueOffer() {
+    const offer = this.continueOffer;
+    if (!offer) return;
+    this.continueOffer = null;
+    clearTimeout(this.continueTimer);
+    if (offer.stop) offer.stop();
+    document.getElementById('continue-offer').style.display = 'none';
+    document.getElementById('continue-qr').innerHTML = '';
+    delete document.getElementById('continue-copy-btn').dataset.invoice;
+  }
+
+  /**
+   * Draw the continue countdown over the board
+   */
+  renderContinueCountdown() {
+    if (!this.continueOffer) return;
+    
+    const ctx = this.ctx;
+    const seconds = Math.max(0, Math.ceil((this.continueOffer.deadline - Date.now()) / 1000));
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, this.renderer.width, this.renderer.height);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#f7931a';
+    ctx.font = 'bold 24px monospace';
+    ctx.fillText('Continue?', this.renderer.width / 2, this.renderer.height / 2 - 40);
+    ctx.font = 'bold 48px monospace';
+    ctx.fillStyle = seconds > 5 ? '#f7931a' : '#ff4d4d';
+    ctx.fillText(String(seconds), this.renderer.width / 2, this.renderer.height / 2 + 10);
+    ctx.font = '16px monospace';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(
+      `Zap ${SATSNAKE_CONFIG.continues.priceSats} sats · score ${this.continueOffer.score}`,
+      this.renderer.width / 2,
+      this.renderer.height / 2 + 50
+    );
+    ctx.restore();
   }
 
   /**
    * Render game
    */
   render() {
-    // Your existing game render code
+    if (this.state && !this.watchingReplay) this.renderer.render(this.state);
+  }
+
+  /**
+   * Publish a finished game's score, referencing the payment behind it
+   * Demo games and games without a payment on record are not published
+   * @param {number} score
+   */
+  async submitScore(score) {
+    const payment = this.runPayment;
+    if (!this.leaderboard || !payment || score <= 0) return;
+    
+    // A payment backs one score, one per game it bought in credit mode
+    const paid = `${payment.receiptId || payment.paymentHash}:${payment.game}`;
+    if (this.scoredPayments.has(paid)) {
+      console.log("[Game] This payment already backs a score");
+      return;
+    }
+    this.scoredPayments.add(paid);
+    
+    try {
+      await this.leaderboard.publishScore(score, payment, this.lastReplay);
+      this.leaderboardMode = GameModes.key(this.lastReplay.rules);
+      document.getElementById('leaderboard-mode').value = this.leaderboardMode;
+      this.showLeaderboard(this.leaderboardPeriod);
+    } catch (error) {
+      console.warn("[Game] Could not publish score:", error);
+    }
+  }
+
+  /**
+   * The payment that pays for the game about to start
+   * In credit mode the top-up the balance is spending (oldest first) and
+   * which of its games this is, otherwise the stored unlock proof
+   * @returns {{receiptId?: string, paymentHash?: string, sessionId: string, game: number}|null}
+   */
+  paymentReference() {
+    if (this.demoMode) return null;
+    
+    if (this.usesCredits()) {
+      const funding = this.credits.funding(this.gamePrice());
+      if (!funding) return null;
+      const { credit, game } = funding;
+      const reference = credit.source === 'zap'
+        ? { receiptId: credit.receiptId }
+        : { paymentHash: credit.paymentHash || credit.receiptId };
+      return { ...reference, sessionId: credit.sessionId, game };
+    }
+    
+    const proof = this.paidSession.load();
+    if (!proof) return null;
+    const paid = { sessionId: proof.sessionId, game: 0 };
+    if (proof.type === 'zap') return { ...paid, receiptId: proof.receipt.id };
+    if (proof.type === 'zap-split') {
+      const leg = proof.legs.find(l => l.primary && l.receipt) || proof.legs.find(l => l.receipt);
+      return leg ? { ...paid, receiptId: leg.receipt.id } : null;
+    }
+    try {
+      return { ...paid, paymentHash: Bolt11.decode(proof.invoice).paymentHash };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load and show a leaderboard period
+   * @param {string} period - "all", "daily" or "weekly"
+   */
+  async showLeaderboard(period) {
+    if (!this.leaderboard) return;
+    this.leaderboardPeriod = period;
+    const request = ++this.leaderboardRequest;
+    
+    for (const p of Leaderboard.PERIODS) {
+      document.getElementById(`leaderboard-${p}-btn`).disabled = p === period;
+    }
+    const status = document.getElementById('leaderboard-status');
+    status.textContent = 'Loading scores…';
+    
+    try {
+      const entries = await this.leaderboard.load(period, { mode: this.leaderboardMode });
+      // A newer tab was picked while this one loaded
+      if (request !== this.leaderboardRequest) return;
+      
+      const list = document.getElementById('leaderboard-list');
+      list.innerHTML = '';
+      this.leaderboardItems.clear();
+      for (const entry of entries) {
+        const item = document.createElement('li');
+        item.textContent = `${entry.name} - ${entry.score}`;
+        item.title = `${entry.pubkey} · ${entry.date}`;
+        this.leaderboardItems.set(entry.id, item);
+        list.appendChild(item);
+      }
+      this.leaderboardEntries = entries;
+      status.textContent = entries.length ? '' : 'No scores yet - be the first!';
+      this.showRewards();
+    } catch (error) {
+      if (request !== this.leaderboardRequest) return;
+      console.warn("[Game] Could not load leaderboard:", error);
+      status.textContent = 'Leaderboard unavailable';
+    }
+  }
+
+  /**
+   * Offer the player's unclaimed reward vouchers (SATSNAKE_CONFIG.rewards)
+   * Each gets a claim button next to the winning score when it's on the
+   * board, or in the rewards list below it otherwise. Runs after the board
+   * is redrawn, so there are no old buttons to clear
+   */
+  async showRewards() {
+    if (!SATSNAKE_CONFIG.rewards.enabled || !this.paymentManager) return;
+    
+    let vouchers;
+    try {
+      const signer = await this.paymentManager.getSigner();
+      const loaded = await Payouts.loadVouchers(this.relayManager, signer, SATSNAKE_CONFIG);
+      const open = await Promise.all(loaded.map(v => Payouts.isClaimable(v, SATSNAKE_CONFIG)));
+      vouchers = loaded.filter((_, i) => open[i]);
+    } catch (error) {
+      console.warn("[Game] Could not load rewards:", error);
+      return;
+    }
+    this.vouchers = vouchers;
+    
+    const rewards = document.getElementById('leaderboard-rewards');
+    const rewardsList = document.getElementById('leaderboard-rewards-list');
+    rewardsList.innerHTML = '';
+    
+    for (const voucher of vouchers) {
+      const button = document.createElement('button');
+      button.className = 'btn claim-btn';
+      button.textContent = `Claim ${voucher.amountSats} sats`;
+      button.title = `#${voucher.rank} ${voucher.period}`;
+      button.addEventListener('click', () => this.claimReward(voucher));
+      
+      const entry = this.leaderboardItems.get(voucher.scoreEventId);
+      if (entry) {
+        entry.appendChild(button);
+      } else {
+        const item = document.createElement('li');
+        item.textContent = `#${voucher.rank} ${voucher.period} `;
+        item.appendChild(button);
+        rewardsList.appendChild(item);
+      }
+    }
+    rewards.style.display = vouchers.length ? 'block' : 'none';
+  }
+
+  /**
+   * Show a voucher's LNURL-withdraw QR for the player's wallet to scan
+   * @param {Object} voucher - From Payouts.loadVouchers
+   */
+  claimReward(voucher) {
+    document.getElementById('leaderboard-rewards').style.display = 'block';
+    this.paymentManager.displayQrCode(
+      voucher.lnurl,
+      voucher.amountSats,
+      document.getElementById('leaderboard-claim-qr')
+    );
+  }
+
+  /**
+   * Show a replay on the canvas; the current game waits until it's closed
+   * @param {Replay} replay
+   */
+  watchReplay(replay) {
+    if (!replay) return;
+    try {
+      this.replayPlayer.load(replay);
+    } catch (error) {
+      this.showReplayStatus(error.message);
+      return;
+    }
+    
+    this.watchingReplay = true;
+    this.showReplayStatus('');
+    const scrub = document.getElementById('replay-scrub');
+    scrub.max = replay.length;
+    document.getElementById('replay-player-controls').style.display = 'inline';
+    document.getElementById('replay-play-btn').textContent = 'Pause';
+    this.replayPlayer.play();
+  }
+
+  /**
+   * Leave the replay and carry on with the game
+   */
+  closeReplay() {
+    this.replayPlayer.close();
+    this.watchingReplay = false;
+    this.lastTickAt = Date.now();
+    document.getElementById('replay-player-controls').style.display = 'none';
+    this.render();
+  }
+
+  /**
+   * Keep the scrub bar and tick counter in step with playback
+   */
+  showReplayPosition(tick) {
+    document.getElementById('replay-scrub').value = tick;
+    document.getElementById('replay-position').textContent =
+      `${tick}/${this.replayPlayer.replay.length}`;
+  }
+
+  /**
+   * Download the replay being watched as a .json file
+   */
+  exportReplay() {
+    const replay = this.replayPlayer.replay;
+    if (!replay) return;
+    
+    const blob = new Blob([JSON.stringify(replay.toJSON(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `satsnake-replay-${replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Copy the replay being watched as a share string
+   */
+  async shareReplay() {
+    const replay = this.replayPlayer.replay;
+    if (!replay) return;
+    
+    try {
+      await navigator.clipboard.writeText(replay.encode());
+      this.showReplayStatus('Replay string copied');
+    } catch (error) {
+      console.error("[Game] Could not copy replay:", error);
+      this.showReplayStatus('Could not copy the replay string');
+    }
+  }
+
+  /**
+   * Watch a replay from the chosen file or the pasted string
+   */
+  async importReplay() {
+    const file = document.getElementById('replay-file').files?.[0];
+    const pasted = document.getElementById('replay-string').value;
+    
+    try {
+      const text = file ? await file.text() : pasted;
+      if (!text.trim()) {
+        this.showReplayStatus('Choose a replay file or paste a replay string');
+        return;
+      }
+      this.watchReplay(Replay.parse(text));
+    } catch (error) {
+      this.showReplayStatus(error.message);
+    }
+  }
+
+  showReplayStatus(message) {
+    document.getElementById('replay-status').textContent = message;
   }
 
   /**
@@ -284,23 +1663,87 @@ class SatSnakeGame {
     }
   }
 
+  /**
+   * Show how many relays are connected
+   * @param {Object} status - From NostrRelayManager.getRelayStatus()
+   */
+  showRelayStatus(status) {
+    const count = `${status.connectedCount}/${status.total} relays connected`;
+    if (status.connectedCount > 0) {
+      this.updateRelayStatus(`✓ ${count}`);
+    } else if (status.relays.some(r => r.status === 'connecting' || r.status === 'waiting')) {
+      this.updateRelayStatus(`⚠️ ${count} - reconnecting…`);
+    } else {
+      this.updateRelayStatus(`⚠️ ${count}`);
+    }
+  }
+
+  /**
+   * Show each zap split leg's progress and the QR for the next unpaid one
+   * @param {Array} legs - Legs from the payment result
+   */
+  showSplitLegs(legs) {
+    const list = document.getElementById('split-legs');
+    list.innerHTML = legs.map(leg => `<li id="split-leg-${leg.index}"></li>`).join('');
+    list.style.display = 'block';
+    for (const leg of legs) {
+      document.getElementById(`split-leg-${leg.index}`).textContent =
+        `${leg.paid ? '✓' : '⏳'} ${leg.lightningAddress}: ${leg.amountSats} sats` +
+        `${leg.primary ? ' (primary)' : ''}`;
+    }
+    
+    const next = legs.find(leg => !leg.paid);
+    if (!next) return;
+    const paidCount = legs.filter(leg => leg.paid).length;
+    document.getElementById('amount-display').textContent =
+      `Payment ${paidCount + 1} of ${legs.length}: ${next.amountSats} sats to ${next.lightningAddress}`;
+    document.getElementById('copy-invoice-btn').dataset.invoice = next.invoice;
+    document.getElementById('webln-pay-btn').dataset.invoice = next.invoice;
+    if (SATSNAKE_CONFIG.ui.showQrCode) {
+      this.paymentManager.displayQrCode(
+        next.invoice,
+        next.amountSats,
+        document.getElementById('qr-container')
+      );
+    }
+  }
+
   /**
    * Reset payment UI
    */
   resetPaymentUI() {
+    document.getElementById('webln-pay-btn').style.display = 'none';
+    document.getElementById('split-legs').style.display = 'none';
     document.getElementById('unlock-btn').style.display = 'block';
     document.getElementById('demo-btn').style.display = 'block';
     document.getElementById('waiting-section').style.display = 'none';
     document.getElementById('qr-container').innerHTML = '';
+    document.getElementById('mode-select').disabled = false;
   }
 
   /**
-   * Cleanup on page unload
+   * Stop the zap receipt and verify URL watchers of the pending payment
    */
-  async cleanup() {
+  stopWatchingPayment() {
     if (this.zapReceiptUnsubscribe) {
       this.zapReceiptUnsubscribe();
+      this.zapReceiptUnsubscribe = null;
+    }
+  }
+
+  /**
+   * Cleanup on page unload
+   */
+  async cleanup() {
+    this.stopWatchingPayment();
+    if (this.relayStatusUnsubscribe) {
+      this.relayStatusUnsubscribe();
     }
+    clearTimeout(this.passExpiryTimer);
+    clearTimeout(this.passGraceTimer);
+    this.input.detach();
+    this.closeContinueOffer();
+    this.replayPlayer.close();
     if (this.relayManager) {
       await this.relayManager.disconnect();
     }
@@ -310,11 +1753,37 @@ class SatSnakeGame {
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', async () => {
   const canvas = document.getElementById('gameCanvas');
+  
+  // Apply the JSON file, data-* and URL overrides before anything reads the config
+  try {
+    await ConfigLoader.load({ canvas });
+  } catch (error) {
+    ConfigLoader.report(error);
+    return;
+  }
+  
+  // Obstacle levels; without them the obstacle mode isn't offered
+  if (SATSNAKE_CONFIG.modes.levelsUrl) {
+    await GameModes.loadLevels(SATSNAKE_CONFIG.modes.levelsUrl);
+  }
+  
   const game = new SatSnakeGame(canvas);
   
+  // Keep the paywall hidden while a saved payment is re-checked
+  const hasSavedSession = game.paidSession.load() !== null;
+  if (hasSavedSession) {
+    game.paymentOverlay.style.display = 'none';
+  }
+  
   // Initialize payment system
   await game.initializePaymentSystem();
   
+  // A payment or credit from before the reload keeps working
+  const restored = game.restorePaidSession() || game.resumeCredit();
+  if (!restored) {
+    game.paymentOverlay.style.display = 'block';
+  }
+  
   // Cleanup on unload
   window.addEventListener('beforeunload', () => {
     game.cleanup();
@@ -0,0 +1,281 @@
+/**
+ * Input Controller - Turns keys, swipes, the on-screen D-pad and gamepads
+ * into snake turns (SATSNAKE_CONFIG.controls)
+ * Turns wait in a queue of up to QUEUE_SIZE and the game takes one per tick,
+ * so two quick presses between ticks become two turns instead of the second
+ * overwriting the first. A turn that repeats the direction it follows, or
+ * reverses it, is dropped when it comes in: checked against the last queued
+ * turn, or the snake's committed direction when nothing is queued.
+ * take() hands the engine one direction (or null) per tick - what the game
+ * records in the replay.
+ */
+
+class InputController {
+  static QUEUE_SIZE = 2;
+
+  static OPPOSITE = { up: "down", down: "up", left: "right", right: "left" };
+
+  // Standard gamepad mapping: the d-pad is buttons 12-15
+  static GAMEPAD_BUTTONS = { 12: "up", 13: "down", 14: "left", 15: "right" };
+
+  // How far the left stick must lean (0..1) to count as a direction
+  static STICK_THRESHOLD = 0.5;
+
+  /**
+   * @param {HTMLElement} target - Canvas that takes swipes
+   * @param {Object} options - SATSNAKE_CONFIG.controls, plus:
+   * @param {Function} [options.active] - () => boolean; input is ignored while false
+   * @param {Function} [options.direction] - () => the snake's committed direction
+   */
+  constructor(target, {
+    keys = {},
+    swipeThreshold = 30,
+    dpad = "auto",
+    gamepad = true,
+    active = () => true,
+    direction = () => null,
+  } = {}) {
+    this.target = target;
+    this.swipeThreshold = swipeThreshold;
+    this.dpad = dpad;
+    this.gamepad = gamepad;
+    this.active = active;
+    this.direction = direction;
+
+    // Key (lowercased when a single character) -> direction
+    this.keyMap = new Map();
+    for (const [dir, names] of Object.entries(keys)) {
+      for (const name of names) {
+        this.keyMap.set(InputController.normalizeKey(name), dir);
+      }
+    }
+
+    this.queue = [];
+    this.swipe = null; // {id, x, y} of the pointer being dragged
+    this.padDirections = new Map(); // gamepad index -> direction held last poll
+    this.polling = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Start listening to the keyboard, the target's pointers and gamepads
+   */
+  attach() {
+    this.listen(document, 'keydown', (e) => this.onKey(e));
+
+    // Swipes: the canvas mustn't scroll or zoom the page under a finger
+    if (this.target.style) this.target.style.touchAction = 'none';
+    this.listen(this.target, 'pointerdown', (e) => this.onPointerDown(e));
+    this.listen(this.target, 'pointermove', (e) => this.onPointerMove(e));
+    this.listen(this.target, 'pointerup', (e) => this.onPointerUp(e));
+    this.listen(this.target, 'pointercancel', (e) => this.onPointerUp(e));
+
+    if (this.gamepad && typeof window !== 'undefined' && window.addEventListener) {
+      this.listen(window, 'gamepadconnected', () => this.startPolling());
+      if (InputController.connectedGamepads().length) this.startPolling();
+    }
+  }
+
+  /**
+   * Remove every listener and stop polling gamepads
+   */
+  detach() {
+    for (const { target, type, listener } of this.listeners) {
+      target.removeEventListener(type, listener);
+    }
+    this.listeners = [];
+    this.polling = false;
+    this.swipe = null;
+  }
+
+  listen(target, type, listener) {
+    target.addEventListener(type, listener, { passive: false });
+    this.listeners.push({ target, type, listener });
+  }
+
+  /**
+   * Queue a turn
+   * @param {string} direction - up, down, left or right
+   * @returns {boolean} False when dropped (inactive, full, a repeat or a reversal)
+   */
+  push(direction) {
+    if (!InputController.OPPOSITE[direction] || !this.active()) return false;
+    if (this.queue.length >= InputController.QUEUE_SIZE) return false;
+
+    const previous = this.queue.length ? this.queue[this.queue.length - 1] : this.direction();
+    if (direction === previous || direction === InputController.OPPOSITE[previous]) return false;
+    this.queue.push(direction);
+    return true;
+  }
+
+  /**
+   * The turn for this tick
+   * A queued turn that no longer fits the committed direction (a revive
+   * faces the snake right again) is skipped
+   * @param {string} committed - The snake's direction before the tick
+   * @returns {string|null} Direction for SnakeEngine.tick
+   */
+  take(committed) {
+    while (this.queue.length) {
+      const direction = this.queue.shift();
+      if (direction !== committed && direction !== InputController.OPPOSITE[committed]) {
+        return direction;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget queued turns (new game, revive)
+   */
+  clear() {
+    this.queue = [];
+  }
+
+  onKey(e) {
+    const direction = this.keyMap.get(InputController.normalizeKey(e.key));
+    if (!direction || !this.active()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    // Typing in the replay string box, moving a slider, ...
+    const tag = e.target && e.target.tagName;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) || (e.target && e.target.isContentEditable)) return;
+
+    e.preventDefault();
+    this.push(direction);
+  }
+
+  onPointerDown(e) {
+    if (!this.active()) return;
+    this.swipe = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    if (this.target.setPointerCapture) this.target.setPointerCapture(e.pointerId);
+  }
+
+  /**
+   * A swipe turns once it travels swipeThreshold px; measuring on from that
+   * point lets one stroke turn twice (an L-shaped swipe)
+   */
+  onPointerMove(e) {
+    const swipe = this.swipe;
+    if (!swipe || swipe.id !== e.pointerId) return;
+    e.preventDefault();
+
+    const dx = e.clientX - swipe.x;
+    const dy = e.clientY - swipe.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < this.swipeThreshold) return;
+    this.push(InputController.dominant(dx, dy));
+    swipe.x = e.clientX;
+    swipe.y = e.clientY;
+  }
+
+  onPointerUp(e) {
+    if (this.swipe && this.swipe.id === e.pointerId) this.swipe = null;
+  }
+
+  /**
+   * On-screen arrow buttons, for phones
+   * @param {HTMLElement} container - Filled with the buttons
+   * @returns {HTMLElement} The container, hidden unless the dpad setting
+   *   (auto: touch screens only) wants it
+   */
+  createDpad(container) {
+    // Layout lives in the page's .dpad / .dpad-btn styles
+    container.className = 'dpad';
+    container.style.display = InputController.wantsDpad(this.dpad) ? 'grid' : 'none';
+
+    const buttons = [
+      { direction: 'up', label: '▲' },
+      { direction: 'left', label: '◀' },
+      { direction: 'right', label: '▶' },
+      { direction: 'down', label: '▼' },
+    ];
+    for (const { direction, label } of buttons) {
+      const button = document.createElement('button');
+      button.id = `dpad-${direction}`;
+      button.className = `dpad-btn dpad-${direction}`;
+      button.type = 'button';
+      button.textContent = label;
+      button.title = direction;
+      // pointerdown, not click: no waiting for the finger to lift
+      button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        this.push(direction);
+      });
+      container.appendChild(button);
+    }
+    return container;
+  }
+
+  /**
+   * Poll gamepads once a frame while any are connected
+   */
+  startPolling() {
+    if (this.polling) return;
+    this.polling = true;
+    const loop = () => {
+      if (!this.polling) return;
+      const gamepads = InputController.connectedGamepads();
+      this.poll(gamepads);
+      if (gamepads.length) {
+        requestAnimationFrame(loop);
+      } else {
+        this.polling = false;
+      }
+    };
+    requestAnimationFrame(loop);
+  }
+
+  /**
+   * Queue a turn for each gamepad whose held direction changed since the
+   * last poll (the d-pad wins over the left stick)
+   * @param {Array<Gamepad>} gamepads
+   */
+  poll(gamepads) {
+    for (const pad of gamepads) {
+      const held = InputController.padDirection(pad);
+      if (held && held !== this.padDirections.get(pad.index)) {
+        this.push(held);
+      }
+      this.padDirections.set(pad.index, held);
+    }
+  }
+
+  static padDirection(pad) {
+    for (const [button, direction] of Object.entries(InputController.GAMEPAD_BUTTONS)) {
+      if (pad.buttons[button] && pad.buttons[button].pressed) return direction;
+    }
+    const [x = 0, y = 0] = pad.axes;
+    if (Math.max(Math.abs(x), Math.abs(y)) < InputController.STICK_THRESHOLD) return null;
+    return InputController.dominant(x, y);
+  }
+
+  static connectedGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return [...navigator.getGamepads()].filter(pad => pad && pad.connected);
+  }
+
+  /**
+   * Direction of a movement along its longer axis (screen y grows downwards)
+   */
+  static dominant(dx, dy) {
+    if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? "right" : "left";
+    return dy > 0 ? "down" : "up";
+  }
+
+  static wantsDpad(setting) {
+    if (setting === "always") return true;
+    if (setting === "never") return false;
+    return typeof matchMedia === 'function' && matchMedia('(pointer: coarse)').matches;
+  }
+
+  /**
+   * Letters match in either case ("W" with Shift or Caps Lock steers like "w")
+   */
+  static normalizeKey(key) {
+    return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InputController;
+}
@@ -0,0 +1,296 @@
+/**
+ * Leaderboard - High scores published as signed Nostr events
+ * Each finished paid game is a score event signed by the player's key (the
+ * same NIP-07 or ephemeral key that signed the zap request), pointing at the
+ * payment that paid for the game and carrying the game's replay. Each game
+ * mode has its own board: scores carry their GameModes key as a NIP-32
+ * label. The board queries those events, keeps each player's best score
+ * that ScoreVerifier accepts and names players from their kind-0 profiles.
+ * Depends on snake-engine.js, game-modes.js, score-verifier.js and
+ * nostr-relay-manager.js being loaded first
+ */
+
+class Leaderboard {
+  // Regular (stored, non-replaceable) event kind for a SatSnake score
+  static SCORE_KIND = 4747;
+  static TAG = "satsnake";
+  static PERIODS = ["all", "daily", "weekly"];
+  static MODE_LABEL = "satsnake.mode";
+  // Score events asked for per request; older ones are paged in with until
+  static PAGE_SIZE = 500;
+
+  /**
+   * @param {NostrRelayManager} relayManager - Connected relay manager
+   * @param {Function} getSigner - Resolves the player's NostrSigner
+   * @param {Object} config - SATSNAKE_CONFIG
+   */
+  constructor(relayManager, getSigner, config) {
+    this.relayManager = relayManager;
+    this.getSigner = getSigner;
+    this.config = config;
+    this.profiles = new Map(); // pubkey -> kind-0 content
+    this.verifier = new ScoreVerifier(relayManager, config);
+  }
+
+  /**
+   * Event template for a finished game
+   * @param {number} score - Final score
+   * @param {Object} payment - What paid for the game
+   * @param {string} [payment.receiptId] - Zap receipt event id
+   * @param {string} [payment.paymentHash] - Invoice payment hash (non-zap payments)
+   * @param {Replay} [replay] - The game's replay, so others can check the
+   *   score; its rules give the mode (classic without one)
+   * @param {number} [now] - Unix ms
+   * @returns {Object} Unsigned event
+   */
+  static buildScoreEvent(score, payment, replay = null, now = Date.now()) {
+    if (!payment || !(payment.receiptId || payment.paymentHash)) {
+      throw new Error("A score needs the payment that paid for the game");
+    }
+
+    const tags = [
+      ["t", Leaderboard.TAG],
+      ["score", String(score)],
+      ["version", String(SnakeEngine.VERSION)],
+      ["date", new Date(now).toISOString().slice(0, 10)],
+      ["L", Leaderboard.MODE_LABEL],
+      ["l", replay ? GameModes.key(replay.rules) : "classic", Leaderboard.MODE_LABEL],
+    ];
+    if (payment.receiptId) {
+      tags.push(["e", payment.receiptId, "", "receipt"]);
+    } else {
+      tags.push(["payment_hash", payment.paymentHash]);
+    }
+    if (replay) {
+      tags.push(["replay", replay.encode()]);
+    }
+
+    return {
+      kind: Leaderboard.SCORE_KIND,
+      created_at: Math.floor(now / 1000),
+      tags,
+      content: `Scored ${score} in SatSnake`,
+    };
+  }
+
+  /**
+   * Sign and publish a score to the game's relays
+   * @returns {Promise<Object>} The published event
+   */
+  async publishScore(score, payment, replay = null) {
+    const template = Leaderboard.buildScoreEvent(score, payment, replay);
+    const signer = await this.getSigner();
+    const event = await signer.signEvent(template);
+    await this.relayManager.publish(event, this.relayManager.relays);
+    console.log(`[Leaderboard] Published score ${score}`);
+    return event;
+  }
+
+  /**
+   * Load a ranking
+   * @param {string} [period] - "all", "daily" (since 00:00 UTC) or "weekly" (since Monday 00:00 UTC)
+   * @param {Object} [options]
+   * @param {string} [options.mode] - GameModes key of the board (default: classic)
+   * @param {number} [options.limit] - Rows to return
+   * @param {number} [options.now] - Unix ms
+   * @param {number} [options.until] - Unix ms; only scores published before it
+   * @returns {Promise<Array<Object>>} Entries with rank, pubkey, name, score, date
+   */
+  async load(period = "all", { mode = "classic", limit = 20, now = Date.now(), until = null } = {}) {
+    if (!Leaderboard.PERIODS.includes(period)) {
+      throw new Error(`Unknown leaderboard period: ${period}`);
+    }
+
+    const filter = { kinds: [Leaderboard.SCORE_KIND], "#t": [Leaderboard.TAG] };
+    const since = Leaderboard.periodStart(period, now);
+    if (since !== null) filter.since = Math.floor(since / 1000);
+    if (until !== null) filter.until = Math.ceil(until / 1000) - 1;
+    // Classic scores from before modes have no label, so classic filters here
+    if (mode !== "classic") filter["#l"] = [mode];
+
+    const events = await this.fetchScores(filter);
+    const parsed = events.map(Leaderboard.parseScoreEvent)
+      .filter(entry => entry && entry.mode === mode);
+    const entries = Leaderboard.rank(await this.selectVerified(parsed, limit));
+
+    await this.fetchProfiles(entries.map(entry => entry.pubkey));
+    return entries.map(entry => ({
+      ...entry,
+      name: Leaderboard.displayName(this.profiles.get(entry.pubkey), entry.pubkey),
+    }));
+  }
+
+  /**
+   * Every score event matching the filter, newest pages first
+   * Relays cap how many events one request returns, so each page asks for
+   * events up to the oldest second already seen until a page brings nothing new
+   * @param {Object} filter - Score filter, without limit
+   * @returns {Promise<Array<Object>>} Events
+   */
+  async fetchScores(filter) {
+    const events = new Map();
+    let until = filter.until;
+    for (;;) {
+      const page = { ...filter, limit: Leaderboard.PAGE_SIZE };
+      if (until !== undefined) page.until = until;
+      const batch = await this.relayManager.query(page, this.relayManager.relays);
+      if (!batch.length) break;
+
+      const fresh = batch.filter(event => !events.has(event.id));
+      fresh.forEach(event => events.set(event.id, event));
+      const oldest = Math.min(...batch.map(event => event.created_at));
+      if (fresh.length) {
+        // Inclusive, so events sharing the page's last second aren't skipped
+        until = oldest;
+      } else if (oldest === until) {
+        // A full page from one second; nothing more to get from it
+        until = oldest - 1;
+      } else {
+        break;
+      }
+    }
+    return [...events.values()];
+  }
+
+  /**
+   * Each player's best score that passes verification, best players first
+   * Works down from the top so only scores that could make the board get
+   * re-simulated; a player whose best score fails falls back to their next one
+   * @param {Array<Object>} entries - Parsed score entries
+   * @param {number} limit - Players wanted
+   * @returns {Promise<Array<Object>>} At most one entry per player
+   */
+  async selectVerified(entries, limit) {
+    let remaining = [...entries].sort((a, b) => (Leaderboard.isBetter(a, b) ? -1 : 1));
+    const verified = [];
+
+    while (remaining.length && verified.length < limit) {
+      // The best unchecked score of each player not yet on the board
+      const batch = [];
+      const players = new Set();
+      for (const entry of remaining) {
+        if (players.has(entry.pubkey)) continue;
+        players.add(entry.pubkey);
+        batch.push(entry);
+        if (verified.length + batch.length >= limit) break;
+      }
+
+      const results = await this.verifier.checkAll(batch);
+      batch.forEach((entry, i) => {
+        if (results[i].valid) verified.push(entry);
+      });
+
+      const checked = new Set(batch.map(entry => entry.id));
+      const placed = new Set(verified.map(entry => entry.pubkey));
+      remaining = remaining.filter(entry => !checked.has(entry.id) && !placed.has(entry.pubkey));
+    }
+    return verified;
+  }
+
+  /**
+   * Start of a period in Unix ms (null for all-time)
+   */
+  static periodStart(period, now = Date.now()) {
+    if (period === "all") return null;
+    const start = new Date(now);
+    start.setUTCHours(0, 0, 0, 0);
+    if (period === "weekly") {
+      const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+      start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+    }
+    return start.getTime();
+  }
+
+  /**
+   * Read a score event
+   * @returns {Object|null} Entry, or null if it isn't a well-formed score
+   */
+  static parseScoreEvent(event) {
+    if (!event || event.kind !== Leaderboard.SCORE_KIND) return null;
+    const tag = (name) => event.tags.find(t => t[0] === name);
+    if (!event.tags.some(t => t[0] === "t" && t[1] === Leaderboard.TAG)) return null;
+
+    const score = Number(tag("score")?.[1]);
+    if (!Number.isInteger(score) || score < 0) return null;
+
+    const receipt = event.tags.find(t => t[0] === "e" && t[3] === "receipt");
+    const mode = event.tags.find(t => t[0] === "l" && t[2] === Leaderboard.MODE_LABEL);
+    return {
+      id: event.id,
+      pubkey: event.pubkey,
+      score,
+      mode: mode ? mode[1] : "classic",
+      version: Number(tag("version")?.[1]) || null,
+      date: tag("date")?.[1] || new Date(event.created_at * 1000).toISOString().slice(0, 10),
+      createdAt: event.created_at,
+      receiptId: receipt ? receipt[1] : null,
+      paymentHash: tag("payment_hash")?.[1] || null,
+      replay: tag("replay")?.[1] || null,
+      event,
+    };
+  }
+
+  /**
+   * Best score per player, highest first; ties go to whoever got there first
+   * @param {Array<Object>} entries - From parseScoreEvent
+   * @returns {Array<Object>} Entries with a rank
+   */
+  static rank(entries) {
+    const best = new Map();
+    for (const entry of entries) {
+      const current = best.get(entry.pubkey);
+      if (!current || Leaderboard.isBetter(entry, current)) best.set(entry.pubkey, entry);
+    }
+    return [...best.values()]
+      .sort((a, b) => (Leaderboard.isBetter(a, b) ? -1 : 1))
+      .map((entry, index) => ({ ...entry, rank: index + 1 }));
+  }
+
+  /**
+   * Whether score entry a ranks above b
+   */
+  static isBetter(a, b) {
+    return a.score > b.score || (a.score === b.score && a.createdAt < b.createdAt);
+  }
+
+  /**
+   * Fetch kind-0 profiles that aren't cached yet (newest event per pubkey)
+   * @param {string[]} pubkeys
+   */
+  async fetchProfiles(pubkeys) {
+    const missing = [...new Set(pubkeys)].filter(pubkey => !this.profiles.has(pubkey));
+    if (!missing.length) return;
+
+    const events = await this.relayManager.query({ kinds: [0], authors: missing }, this.relayManager.relays);
+    const newest = new Map();
+    for (const event of events) {
+      const current = newest.get(event.pubkey);
+      if (!current || event.created_at > current.created_at) newest.set(event.pubkey, event);
+    }
+
+    for (const pubkey of missing) {
+      let profile = null;
+      try {
+        profile = newest.has(pubkey) ? JSON.parse(newest.get(pubkey).content) : null;
+      } catch (error) {
+        console.warn(`[Leaderboard] Unreadable profile for ${pubkey}`);
+      }
+      this.profiles.set(pubkey, profile);
+    }
+  }
+
+  /**
+   * Name to show for a player: profile display name, name, or a short key
+   */
+  static displayName(profile, pubkey) {
+    const name = profile && (profile.display_name || profile.displayName || profile.name);
+    return typeof name === 'string' && name.trim()
+      ? name.trim().slice(0, 32)
+      : `${pubkey.slice(0, 8)}…${pubkey.slice(-4)}`;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Leaderboard;
+}
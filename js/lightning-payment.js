@@ -1,6 +1,8 @@
 /**
  * Lightning Payment UI Manager
  * Handles LNURL payment requests and UI for SatSnake
+ * Depends on nostr-crypto.js, lnurl.js, bolt11.js, zap-split.js and nostr-signer.js
+ * being loaded first
  */
 
 class LightningPaymentManager {
@@ -8,11 +10,24 @@ class LightningPaymentManager {
     this.config = config;
     this.currentSession = null;
     this.paymentInProgress = false;
+    this.signer = null;
+  }
+
+  /**
+   * Get the signer used for zap requests (NIP-07 or ephemeral key)
+   * @returns {Promise<NostrSigner>}
+   */
+  async getSigner() {
+    if (!this.signer) {
+      this.signer = await NostrSigner.create();
+    }
+    return this.signer;
   }
 
   /**
    * Initiate payment flow
-   * Creates a zap request and gets invoice from LNURL endpoint
+   * Creates a zap request (when the recipient supports NIP-57) and gets
+   * an invoice from the LNURL endpoint
    */
   async initiatePayment(amountSats = null) {
     try {
@@ -30,6 +45,11 @@ class LightningPaymentManager {
       const sessionId = this.generateSessionId();
       const amountMsats = amount * 1000;
 
+      // Several recipients: one zap per share
+      if (ZapSplit.isSplit(this.config)) {
+        return await this.initiateSplitPayment(sessionId, amount);
+      }
+
       // Fetch LNURL endpoint metadata
       const lnurlData = await this.fetchLnurlMetadata();
       if (!lnurlData) {
@@ -37,40 +57,58 @@ class LightningPaymentManager {
       }
 
       // Check if LNURL supports NIP-57 (nostr zaps)
-      if (!lnurlData.allowsNostr) {
+      const strategy = this.config.confirmationStrategy;
+      const zapEnabled = !!(lnurlData.allowsNostr && lnurlData.nostrPubkey) &&
+        strategy !== 'verify';
+      if (!zapEnabled && strategy === 'zap') {
         throw new Error(
           "Lightning Address does not support Nostr zaps (NIP-57)"
         );
       }
 
       // Create zap request event (kind 9734)
-      const zapRequest = this.createZapRequest(
-        sessionId,
-        amount,
-        lnurlData.nostrPubkey
-      );
-
-      console.log("[Lightning] Zap request created:", zapRequest);
+      let zapRequest = null;
+      if (zapEnabled) {
+        zapRequest = await this.createZapRequest(
+          sessionId,
+          amount,
+          // Zap the creator; the LNURL server's key only signs the receipt
+          this.config.recipientNostrPubkey || lnurlData.nostrPubkey,
+          lnurlData.lnurl
+        );
+        console.log("[Lightning] Zap request created:", zapRequest);
+      }
 
       // Get invoice from LNURL callback
-      const invoice = await this.getInvoiceFromCallback(
+      const callbackResult = await this.getInvoiceFromCallback(
         lnurlData.callback,
         amountMsats,
         zapRequest,
         lnurlData.lnurl
       );
 
-      if (!invoice) {
+      if (!callbackResult) {
         throw new Error("Failed to get invoice from LNURL");
       }
 
+      const { invoice, verifyUrl } = callbackResult;
+
+      // Without a zap receipt we need LUD-21 to know the invoice was paid
+      if (!zapEnabled && !verifyUrl) {
+        throw new Error(
+          "Recipient supports neither Nostr zaps (NIP-57) nor a verify URL (LUD-21)"
+        );
+      }
+
       // Store session info
       this.currentSession = {
         id: sessionId,
         amountSats: amount,
         amountMsats,
         invoice,
+        verifyUrl,
         zapRequest,
+        payerPubkey: zapRequest ? zapRequest.pubkey : null,
         createdAt: Date.now(),
       };
 
@@ -79,6 +117,13 @@ class LightningPaymentManager {
         invoice,
         amountSats: amount,
         sessionId,
+        verifyUrl,
+        zapEnabled,
+        payer: zapRequest ? {
+          pubkey: zapRequest.pubkey,
+          type: this.signer.type,
+          label: this.signer.describe(),
+        } : null,
       };
     } catch (error) {
       console.error("[Lightning] Payment initiation error:", error);
@@ -88,15 +133,81 @@ class LightningPaymentManager {
   }
 
   /**
-   * Fetch LNURL metadata from Lightning Address domain
+   * Create one zap request and invoice per zap split share
+   * Split payments are confirmed by zap receipts only, so every recipient
+   * must support NIP-57
+   * @param {string} sessionId - Game session shared by all legs
+   * @param {number} amount - Total in satoshis
+   * @returns {Promise<Object>} Payment result with legs; invoice is the first leg's
    */
-  async fetchLnurlMetadata() {
-    try {
-      const [username, domain] = this.config.recipientLightningAddress.split(
-        '@'
+  async initiateSplitPayment(sessionId, amount) {
+    if (this.config.confirmationStrategy === 'verify') {
+      throw new Error("Zap splits are confirmed by zap receipts - use the \"zap\" or \"first\" strategy");
+    }
+
+    const legs = ZapSplit.shares(amount, ZapSplit.recipients(this.config));
+    let zapRequest = null;
+    for (const leg of legs) {
+      const lnurlData = await this.fetchLnurlMetadata(leg.lightningAddress);
+      if (!lnurlData) {
+        throw new Error(`Failed to fetch LNURL metadata for ${leg.lightningAddress}`);
+      }
+      if (!lnurlData.allowsNostr || !lnurlData.nostrPubkey) {
+        throw new Error(`${leg.lightningAddress} does not support Nostr zaps (NIP-57)`);
+      }
+
+      zapRequest = await this.createZapRequest(
+        sessionId,
+        leg.amountSats,
+        lnurlData.nostrPubkey,
+        lnurlData.lnurl
       );
+      const callbackResult = await this.getInvoiceFromCallback(
+        lnurlData.callback,
+        leg.amountSats * 1000,
+        zapRequest,
+        lnurlData.lnurl
+      );
+      if (!callbackResult) {
+        throw new Error(`Failed to get invoice for ${leg.lightningAddress}`);
+      }
+      leg.invoice = callbackResult.invoice;
+    }
+
+    this.currentSession = {
+      id: sessionId,
+      amountSats: amount,
+      amountMsats: amount * 1000,
+      invoice: legs[0].invoice,
+      legs,
+      payerPubkey: zapRequest.pubkey,
+      createdAt: Date.now(),
+    };
+
+    console.log(`[Lightning] ${legs.length} split invoices received, ready for payment`);
+    return {
+      invoice: legs[0].invoice,
+      amountSats: amount,
+      sessionId,
+      verifyUrl: null,
+      zapEnabled: true,
+      legs,
+      payer: {
+        pubkey: zapRequest.pubkey,
+        type: this.signer.type,
+        label: this.signer.describe(),
+      },
+    };
+  }
 
-      const url = `https://${domain}/.well-known/lnurlp/${username}`;
+  /**
+   * Fetch LNURL metadata for a recipient (default: the configured one)
+   * The recipient may be a Lightning Address, an LNURL or a lightning: URI
+   * @param {string} [recipient]
+   */
+  async fetchLnurlMetadata(recipient = this.config.recipientLightningAddress) {
+    try {
+      const url = Lnurl.resolvePayUrl(recipient, this.config.devHarnessUrl);
       console.log(`[Lightning] Fetching LNURL metadata: ${url}`);
 
       const response = await fetch(url);
@@ -116,13 +227,12 @@ class LightningPaymentManager {
       }
 
       // Encode LNURL for zap requests (bech32)
-      const lnurl = this.encodeLnurl(url);
+      const lnurl = Lnurl.encode(url);
 
       return {
         ...data,
         lnurl,
-        domain,
-        username,
+        domain: new URL(url).host,
       };
     } catch (error) {
       console.error("[Lightning] Error fetching LNURL metadata:", error);
@@ -131,45 +241,43 @@ class LightningPaymentManager {
   }
 
   /**
-   * Create a zap request event (NIP-57 kind 9734)
+   * Create a signed zap request event (NIP-57 kind 9734)
    */
-  createZapRequest(sessionId, amountSats, recipientPubkey) {
+  async createZapRequest(sessionId, amountSats, recipientPubkey, lnurl) {
     const now = Math.floor(Date.now() / 1000);
     const amountMsats = amountSats * 1000;
 
-    const event = {
+    const template = {
       kind: 9734, // Zap request
       content: `SatSnake game session: ${sessionId}`,
-      pubkey: "", // In browser, we don't know our own pubkey unless authenticated
       created_at: now,
       tags: [
-        ["relays", ...this.config.relays],
+        // Configured + recipient's NIP-65 relays, once discovered
+        ["relays", ...(this.config.zapRelays.length ? this.config.zapRelays : this.config.relays)],
         ["amount", amountMsats.toString()],
-        ["lnurl", this.config.recipientLightningAddress],
+        ["lnurl", lnurl],
         ["p", recipientPubkey],
+        ["session", sessionId],
       ],
     };
 
-    // Note: In a full implementation, you'd sign this with NIP-07 extension
-    // For now, we'll let the LNURL server handle it
-    // const signed = await signEvent(event, privateKey);
-    // return signed;
-
-    return event;
+    // LNURL servers reject unsigned zap requests
+    const signer = await this.getSigner();
+    return signer.signEvent(template);
   }
 
   /**
-   * Get invoice from LNURL callback using zap request
+   * Get invoice from LNURL callback, with a zap request when given one
+   * @returns {Promise<{invoice: string, verifyUrl: string|null}|null>}
    */
   async getInvoiceFromCallback(callback, amountMsats, zapRequest, lnurl) {
     try {
-      // Encode the zap request as required by NIP-57
-      const zapRequestJson = JSON.stringify(zapRequest);
-      const encodedZapRequest = encodeURIComponent(zapRequestJson);
-
       const callbackUrl = new URL(callback);
       callbackUrl.searchParams.append('amount', amountMsats.toString());
-      callbackUrl.searchParams.append('nostr', encodedZapRequest);
+      if (zapRequest) {
+        // NIP-57: URI-encoded zap request JSON (searchParams does the encoding)
+        callbackUrl.searchParams.append('nostr', JSON.stringify(zapRequest));
+      }
       if (lnurl) {
         callbackUrl.searchParams.append('lnurl', lnurl);
       }
@@ -192,7 +300,10 @@ class LightningPaymentManager {
       }
 
       console.log("[Lightning] Invoice received");
-      return data.pr; // BOLT11 invoice
+      return {
+        invoice: data.pr, // BOLT11 invoice
+        verifyUrl: data.verify || null, // LUD-21
+      };
     } catch (error) {
       console.error("[Lightning] Error getting invoice:", error);
       return null;
@@ -200,21 +311,30 @@ class LightningPaymentManager {
   }
 
   /**
-   * Generate a unique session ID
+   * Check that a payment preimage belongs to an invoice
+   * sha256(preimage) must equal the invoice's payment hash
+   * @param {string} invoice - BOLT11 invoice
+   * @param {string} preimage - Hex preimage returned by the wallet
+   * @returns {boolean}
    */
-  generateSessionId() {
-    return `satsnake-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  verifyPreimage(invoice, preimage) {
+    if (typeof preimage !== 'string' || !/^[0-9a-f]{64}$/i.test(preimage)) {
+      return false;
+    }
+    try {
+      const { paymentHash } = Bolt11.decode(invoice);
+      return NostrCrypto.sha256Hex(NostrCrypto.hexToBytes(preimage)) === paymentHash;
+    } catch (error) {
+      console.error("[Lightning] Could not verify preimage:", error);
+      return false;
+    }
   }
 
   /**
-   * Encode LNURL (bech32 encoding)
-   * For a full implementation, use a bech32 library
+   * Generate a unique session ID
    */
-  encodeLnurl(url) {
-    // This is a simplified version
-    // In production, use: https://www.npmjs.com/package/bech32
-    // or another bech32 encoder
-    return 'lnurl1' + btoa(url).replace(/=/g, '').toLowerCase();
+  generateSessionId() {
+    return `satsnake-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
@@ -228,9 +348,7 @@ class LightningPaymentManager {
       // Create a simple Lightning URI
       const lightningUri = `lightning:${invoice}`;
 
-      // Use a QR code library (e.g., QRCode.js)
-      // Install with: npm install qrcode
-      // or use CDN: <script src="https://cdnjs.cloudflare.com/ajax/libs/qrcode.js/1.5.0/qrcode.min.js"></script>
+      // QRCode.js (index.html loads it from cdnjs: qrcodejs/1.0.0)
 
       if (typeof QRCode !== 'undefined') {
         const qr = new QRCode(container, {
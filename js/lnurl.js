@@ -0,0 +1,285 @@
+/**
+ * LNURL Codec - Shared bech32 / LNURL / Lightning Address helpers for SatSnake
+ * LUD-01 (bech32 LNURLs), LUD-16 (Lightning Addresses), LUD-17 (URI schemes)
+ * Loaded as a classic script so both the global scripts and ES modules can use it
+ */
+
+class Lnurl {
+  static CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+
+  /**
+   * Encode a URL as a bech32 LNURL (LUD-01)
+   * @param {string} url - https:// (or http://*.onion) URL
+   * @returns {string} Uppercase LNURL1... string, as wallets expect in QR codes
+   */
+  static encode(url) {
+    const bytes = new TextEncoder().encode(url);
+    return Lnurl.bech32Encode("lnurl", Lnurl.toWords(bytes)).toUpperCase();
+  }
+
+  /**
+   * Decode a bech32 LNURL back to its URL (LUD-01)
+   * @param {string} lnurl - LNURL1... string, optionally lightning: prefixed
+   * @returns {string} Decoded URL
+   */
+  static decode(lnurl) {
+    const value = Lnurl.stripScheme(lnurl.trim());
+    const { prefix, words } = Lnurl.bech32Decode(value);
+    if (prefix !== "lnurl") {
+      throw new Error(`Not an LNURL (prefix "${prefix}")`);
+    }
+    const url = new TextDecoder().decode(Lnurl.fromWords(words, true));
+    if (!Lnurl.isAllowedUrl(url)) {
+      throw new Error("LNURL does not decode to an https:// or .onion URL");
+    }
+    return url;
+  }
+
+  /**
+   * Check whether a string looks like a bech32 LNURL
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static isLnurl(value) {
+    return typeof value === "string" && /^lnurl1[02-9ac-hj-np-z]+$/i.test(Lnurl.stripScheme(value.trim()));
+  }
+
+  /**
+   * Parse a Lightning Address into its LUD-16 pay endpoint
+   * @param {string} address - user@domain
+   * @returns {{username: string, domain: string, url: string}}
+   */
+  static parseLightningAddress(address) {
+    const match = typeof address === "string" &&
+      address.trim().match(/^([a-z0-9\-_.+]+)@([a-z0-9\-.]+\.[a-z0-9\-]+(?::\d+)?)$/i);
+    if (!match) {
+      throw new Error(`Invalid Lightning Address: ${address}`);
+    }
+    const username = match[1].toLowerCase();
+    const domain = match[2].toLowerCase();
+    // LUD-16: onion services are reached over plain http
+    const protocol = /\.onion(:\d+)?$/.test(domain) ? "http" : "https";
+    return {
+      username,
+      domain,
+      url: `${protocol}://${domain}/.well-known/lnurlp/${username}`,
+    };
+  }
+
+  /**
+   * Check whether a string looks like a Lightning Address
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static isLightningAddress(value) {
+    try {
+      Lnurl.parseLightningAddress(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a lightning: URI (or bare value) into what it points at
+   * @param {string} uri - lightning:lnurl1..., lightning:lnbc..., user@domain,
+   *   or a LUD-17 lnurlp:// / lnurlw:// URL
+   * @returns {{type: string, value: string, url?: string}}
+   *   type is 'lnurl', 'invoice' or 'address'
+   */
+  static parseLightningUri(uri) {
+    if (typeof uri !== "string" || !uri.trim()) {
+      throw new Error("Empty Lightning URI");
+    }
+    const value = Lnurl.stripScheme(uri.trim());
+
+    // LUD-17 schemes carry the URL directly
+    const lud17 = value.match(/^(lnurl[cwpa]):\/\/(.+)$/i);
+    if (lud17) {
+      const rest = lud17[2];
+      const protocol = /^[^/]+\.onion([:/]|$)/i.test(rest) ? "http" : "https";
+      return { type: "lnurl", value, url: `${protocol}://${rest}` };
+    }
+
+    if (Lnurl.isLnurl(value)) {
+      return { type: "lnurl", value: value.toUpperCase(), url: Lnurl.decode(value) };
+    }
+
+    if (/^ln(bcrt|bc|tbs|tb|sb)[0-9a-z]*1[02-9ac-hj-np-z]+$/i.test(value)) {
+      return { type: "invoice", value: value.toLowerCase() };
+    }
+
+    if (Lnurl.isLightningAddress(value)) {
+      const parsed = Lnurl.parseLightningAddress(value);
+      return { type: "address", value: `${parsed.username}@${parsed.domain}`, url: parsed.url };
+    }
+
+    throw new Error(`Unrecognised Lightning URI: ${uri}`);
+  }
+
+  /**
+   * Resolve a configured recipient to its LNURL-pay endpoint
+   * @param {string} recipient - Lightning Address, LNURL or lightning: URI
+   * @param {string} [originOverride] - Serve the endpoint from this origin
+   *   instead (e.g. the local dev harness at http://localhost:8787)
+   * @returns {string} https:// endpoint to fetch pay metadata from
+   */
+  static resolvePayUrl(recipient, originOverride = null) {
+    const parsed = Lnurl.parseLightningUri(recipient);
+    if (parsed.type === "invoice") {
+      throw new Error("Recipient must be a Lightning Address or LNURL, not an invoice");
+    }
+    if (!originOverride) {
+      return parsed.url;
+    }
+    const url = new URL(parsed.url);
+    return originOverride.replace(/\/+$/, "") + url.pathname + url.search;
+  }
+
+  /**
+   * Remove a leading lightning: scheme
+   */
+  static stripScheme(value) {
+    return value.replace(/^lightning:(\/\/)?/i, "");
+  }
+
+  /**
+   * LUD-01 only allows https, or http for onion services
+   */
+  static isAllowedUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === "https:" ||
+        (parsed.protocol === "http:" && parsed.hostname.endsWith(".onion"));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Bech32 encode (no length limit, LNURLs and invoices exceed 90 chars)
+   * @param {string} prefix - Human-readable part
+   * @param {number[]} words - 5-bit data words
+   * @returns {string} Lowercase bech32 string
+   */
+  static bech32Encode(prefix, words) {
+    const checksum = Lnurl.createChecksum(prefix, words);
+    return prefix + "1" + [...words, ...checksum].map(w => Lnurl.CHARSET[w]).join("");
+  }
+
+  /**
+   * Bech32 decode with checksum verification
+   * @param {string} str
+   * @returns {{prefix: string, words: number[]}} Data words without checksum
+   */
+  static bech32Decode(str) {
+    if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+      throw new Error("Mixed-case bech32 string");
+    }
+    const lower = str.toLowerCase();
+    const sep = lower.lastIndexOf("1");
+    if (sep < 1 || sep + 7 > lower.length) {
+      throw new Error("Invalid bech32 separator position");
+    }
+
+    const prefix = lower.slice(0, sep);
+    const words = [];
+    for (const char of lower.slice(sep + 1)) {
+      const value = Lnurl.CHARSET.indexOf(char);
+      if (value === -1) {
+        throw new Error(`Invalid bech32 character: ${char}`);
+      }
+      words.push(value);
+    }
+
+    if (Lnurl.polymod([...Lnurl.hrpExpand(prefix), ...words]) !== 1) {
+      throw new Error("Invalid bech32 checksum");
+    }
+
+    return { prefix, words: words.slice(0, -6) };
+  }
+
+  static createChecksum(prefix, words) {
+    const mod = Lnurl.polymod([...Lnurl.hrpExpand(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+    const checksum = [];
+    for (let i = 0; i < 6; i++) {
+      checksum.push((mod >>> (5 * (5 - i))) & 31);
+    }
+    return checksum;
+  }
+
+  static hrpExpand(prefix) {
+    const high = [];
+    const low = [];
+    for (const char of prefix) {
+      high.push(char.charCodeAt(0) >> 5);
+      low.push(char.charCodeAt(0) & 31);
+    }
+    return [...high, 0, ...low];
+  }
+
+  static polymod(values) {
+    const gen = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let chk = 1;
+    for (const v of values) {
+      const top = chk >>> 25;
+      chk = ((chk & 0x1ffffff) << 5) ^ v;
+      for (let i = 0; i < 5; i++) {
+        if ((top >>> i) & 1) chk ^= gen[i];
+      }
+    }
+    return chk;
+  }
+
+  /**
+   * Regroup bytes into 5-bit words (zero-padded)
+   * @param {Uint8Array} bytes
+   * @returns {number[]}
+   */
+  static toWords(bytes) {
+    const words = [];
+    let acc = 0;
+    let bits = 0;
+    for (const b of bytes) {
+      acc = ((acc << 8) | b) & 0x1fff;
+      bits += 8;
+      while (bits >= 5) {
+        bits -= 5;
+        words.push((acc >> bits) & 31);
+      }
+    }
+    if (bits > 0) {
+      words.push((acc << (5 - bits)) & 31);
+    }
+    return words;
+  }
+
+  /**
+   * Regroup 5-bit words into bytes
+   * @param {number[]} words
+   * @param {boolean} strict - Reject leftover non-zero padding bits
+   * @returns {Uint8Array}
+   */
+  static fromWords(words, strict) {
+    const bytes = [];
+    let acc = 0;
+    let bits = 0;
+    for (const w of words) {
+      acc = ((acc << 5) | w) & 0xfff;
+      bits += 5;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes.push((acc >> bits) & 0xff);
+      }
+    }
+    if (strict && bits > 0 && ((acc << (8 - bits)) & 0xff) !== 0) {
+      throw new Error("Non-zero padding in bech32 data");
+    }
+    return new Uint8Array(bytes);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Lnurl;
+}
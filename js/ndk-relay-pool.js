@@ -0,0 +1,294 @@
+/**
+ * NDK Relay Pool - RelayPool's interface on top of NDK (Nostr Development Kit)
+ * The relay client the game page uses. NDK reconnects dropped relays with
+ * its own backoff; events are deduplicated and verified here the same way
+ * RelayPool does, and relay health is tracked from the NDK pool's events
+ * Depends on NDK, nostr-crypto.js and relay-pool.js being loaded first
+ */
+
+class NdkRelayPool {
+  /**
+   * @param {string[]} relayUrls - Relay WebSocket URLs
+   * @param {Object} options
+   * @param {number} options.timeout - Connect / query / publish timeout in milliseconds
+   */
+  constructor(relayUrls, options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.ndk = new NDK({ explicitRelayUrls: relayUrls });
+    this.statusListeners = new Set();
+    this.health = new Map(); // normalized url -> {status, connects, failures, latencyMs, lastError, startedAt}
+
+    const pool = this.ndk.pool;
+    pool.on('relay:connecting', (relay) => {
+      this.updateHealth(relay, (health) => {
+        health.status = 'connecting';
+        health.startedAt = Date.now();
+      });
+    });
+    pool.on('relay:connect', (relay) => {
+      this.updateHealth(relay, (health) => {
+        health.status = 'connected';
+        health.connects++;
+        if (health.startedAt) health.latencyMs = Date.now() - health.startedAt;
+      });
+    });
+    pool.on('relay:disconnect', (relay) => {
+      this.updateHealth(relay, (health) => {
+        // NDK retries on its own; "waiting" like a RelayPool relay in backoff
+        if (health.status === 'connected') {
+          health.failures++;
+          health.lastError = 'connection dropped';
+        }
+        health.status = 'waiting';
+      });
+    });
+  }
+
+  /**
+   * Add a relay to the pool
+   * @param {string} url - Relay WebSocket URL
+   * @param {boolean} connect - Connect right away
+   */
+  addRelay(url, connect = false) {
+    if (!this.has(url)) {
+      this.ndk.addExplicitRelay(url, undefined, connect);
+      this.notifyStatus();
+    }
+  }
+
+  /**
+   * Whether a relay is in the pool
+   * NDK keeps its own URL form ("wss://a.com/"), so compare normalized
+   */
+  has(url) {
+    return Boolean(this.findRelay(url));
+  }
+
+  findRelay(url) {
+    const normalized = RelayPool.normalizeUrl(url);
+    for (const relay of this.ndk.pool.relays.values()) {
+      if (RelayPool.normalizeUrl(relay.url) === normalized) return relay;
+    }
+    return null;
+  }
+
+  /**
+   * Connect to every relay in the pool
+   * @returns {Promise<number>} Number of relays connected
+   */
+  async connect() {
+    await this.ndk.connect(this.timeout);
+    const connected = this.connectedUrls();
+    // Relays NDK gave up waiting for are still retrying in the background
+    for (const relay of this.ndk.pool.relays.values()) {
+      if (!connected.has(RelayPool.normalizeUrl(relay.url))) {
+        this.updateHealth(relay, (health) => {
+          health.failures++;
+          health.lastError = 'connection timed out';
+          health.status = 'waiting';
+        });
+      }
+    }
+    return connected.size;
+  }
+
+  /**
+   * Subscribe across the pool
+   * Each event is delivered once, however many relays send it; copies that
+   * fail NIP-01 verification are dropped
+   * @param {Object} filter - NIP-01 filter
+   * @param {Function} onEvent - Called with (event, relayUrl)
+   * @param {string[]} [relayUrls] - Limit to these relays
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(filter, onEvent, relayUrls = null) {
+    const sub = this.ndk.subscribe(
+      filter,
+      {
+        closeOnEose: false, // Keep connection open
+        groupable: false,   // Don't delay
+      },
+      this.getRelaySet(relayUrls)
+    );
+    const deliver = this.verifier();
+    sub.on('event', (ndkEvent, relay) => {
+      const relayUrl = relay ? RelayPool.normalizeUrl(relay.url) : null;
+      const event = deliver(ndkEvent, relayUrl);
+      if (event) onEvent(event, relayUrl);
+    });
+    return () => sub.stop();
+  }
+
+  /**
+   * Fetch stored events once
+   * Resolves at EOSE, or with whatever arrived by the timeout
+   * @param {Object} filter - NIP-01 filter
+   * @param {string[]} [relayUrls] - Limit to these relays
+   * @returns {Promise<Object[]>} Verified events, deduplicated by id
+   */
+  query(filter, relayUrls = null) {
+    if (!this.connectedUrls().size) return Promise.resolve([]);
+
+    return new Promise((resolve) => {
+      const events = [];
+      const deliver = this.verifier();
+      const sub = this.ndk.subscribe(
+        filter,
+        { closeOnEose: true, groupable: false },
+        this.getRelaySet(relayUrls)
+      );
+      let done = false;
+      const finish = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        sub.stop();
+        resolve(events);
+      };
+      const timer = setTimeout(finish, this.timeout);
+      sub.on('event', (ndkEvent, relay) => {
+        const event = deliver(ndkEvent, relay ? relay.url : null);
+        if (event) events.push(event);
+      });
+      sub.on('eose', finish);
+    });
+  }
+
+  /**
+   * Publish to the pool
+   * @param {Object} event - Signed event
+   * @param {string[]} [relayUrls] - Limit to these relays
+   * @returns {Promise<string>} Resolves with a relay that accepted
+   */
+  async publish(event, relayUrls = null) {
+    let published;
+    try {
+      published = await new NDKEvent(this.ndk, event).publish(this.getRelaySet(relayUrls), this.timeout);
+    } catch (error) {
+      throw new Error("No relay accepted the event");
+    }
+    const [relay] = published || [];
+    if (!relay) {
+      throw new Error("No relay accepted the event");
+    }
+    return RelayPool.normalizeUrl(relay.url);
+  }
+
+  /**
+   * Turn NDK events into raw events, dropping repeats and copies that fail
+   * NIP-01 verification
+   * @returns {Function} (ndkEvent, relayUrl) => raw event or null
+   */
+  verifier() {
+    const seen = new Set();
+    return (ndkEvent, relayUrl) => {
+      const event = typeof ndkEvent.rawEvent === 'function' ? ndkEvent.rawEvent() : ndkEvent;
+      if (!event || seen.has(event.id)) return null;
+      const check = NostrCrypto.verifyEvent(event);
+      if (!check.valid) {
+        console.warn(`[Relay] Dropping invalid event from ${relayUrl}:`, check.reason);
+        return null;
+      }
+      seen.add(event.id);
+      return event;
+    };
+  }
+
+  /**
+   * NDK relay set for the given relays (adding unknown ones), or undefined
+   * for the whole pool
+   */
+  getRelaySet(relayUrls) {
+    if (!relayUrls) return undefined;
+    for (const url of relayUrls) {
+      this.addRelay(url, true);
+    }
+    return NDKRelaySet.fromRelayUrls(relayUrls, this.ndk);
+  }
+
+  connectedUrls() {
+    return new Set(this.ndk.pool.connectedRelays().map(relay => RelayPool.normalizeUrl(relay.url)));
+  }
+
+  updateHealth(relay, change) {
+    const url = RelayPool.normalizeUrl(relay.url);
+    if (!this.health.has(url)) {
+      this.health.set(url, {
+        status: 'idle',
+        connects: 0,
+        failures: 0,
+        latencyMs: null,
+        lastError: null,
+        startedAt: null,
+      });
+    }
+    change(this.health.get(url));
+    this.notifyStatus();
+  }
+
+  /**
+   * Health of every relay in the pool, in RelayPool.getStatus()'s shape
+   * @returns {{connectedCount: number, total: number, relays: Object[]}}
+   */
+  getStatus() {
+    const connected = this.connectedUrls();
+    const relays = [...this.ndk.pool.relays.values()].map((relay) => {
+      const url = RelayPool.normalizeUrl(relay.url);
+      const health = this.health.get(url) || {};
+      const isConnected = connected.has(url);
+      return {
+        url,
+        status: isConnected ? 'connected' : (health.status === 'connected' ? 'waiting' : health.status || 'idle'),
+        connected: isConnected,
+        latencyMs: health.latencyMs ?? null,
+        failures: health.failures || 0,
+        connects: health.connects || 0,
+        lastError: health.lastError || null,
+        nextRetryAt: null, // NDK doesn't expose its retry schedule
+      };
+    });
+    return {
+      connectedCount: relays.filter(r => r.connected).length,
+      total: relays.length,
+      relays,
+    };
+  }
+
+  /**
+   * Observe relay health
+   * @param {Function} listener - Called with getStatus() now and on every change
+   * @returns {Function} Stop listening
+   */
+  onStatus(listener) {
+    this.statusListeners.add(listener);
+    listener(this.getStatus());
+    return () => this.statusListeners.delete(listener);
+  }
+
+  notifyStatus() {
+    if (!this.statusListeners.size) return;
+    const status = this.getStatus();
+    for (const listener of this.statusListeners) {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error("[Relay] Status listener failed:", error);
+      }
+    }
+  }
+
+  /**
+   * Close every relay connection
+   */
+  close() {
+    for (const relay of this.ndk.pool.relays.values()) {
+      relay.disconnect();
+    }
+    this.statusListeners.clear();
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NdkRelayPool;
+}
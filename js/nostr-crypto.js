@@ -0,0 +1,535 @@
+/**
+ * Nostr Crypto - Synchronous hashing, BIP-340 Schnorr and event ids for SatSnake
+ * Also NIP-04 encryption (async, via WebCrypto) for wallet connect messages
+ * Kept dependency-free so zap validation works without a bundler
+ */
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+// secp256k1 curve parameters
+const SECP256K1 = {
+  P: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn,
+  N: 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n,
+  Gx: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  Gy: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+};
+
+class NostrCrypto {
+  /**
+   * Encode a string as UTF-8 bytes
+   * @param {string} text
+   * @returns {Uint8Array}
+   */
+  static utf8Encode(text) {
+    return new TextEncoder().encode(text);
+  }
+
+  /**
+   * Convert bytes to a lowercase hex string
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static bytesToHex(bytes) {
+    let hex = "";
+    for (const b of bytes) {
+      hex += b.toString(16).padStart(2, "0");
+    }
+    return hex;
+  }
+
+  /**
+   * Convert a hex string to bytes
+   * @param {string} hex
+   * @returns {Uint8Array}
+   */
+  static hexToBytes(hex) {
+    if (typeof hex !== "string" || hex.length % 2 !== 0 || /[^0-9a-fA-F]/.test(hex)) {
+      throw new Error("Invalid hex string");
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * SHA-256 digest
+   * @param {string|Uint8Array} data - Strings are hashed as UTF-8
+   * @returns {Uint8Array} 32-byte digest
+   */
+  static sha256(data) {
+    const bytes = typeof data === "string" ? NostrCrypto.utf8Encode(data) : data;
+
+    // Pad: 0x80, zeros, then the 64-bit big-endian bit length
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    const bitLength = bytes.length * 8;
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    const h = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+      0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    const w = new Uint32Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+      for (let i = 0; i < 16; i++) {
+        w[i] = view.getUint32(offset + i * 4);
+      }
+      for (let i = 16; i < 64; i++) {
+        const s0 = NostrCrypto.rotr(w[i - 15], 7) ^ NostrCrypto.rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = NostrCrypto.rotr(w[i - 2], 17) ^ NostrCrypto.rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+      }
+
+      let [a, b, c, d, e, f, g, hh] = h;
+      for (let i = 0; i < 64; i++) {
+        const S1 = NostrCrypto.rotr(e, 6) ^ NostrCrypto.rotr(e, 11) ^ NostrCrypto.rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+        const S0 = NostrCrypto.rotr(a, 2) ^ NostrCrypto.rotr(a, 13) ^ NostrCrypto.rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) >>> 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) >>> 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) >>> 0;
+      }
+
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+      h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    for (let i = 0; i < 8; i++) {
+      digestView.setUint32(i * 4, h[i]);
+    }
+    return digest;
+  }
+
+  /**
+   * SHA-256 digest as hex
+   * @param {string|Uint8Array} data
+   * @returns {string}
+   */
+  static sha256Hex(data) {
+    return NostrCrypto.bytesToHex(NostrCrypto.sha256(data));
+  }
+
+  /**
+   * BIP-340 tagged hash: sha256(sha256(tag) || sha256(tag) || data)
+   * @param {string} tag
+   * @param {...Uint8Array} chunks
+   * @returns {Uint8Array}
+   */
+  static taggedHash(tag, ...chunks) {
+    const tagHash = NostrCrypto.sha256(tag);
+    const total = chunks.reduce((sum, c) => sum + c.length, 64);
+    const buf = new Uint8Array(total);
+    buf.set(tagHash, 0);
+    buf.set(tagHash, 32);
+    let offset = 64;
+    for (const c of chunks) {
+      buf.set(c, offset);
+      offset += c.length;
+    }
+    return NostrCrypto.sha256(buf);
+  }
+
+  /**
+   * Verify a BIP-340 Schnorr signature
+   * @param {string|Uint8Array} signature - 64-byte signature
+   * @param {string|Uint8Array} message - 32-byte message
+   * @param {string|Uint8Array} pubkey - 32-byte x-only public key
+   * @returns {boolean}
+   */
+  static schnorrVerify(signature, message, pubkey) {
+    try {
+      const sig = NostrCrypto.toBytes(signature);
+      const msg = NostrCrypto.toBytes(message);
+      const pub = NostrCrypto.toBytes(pubkey);
+      if (sig.length !== 64 || msg.length !== 32 || pub.length !== 32) {
+        return false;
+      }
+
+      const { P, N } = SECP256K1;
+      const point = NostrCrypto.liftX(NostrCrypto.bytesToBigInt(pub));
+      if (!point) return false;
+
+      const r = NostrCrypto.bytesToBigInt(sig.slice(0, 32));
+      const s = NostrCrypto.bytesToBigInt(sig.slice(32));
+      if (r >= P || s >= N) return false;
+
+      const e = NostrCrypto.bytesToBigInt(
+        NostrCrypto.taggedHash("BIP0340/challenge", sig.slice(0, 32), pub, msg)
+      ) % N;
+
+      // R = s*G - e*P
+      const R = NostrCrypto.toAffine(NostrCrypto.pointAdd(
+        NostrCrypto.pointMultiply(s, [SECP256K1.Gx, SECP256K1.Gy, 1n]),
+        NostrCrypto.pointMultiply(N - e, [point.x, point.y, 1n])
+      ));
+
+      return !!R && R.y % 2n === 0n && R.x === r;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a BIP-340 Schnorr signature
+   * @param {string|Uint8Array} message - 32-byte message
+   * @param {string|Uint8Array} secretKey - 32-byte secret key
+   * @param {Uint8Array} [auxRand] - 32 bytes of auxiliary randomness
+   * @returns {string} Hex signature
+   */
+  static schnorrSign(message, secretKey, auxRand = NostrCrypto.randomBytes(32)) {
+    const { N } = SECP256K1;
+    const msg = NostrCrypto.toBytes(message);
+    const d0 = NostrCrypto.bytesToBigInt(NostrCrypto.toBytes(secretKey));
+    if (msg.length !== 32) throw new Error("Message must be 32 bytes");
+    if (d0 <= 0n || d0 >= N) throw new Error("Invalid secret key");
+
+    const P = NostrCrypto.toAffine(NostrCrypto.pointMultiply(d0, [SECP256K1.Gx, SECP256K1.Gy, 1n]));
+    const d = P.y % 2n === 0n ? d0 : N - d0;
+    const px = NostrCrypto.bigIntToBytes(P.x);
+
+    const t = NostrCrypto.bigIntToBytes(
+      d ^ NostrCrypto.bytesToBigInt(NostrCrypto.taggedHash("BIP0340/aux", auxRand))
+    );
+    const k0 = NostrCrypto.bytesToBigInt(NostrCrypto.taggedHash("BIP0340/nonce", t, px, msg)) % N;
+    if (k0 === 0n) throw new Error("Signing failed, retry with fresh randomness");
+
+    const R = NostrCrypto.toAffine(NostrCrypto.pointMultiply(k0, [SECP256K1.Gx, SECP256K1.Gy, 1n]));
+    const k = R.y % 2n === 0n ? k0 : N - k0;
+    const rx = NostrCrypto.bigIntToBytes(R.x);
+    const e = NostrCrypto.bytesToBigInt(NostrCrypto.taggedHash("BIP0340/challenge", rx, px, msg)) % N;
+
+    return NostrCrypto.bytesToHex(rx) + NostrCrypto.bytesToHex(NostrCrypto.bigIntToBytes((k + e * d) % N));
+  }
+
+  /**
+   * Derive the x-only public key for a secret key
+   * @param {string|Uint8Array} secretKey - 32-byte secret key
+   * @returns {string} Hex public key
+   */
+  static getPublicKey(secretKey) {
+    const d = NostrCrypto.bytesToBigInt(NostrCrypto.toBytes(secretKey));
+    if (d <= 0n || d >= SECP256K1.N) throw new Error("Invalid secret key");
+    const P = NostrCrypto.toAffine(NostrCrypto.pointMultiply(d, [SECP256K1.Gx, SECP256K1.Gy, 1n]));
+    return NostrCrypto.bytesToHex(NostrCrypto.bigIntToBytes(P.x));
+  }
+
+  /**
+   * Generate a random secp256k1 secret key
+   * @returns {string} Hex secret key
+   */
+  static generateSecretKey() {
+    for (;;) {
+      const candidate = NostrCrypto.randomBytes(32);
+      const d = NostrCrypto.bytesToBigInt(candidate);
+      if (d > 0n && d < SECP256K1.N) {
+        return NostrCrypto.bytesToHex(candidate);
+      }
+    }
+  }
+
+  /**
+   * Cryptographically secure random bytes
+   * @param {number} length
+   * @returns {Uint8Array}
+   */
+  static randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    crypto.getRandomValues(bytes);
+    return bytes;
+  }
+
+  /**
+   * Fill in pubkey, id and sig for an event template
+   * @param {Object} template - Event with kind, tags, content, created_at
+   * @param {string} secretKey - Hex secret key
+   * @returns {Object} Signed event
+   */
+  static finalizeEvent(template, secretKey) {
+    const event = {
+      ...template,
+      pubkey: NostrCrypto.getPublicKey(secretKey),
+    };
+    event.id = NostrCrypto.getEventHash(event);
+    event.sig = NostrCrypto.schnorrSign(event.id, secretKey);
+    return event;
+  }
+
+  /**
+   * ECDH shared secret (x coordinate) between a secret key and an x-only pubkey
+   * @param {string} secretKey - Hex secret key
+   * @param {string} pubkey - Hex x-only public key
+   * @returns {Uint8Array} 32-byte shared x coordinate
+   */
+  static getSharedSecret(secretKey, pubkey) {
+    const point = NostrCrypto.liftX(NostrCrypto.bytesToBigInt(NostrCrypto.toBytes(pubkey)));
+    if (!point) throw new Error("Invalid public key");
+    const shared = NostrCrypto.toAffine(NostrCrypto.pointMultiply(
+      NostrCrypto.bytesToBigInt(NostrCrypto.toBytes(secretKey)),
+      [point.x, point.y, 1n]
+    ));
+    return NostrCrypto.bigIntToBytes(shared.x);
+  }
+
+  /**
+   * NIP-04 encrypt (AES-256-CBC keyed with the ECDH shared x coordinate)
+   * @param {string} secretKey - Sender's hex secret key
+   * @param {string} pubkey - Receiver's hex public key
+   * @param {string} text - Plaintext
+   * @returns {Promise<string>} "<base64 ciphertext>?iv=<base64 iv>"
+   */
+  static async nip04Encrypt(secretKey, pubkey, text) {
+    const key = await crypto.subtle.importKey(
+      "raw", NostrCrypto.getSharedSecret(secretKey, pubkey), { name: "AES-CBC" }, false, ["encrypt"]
+    );
+    const iv = NostrCrypto.randomBytes(16);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-CBC", iv }, key, NostrCrypto.utf8Encode(text)
+    );
+    return `${NostrCrypto.bytesToBase64(new Uint8Array(ciphertext))}?iv=${NostrCrypto.bytesToBase64(iv)}`;
+  }
+
+  /**
+   * NIP-04 decrypt
+   * @param {string} secretKey - Receiver's hex secret key
+   * @param {string} pubkey - Sender's hex public key
+   * @param {string} payload - "<base64 ciphertext>?iv=<base64 iv>"
+   * @returns {Promise<string>} Plaintext
+   */
+  static async nip04Decrypt(secretKey, pubkey, payload) {
+    const [data, ivPart] = String(payload).split("?iv=");
+    if (!data || !ivPart) throw new Error("Malformed NIP-04 payload");
+    const key = await crypto.subtle.importKey(
+      "raw", NostrCrypto.getSharedSecret(secretKey, pubkey), { name: "AES-CBC" }, false, ["decrypt"]
+    );
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-CBC", iv: NostrCrypto.base64ToBytes(ivPart) }, key, NostrCrypto.base64ToBytes(data)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  static bytesToBase64(bytes) {
+    let binary = "";
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary);
+  }
+
+  static base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  /**
+   * Compute a NIP-01 event id
+   * @param {Object} event - Event with pubkey, created_at, kind, tags, content
+   * @returns {string} Hex event id
+   */
+  static getEventHash(event) {
+    const serialized = JSON.stringify([
+      0,
+      event.pubkey,
+      event.created_at,
+      event.kind,
+      event.tags,
+      event.content,
+    ]);
+    return NostrCrypto.sha256Hex(serialized);
+  }
+
+  /**
+   * Check a Nostr event's id and signature
+   * @param {Object} event - Signed Nostr event
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  static verifyEvent(event) {
+    if (!event || typeof event !== "object") {
+      return { valid: false, reason: "Not an event" };
+    }
+    if (!/^[0-9a-f]{64}$/.test(event.pubkey || "")) {
+      return { valid: false, reason: "Malformed pubkey" };
+    }
+    if (!/^[0-9a-f]{128}$/.test(event.sig || "")) {
+      return { valid: false, reason: "Malformed signature" };
+    }
+    if (!Number.isInteger(event.created_at) || !Number.isInteger(event.kind) ||
+        !Array.isArray(event.tags) || typeof event.content !== "string") {
+      return { valid: false, reason: "Malformed event fields" };
+    }
+
+    const id = NostrCrypto.getEventHash(event);
+    if (id !== event.id) {
+      return { valid: false, reason: "Event id does not match content" };
+    }
+    if (!NostrCrypto.schnorrVerify(event.sig, id, event.pubkey)) {
+      return { valid: false, reason: "Bad Schnorr signature" };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Accept hex or bytes
+   */
+  static toBytes(value) {
+    return typeof value === "string" ? NostrCrypto.hexToBytes(value) : value;
+  }
+
+  static bytesToBigInt(bytes) {
+    return bytes.length ? BigInt("0x" + NostrCrypto.bytesToHex(bytes)) : 0n;
+  }
+
+  static bigIntToBytes(value) {
+    return NostrCrypto.hexToBytes(value.toString(16).padStart(64, "0"));
+  }
+
+  static mod(a, m = SECP256K1.P) {
+    const r = a % m;
+    return r >= 0n ? r : r + m;
+  }
+
+  static modPow(base, exp, m) {
+    let result = 1n;
+    base = NostrCrypto.mod(base, m);
+    while (exp > 0n) {
+      if (exp & 1n) result = (result * base) % m;
+      base = (base * base) % m;
+      exp >>= 1n;
+    }
+    return result;
+  }
+
+  static modInverse(a, m = SECP256K1.P) {
+    let [oldR, r] = [NostrCrypto.mod(a, m), m];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+      const q = oldR / r;
+      [oldR, r] = [r, oldR - q * r];
+      [oldS, s] = [s, oldS - q * s];
+    }
+    return NostrCrypto.mod(oldS, m);
+  }
+
+  /**
+   * Find the curve point with the given x and an even y
+   * @returns {{x: bigint, y: bigint}|null}
+   */
+  static liftX(x) {
+    const { P } = SECP256K1;
+    if (x >= P) return null;
+    const c = NostrCrypto.mod(x * x * x + 7n);
+    const y = NostrCrypto.modPow(c, (P + 1n) / 4n, P);
+    if ((y * y) % P !== c) return null;
+    return { x, y: y % 2n === 0n ? y : P - y };
+  }
+
+  /**
+   * Jacobian point doubling; points are [X, Y, Z] with Z = 0n at infinity
+   */
+  static pointDouble([x, y, z]) {
+    if (z === 0n || y === 0n) return [0n, 1n, 0n];
+    const mod = NostrCrypto.mod;
+    const ysq = mod(y * y);
+    const s = mod(4n * x * ysq);
+    const m = mod(3n * x * x);
+    const nx = mod(m * m - 2n * s);
+    const ny = mod(m * (s - nx) - 8n * ysq * ysq);
+    const nz = mod(2n * y * z);
+    return [nx, ny, nz];
+  }
+
+  /**
+   * Jacobian point addition
+   */
+  static pointAdd(p1, p2) {
+    if (p1[2] === 0n) return p2;
+    if (p2[2] === 0n) return p1;
+    const mod = NostrCrypto.mod;
+    const [x1, y1, z1] = p1;
+    const [x2, y2, z2] = p2;
+    const z1sq = mod(z1 * z1);
+    const z2sq = mod(z2 * z2);
+    const u1 = mod(x1 * z2sq);
+    const u2 = mod(x2 * z1sq);
+    const s1 = mod(y1 * z2sq * z2);
+    const s2 = mod(y2 * z1sq * z1);
+    if (u1 === u2) {
+      return s1 === s2 ? NostrCrypto.pointDouble(p1) : [0n, 1n, 0n];
+    }
+    const h = mod(u2 - u1);
+    const r = mod(s2 - s1);
+    const h2 = mod(h * h);
+    const h3 = mod(h2 * h);
+    const u1h2 = mod(u1 * h2);
+    const nx = mod(r * r - h3 - 2n * u1h2);
+    const ny = mod(r * (u1h2 - nx) - s1 * h3);
+    const nz = mod(h * z1 * z2);
+    return [nx, ny, nz];
+  }
+
+  /**
+   * Scalar multiplication (double-and-add)
+   */
+  static pointMultiply(k, point) {
+    let result = [0n, 1n, 0n];
+    let addend = point;
+    let scalar = NostrCrypto.mod(k, SECP256K1.N);
+    while (scalar > 0n) {
+      if (scalar & 1n) result = NostrCrypto.pointAdd(result, addend);
+      addend = NostrCrypto.pointDouble(addend);
+      scalar >>= 1n;
+    }
+    return result;
+  }
+
+  /**
+   * Convert a Jacobian point to affine coordinates
+   * @returns {{x: bigint, y: bigint}|null} null for the point at infinity
+   */
+  static toAffine([x, y, z]) {
+    if (z === 0n) return null;
+    const zInv = NostrCrypto.modInverse(z);
+    const zInv2 = NostrCrypto.mod(zInv * zInv);
+    return {
+      x: NostrCrypto.mod(x * zInv2),
+      y: NostrCrypto.mod(y * zInv2 * zInv),
+    };
+  }
+
+  /**
+   * 32-bit rotate right
+   */
+  static rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NostrCrypto;
+}
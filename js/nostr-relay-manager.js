@@ -1,36 +1,74 @@
 /**
  * Nostr Relay Manager - Handles zap receipt verification for SatSnake
- * Uses NDK (Nostr Development Kit) for relay communication
+ * Uses NDK (Nostr Development Kit, through ndk-relay-pool.js) for relay
+ * communication; RelayPool (relay-pool.js) when pointed at the dev harness
+ * or where NDK isn't loaded (the Node tools in dev/)
+ * Depends on nostr-crypto.js, lnurl.js, bolt11.js, zap-replay-store.js,
+ * zap-split.js, relay-pool.js and ndk-relay-pool.js being loaded first
  */
 
 class NostrRelayManager {
   constructor(config) {
     this.config = config;
-    this.ndk = null;
+    this.pool = null;
     this.connectedRelays = [];
     this.subscriptions = [];
     this.listeners = {};
-    this.recipientPubkey = null;
+    this.recipientPubkey = config.recipientNostrPubkey || null; // The creator, zapped (p tag)
+    this.zapperPubkey = null; // The LNURL server, signs receipts
+    this.recipientRelays = { read: [], write: [] };
+    this.splitRecipients = new Map(); // lightning address -> resolved pubkeys
+    this.zapRelays = null;
+    this.replayStore = new ZapReplayStore();
+
+    // Relays the game reads and writes. Offline development only talks to
+    // the dev harness relay
+    this.relays = config.devHarnessUrl
+      ? [config.devHarnessUrl.replace(/^http/, 'ws')]
+      : config.relays;
   }
 
   /**
-   * Initialize NDK and connect to relays
+   * Relay client for this.relays
+   * @returns {RelayPool|NdkRelayPool}
+   */
+  createPool() {
+    const options = {
+      timeout: this.config.relayTimeout,
+      reconnectDelay: this.config.relayReconnectDelay,
+      maxReconnectDelay: this.config.relayMaxReconnectDelay,
+    };
+    if (this.config.devHarnessUrl || typeof NDK === 'undefined') {
+      return new RelayPool(this.relays, options);
+    }
+    return new NdkRelayPool(this.relays, options);
+  }
+
+  /**
+   * Create the relay pool and connect to relays
    */
   async initialize() {
     try {
-      console.log("[Nostr] Initializing NDK...");
+      console.log("[Nostr] Initializing relay pool...");
       
-      // Create NDK instance with explicit relays
-      this.ndk = new NDK({
-        explicitRelayUrls: this.config.relays,
-      });
+      this.pool = this.createPool();
 
       // Connect to relays
-      await this.ndk.connect(this.config.relayTimeout);
-      console.log("[Nostr] Connected to relays");
+      // Relays that fail keep retrying in the background
+      const connected = await this.pool.connect();
+      if (!connected) {
+        throw new Error("Could not connect to any relay");
+      }
+      console.log(`[Nostr] Connected to ${connected}/${this.relays.length} relays`);
 
       // Resolve recipient's Nostr pubkey from Lightning Address
       await this.resolveRecipientPubkey();
+      if (ZapSplit.isSplit(this.config)) {
+        await this.resolveSplitRecipients();
+      }
+
+      // Find where the recipient reads and writes (NIP-65)
+      await this.discoverRecipientRelays();
       
       return true;
     } catch (error) {
@@ -42,34 +80,31 @@ class NostrRelayManager {
   /**
    * Resolve recipient's Nostr pubkey from Lightning Address via LUD-16
    * This queries the domain's /.well-known/lnurlp/{username} endpoint
+   * (or the decoded URL when the recipient is configured as an LNURL)
+   * With a zap split this is the primary recipient
    */
   async resolveRecipientPubkey() {
     try {
-      const [username, domain] = this.config.recipientLightningAddress.split('@');
-      
-      // Fetch the LNURL endpoint metadata
-      const response = await fetch(
-        `https://${domain}/.well-known/lnurlp/${username}`,
-        { method: 'GET' }
+      const lnurlData = await this.fetchPayMetadata(
+        ZapSplit.primary(this.config).lightningAddress
       );
       
-      if (!response.ok) {
-        throw new Error(`Failed to fetch LNURL metadata: ${response.status}`);
-      }
+      // The creator's own key is the zap's recipient (p tag); without one
+      // configured, the LNURL server's key stands in
+      this.recipientPubkey = this.config.recipientNostrPubkey || lnurlData.nostrPubkey || null;
 
-      const lnurlData = await response.json();
-      
       // Extract Nostr pubkey from the LNURL response
       // LUD-16 allows for nostrPubkey in the response
       if (lnurlData.nostrPubkey) {
-        this.recipientPubkey = lnurlData.nostrPubkey;
-        this.config.recipientNostrPubkey = lnurlData.nostrPubkey;
-        console.log("[Nostr] Resolved recipient pubkey:", this.recipientPubkey);
+        // NIP-57: receipts are signed by the LNURL server's nostrPubkey
+        this.zapperPubkey = lnurlData.nostrPubkey;
+        console.log("[Nostr] Resolved zapper pubkey:", this.zapperPubkey);
+        console.log("[Nostr] Recipient pubkey:", this.recipientPubkey);
         return this.recipientPubkey;
       } else {
         console.warn("[Nostr] No Nostr pubkey found in LNURL metadata");
-        console.warn("[Nostr] You may need to manually configure recipientNostrPubkey");
-        return null;
+        console.warn("[Nostr] Zap receipts can't be checked without the LNURL server's key");
+        return this.recipientPubkey;
       }
     } catch (error) {
       console.error("[Nostr] Error resolving recipient pubkey:", error);
@@ -77,50 +112,203 @@ class NostrRelayManager {
     }
   }
 
+  /**
+   * Resolve the LNURL server key of every zap split recipient
+   * Their receipts are checked against these keys, like the single
+   * recipient's are against zapperPubkey
+   */
+  async resolveSplitRecipients() {
+    for (const recipient of ZapSplit.recipients(this.config)) {
+      try {
+        const lnurlData = await this.fetchPayMetadata(recipient.lightningAddress);
+        if (!lnurlData.allowsNostr || !lnurlData.nostrPubkey) {
+          console.warn(`[Nostr] ${recipient.lightningAddress} does not support zaps (NIP-57)`);
+          continue;
+        }
+        this.splitRecipients.set(recipient.lightningAddress, {
+          zapperPubkey: lnurlData.nostrPubkey,
+          recipientPubkey: lnurlData.nostrPubkey,
+        });
+      } catch (error) {
+        console.error(`[Nostr] Error resolving ${recipient.lightningAddress}:`, error);
+      }
+    }
+    console.log(`[Nostr] Resolved ${this.splitRecipients.size} zap split recipients`);
+  }
+
+  /**
+   * Fetch LNURL-pay metadata for a Lightning Address, LNURL or lightning: URI
+   * @param {string} recipient
+   * @returns {Promise<Object>} LNURL-pay response
+   */
+  async fetchPayMetadata(recipient) {
+    const payUrl = Lnurl.resolvePayUrl(recipient, this.config.devHarnessUrl);
+    const response = await fetch(payUrl, { method: 'GET' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch LNURL metadata: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Fetch the creator's relay list (NIP-65 kind 10002, recipientNostrPubkey)
+   * and merge it with the configured relays. The merged set goes into the zap request's
+   * relays tag (config.zapRelays) and is where we listen for receipts.
+   * @returns {Promise<string[]>} Merged relay URLs
+   */
+  async discoverRecipientRelays() {
+    // The creator's own relay list; the LNURL server's key only signs receipts
+    const creator = this.config.recipientNostrPubkey;
+    if (creator) {
+      try {
+        const events = await this.pool.query({
+          kinds: [10002],
+          authors: [creator],
+          limit: 1,
+        });
+        // Replaceable event: only the newest counts
+        const latest = events
+          .filter(e => e.kind === 10002 && e.pubkey === creator)
+          .sort((a, b) => b.created_at - a.created_at)[0];
+
+        if (latest) {
+          this.recipientRelays = this.parseRelayList(latest);
+          console.log(
+            `[Nostr] Recipient relays: ${this.recipientRelays.read.length} read, ` +
+            `${this.recipientRelays.write.length} write`
+          );
+        } else {
+          console.log("[Nostr] Recipient has no relay list, using configured relays");
+        }
+      } catch (error) {
+        console.warn("[Nostr] Could not fetch recipient relay list:", error);
+      }
+    } else {
+      console.log("[Nostr] No recipientNostrPubkey configured, using configured relays");
+    }
+
+    this.zapRelays = this.mergeRelays(this.relays, this.recipientRelays);
+    this.config.zapRelays = this.zapRelays;
+    this.ensureRelays(this.zapRelays);
+    return this.zapRelays;
+  }
+
+  /**
+   * Read the r tags of a kind 10002 event
+   * A tag without a marker means the relay is used for both
+   * @param {Object} event - Relay list event
+   * @returns {{read: string[], write: string[]}}
+   */
+  parseRelayList(event) {
+    const read = [];
+    const write = [];
+    for (const tag of event.tags || []) {
+      if (!Array.isArray(tag) || tag[0] !== 'r' || !this.isUsableRelay(tag[1])) continue;
+      const url = RelayPool.normalizeUrl(tag[1]);
+      if (tag[2] !== 'write' && !read.includes(url)) read.push(url);
+      if (tag[2] !== 'read' && !write.includes(url)) write.push(url);
+    }
+    return { read, write };
+  }
+
+  /**
+   * Merge configured and recipient relays, capped at config.maxRelays
+   * Priority: configured relays, then the recipient's read relays (where they
+   * look for events about them, including receipts), then their write relays
+   * @param {string[]} configured - Configured relay URLs
+   * @param {{read: string[], write: string[]}} recipient - Parsed relay list
+   * @returns {string[]}
+   */
+  mergeRelays(configured, recipient) {
+    const merged = [];
+    for (const url of [...configured, ...recipient.read, ...recipient.write]) {
+      const normalized = RelayPool.normalizeUrl(url);
+      if (!merged.includes(normalized)) merged.push(normalized);
+    }
+    return merged.slice(0, Math.max(this.config.maxRelays || 0, configured.length));
+  }
+
+  /**
+   * Whether a relay URL from someone else's list is safe to connect to
+   * Plain ws:// is only allowed against the dev harness
+   */
+  isUsableRelay(url) {
+    if (typeof url !== 'string') return false;
+    try {
+      const parsed = new URL(url.trim());
+      if (parsed.protocol === 'wss:') return true;
+      return parsed.protocol === 'ws:' && Boolean(this.config.devHarnessUrl);
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Listen for zap receipts (kind 9735 events)
    * @param {string} gameSessionId - Unique identifier for this game session/payment
    * @param {number} expectedAmountSats - Expected payment amount in satoshis
    * @param {Function} onZapReceived - Callback when valid zap is received
+   * @param {Object} [options] - Zap splits
+   * @param {Array} [options.legs] - Legs from ZapSplit.shares() with their invoices;
+   *   onZapReceived then fires once the required legs are paid
+   * @param {string} [options.requirement] - "all" or "primary"
+   * @param {Function} [options.onLegPaid] - Called with each leg as its receipt arrives
+   * @param {number} [options.minSats] - Smallest invoice accepted (default: minPaymentSats)
    * @returns {Function} Unsubscribe function
    */
-  listenForZapReceipt(gameSessionId, expectedAmountSats, onZapReceived) {
+  listenForZapReceipt(gameSessionId, expectedAmountSats, onZapReceived, options = {}) {
     return new Promise((resolve, reject) => {
       try {
         console.log(`[Nostr] Listening for zap receipt...`);
         console.log(`  Session ID: ${gameSessionId}`);
         console.log(`  Expected amount: ${expectedAmountSats} sats`);
-        console.log(`  Recipient pubkey: ${this.config.recipientNostrPubkey}`);
+        console.log(`  Recipient pubkey: ${this.recipientPubkey}`);
 
         // Create filter for zap receipts (kind 9735)
         // Filter by:
         // - Kind 9735 (zap receipt)
-        // - Recipient's pubkey (the one sending the receipt)
+        // - The LNURL server's pubkey (the one signing the receipt)
         // - Recent events only (since now minus some buffer)
         const now = Math.floor(Date.now() / 1000);
+        const legs = options.legs || null;
+        const authors = (legs
+          ? [...new Set(legs.map(leg => this.getSplitRecipient(leg).zapperPubkey))]
+          : [this.zapperPubkey]).filter(Boolean);
+        if (!authors.length) {
+          throw new Error("The LNURL server's Nostr pubkey is unknown");
+        }
         const filter = {
           kinds: [9735], // Zap receipt
-          authors: [this.config.recipientNostrPubkey], // Recipient publishes receipt
+          authors, // LNURL server publishes receipt
           since: now - 60, // Last 60 seconds (adjust as needed)
         };
 
-        const unsubscribe = this.ndk.subscribe(
+        let splitConfirmed = false;
+        const unsubscribe = this.subscribe(
           filter,
-          {
-            closeOnEose: false, // Keep connection open
-            groupableDelay: 0,  // Don't delay
-          },
           (event) => {
             console.log("[Nostr] Received event, checking if valid zap...");
+
+            if (legs) {
+              splitConfirmed = this.handleSplitReceipt(
+                event, gameSessionId, legs, options, splitConfirmed, onZapReceived
+              );
+              if (legs.every(leg => leg.paid)) unsubscribe();
+              return;
+            }
             
             // Validate the zap receipt
             const validation = this.validateZapReceipt(
               event,
               gameSessionId,
-              expectedAmountSats
+              expectedAmountSats,
+              { minSats: options.minSats }
             );
 
             if (validation.valid) {
+              // Consume the receipt before unlocking so it can't be reused
+              this.replayStore.markUsed(event.id, validation.paymentHash);
+
               console.log("[Nostr] ✓ Valid zap receipt found!");
               console.log(`  Amount: ${validation.amountSats} sats`);
               console.log(`  Sender: ${validation.senderPubkey}`);
@@ -129,10 +317,13 @@ class NostrRelayManager {
               // Call the callback with validation details
               onZapReceived({
                 valid: true,
+                source: 'zap',
                 amountSats: validation.amountSats,
                 senderPubkey: validation.senderPubkey,
                 bolt11: validation.bolt11,
+                paymentHash: validation.paymentHash,
                 eventId: event.id,
+                receipt: event,
                 timestamp: event.created_at,
               });
 
@@ -141,7 +332,9 @@ class NostrRelayManager {
             } else {
               console.log("[Nostr] ✗ Invalid zap receipt:", validation.reason);
             }
-          }
+          },
+          // Same relays the zap request asked the zapper to publish to
+          this.zapRelays
         );
 
         resolve(unsubscribe);
@@ -152,44 +345,194 @@ class NostrRelayManager {
     });
   }
 
+  /**
+   * Check a receipt against the unpaid legs of a split payment
+   * A leg is identified by its invoice; the receipt must come from that
+   * recipient's LNURL server and pass the usual checks for the leg's amount
+   * @returns {boolean} Whether the split is (now) confirmed
+   */
+  handleSplitReceipt(event, gameSessionId, legs, options, alreadyConfirmed, onZapReceived) {
+    const bolt11 = (this.getTagValue(event.tags, 'bolt11') || '').toLowerCase();
+    const leg = legs.find(l => !l.paid && l.invoice.toLowerCase() === bolt11);
+    if (!leg) return alreadyConfirmed;
+
+    const validation = this.validateSplitLegReceipt(event, gameSessionId, leg);
+    if (!validation.valid) {
+      console.log(`[Nostr] ✗ Invalid receipt for ${leg.lightningAddress}:`, validation.reason);
+      return alreadyConfirmed;
+    }
+
+    this.replayStore.markUsed(event.id, validation.paymentHash);
+    leg.paid = true;
+    leg.eventId = event.id;
+    leg.paymentHash = validation.paymentHash;
+    leg.receipt = event;
+    console.log(`[Nostr] ✓ Split leg paid: ${leg.lightningAddress} (${leg.amountSats} sats)`);
+    if (options.onLegPaid) options.onLegPaid(leg);
+
+    if (alreadyConfirmed || !ZapSplit.isSatisfied(legs, options.requirement)) {
+      return alreadyConfirmed;
+    }
+
+    const paidLegs = legs.filter(l => l.paid);
+    const main = paidLegs.find(l => l.primary) || paidLegs[0];
+    onZapReceived({
+      valid: true,
+      source: 'zap',
+      split: true,
+      legs,
+      amountSats: paidLegs.reduce((sum, l) => sum + l.amountSats, 0),
+      senderPubkey: validation.senderPubkey,
+      bolt11: main.invoice,
+      paymentHash: main.paymentHash,
+      eventId: main.eventId,
+      timestamp: event.created_at,
+    });
+    return true;
+  }
+
+  /**
+   * Validate one split leg's receipt against that recipient's keys
+   * @param {Object} event - Zap receipt
+   * @param {string} gameSessionId - Expected game session ID
+   * @param {Object} leg - Leg with lightningAddress, amountSats and invoice
+   * @param {Object} [options] - Passed on to validateZapReceipt
+   * @returns {Object} Validation result
+   */
+  validateSplitLegReceipt(event, gameSessionId, leg, options = {}) {
+    const recipient = this.getSplitRecipient(leg);
+    if (!recipient.zapperPubkey) {
+      return { valid: false, reason: `Unknown zapper pubkey for ${leg.lightningAddress}` };
+    }
+    if (this.getTagValue(event.tags, 'bolt11') !== leg.invoice) {
+      return { valid: false, reason: "Receipt is for a different invoice" };
+    }
+    return this.validateZapReceipt(event, gameSessionId, leg.amountSats, {
+      ...options,
+      zapperPubkey: recipient.zapperPubkey,
+      recipientPubkey: recipient.recipientPubkey,
+      minSats: leg.amountSats,
+    });
+  }
+
+  /**
+   * Resolved keys for a split leg's recipient
+   * @returns {{zapperPubkey: string|null, recipientPubkey: string|null}}
+   */
+  getSplitRecipient(leg) {
+    return this.splitRecipients.get(leg.lightningAddress) ||
+      { zapperPubkey: null, recipientPubkey: null };
+  }
+
+  /**
+   * Add relays to the pool (e.g. a wallet connect relay) if not already present
+   * @param {string[]} relayUrls - Relay WebSocket URLs
+   */
+  ensureRelays(relayUrls) {
+    if (!this.pool) {
+      throw new Error("Nostr relays not initialized");
+    }
+    for (const url of relayUrls) {
+      if (!this.pool.has(url)) {
+        console.log(`[Nostr] Adding relay: ${url}`);
+        this.pool.addRelay(url, true);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to events matching a filter
+   * @param {Object} filter - NIP-01 filter
+   * @param {Function} onEvent - Called with each raw event
+   * @param {string[]} [relayUrls] - Limit to these relays (default: whole pool)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(filter, onEvent, relayUrls = null) {
+    const stop = this.pool.subscribe(filter, onEvent, relayUrls);
+
+    const unsubscribe = () => {
+      stop();
+      this.subscriptions = this.subscriptions.filter(s => s !== unsubscribe);
+    };
+    this.subscriptions.push(unsubscribe);
+    return unsubscribe;
+  }
+
+  /**
+   * Fetch stored events once
+   * @param {Object} filter - NIP-01 filter
+   * @param {string[]} [relayUrls] - Limit to these relays (default: whole pool)
+   * @returns {Promise<Object[]>} Verified events, deduplicated by id
+   */
+  async query(filter, relayUrls = null) {
+    if (!this.pool) {
+      throw new Error("Nostr relays not initialized");
+    }
+    return this.pool.query(filter, relayUrls);
+  }
+
+  /**
+   * Publish a signed event
+   * @param {Object} event - Signed Nostr event
+   * @param {string[]} [relayUrls] - Publish only to these relays (default: whole pool)
+   * @returns {Promise} Resolves once at least one relay accepted the event
+   */
+  async publish(event, relayUrls = null) {
+    return this.pool.publish(event, relayUrls);
+  }
+
   /**
    * Validate a zap receipt event
    * @param {Object} event - Nostr event from relay
    * @param {string} gameSessionId - Expected game session ID
    * @param {number} expectedAmountSats - Expected amount in satoshis
+   * @param {Object} [options]
+   * @param {boolean} [options.allowUsed] - Re-checking a receipt that already
+   *   unlocked this browser (restoring after a reload), so skip the replay check
+   * @param {string} [options.zapperPubkey] - Expected receipt signer (default: the recipient's)
+   * @param {string} [options.recipientPubkey] - Expected p tag (default: the recipient's)
+   * @param {number} [options.minSats] - Minimum invoice amount (default: minPaymentSats)
    * @returns {Object} Validation result
    */
-  validateZapReceipt(event, gameSessionId, expectedAmountSats) {
+  validateZapReceipt(event, gameSessionId, expectedAmountSats, options = {}) {
+    const zapperPubkey = options.zapperPubkey || this.zapperPubkey;
+    const recipientPubkey = options.recipientPubkey || this.recipientPubkey;
+    const minSats = options.minSats !== undefined ? options.minSats : this.config.minPaymentSats;
     try {
       // Basic event validation
       if (event.kind !== 9735) {
         return { valid: false, reason: "Not a zap receipt (kind 9735)" };
       }
 
-      // Verify signature
+      // Verify id and signature
       if (!this.verifyEventSignature(event)) {
         return { valid: false, reason: "Invalid event signature" };
       }
 
+      // Only the LNURL server's zapper key may issue receipts
+      if (!zapperPubkey) {
+        return { valid: false, reason: "Unknown zapper pubkey for recipient" };
+      }
+      if (event.pubkey !== zapperPubkey) {
+        return { valid: false, reason: "Receipt not signed by recipient's LNURL server" };
+      }
+
       // Parse the zap receipt structure
       // NIP-57 specifies these required tags:
       // - bolt11: the paid invoice
       // - description: the zap request event (contains sessionId in content)
       // - p: recipient pubkey
 
-      const bolt11Tag = event.tags.find(t => t === 'bolt11');
-      const descriptionTag = event.tags.find(t => t === 'description');
-      const recipientTag = event.tags.find(t => t === 'p');
+      const bolt11 = this.getTagValue(event.tags, 'bolt11');
+      const descriptionEventJson = this.getTagValue(event.tags, 'description');
+      const recipientTag = this.getTagValue(event.tags, 'p');
 
-      if (!bolt11Tag || !descriptionTag || !recipientTag) {
+      if (!bolt11 || !descriptionEventJson || !recipientTag) {
         return { valid: false, reason: "Missing required zap receipt tags" };
       }
 
-      const bolt11 = bolt11Tag;
-      const descriptionEventJson = descriptionTag;
-
       // Verify recipient
-      if (recipientTag !== this.config.recipientNostrPubkey) {
+      if (recipientTag !== recipientPubkey) {
         return { valid: false, reason: "Recipient mismatch" };
       }
 
@@ -205,24 +548,60 @@ class NostrRelayManager {
       const zapValidation = this.validateZapRequest(
         zapRequest,
         gameSessionId,
-        expectedAmountSats
+        expectedAmountSats,
+        recipientPubkey
       );
 
       if (!zapValidation.valid) {
         return zapValidation;
       }
 
-      // Extract amount from bolt11 invoice
-      // BOLT11 format: ln + lowercase(Bech32(payload))
-      // For now, trust the amount from the zap request
-      // In production, you might decode the BOLT11 invoice
-      const amountSats = Math.floor(zapValidation.amountMsats / 1000);
+      // Decode the BOLT11 invoice - the amount actually paid lives here,
+      // the zap request amount is only what the sender asked for
+      let invoice;
+      try {
+        invoice = Bolt11.decode(bolt11);
+      } catch (e) {
+        return { valid: false, reason: `Invalid bolt11 invoice: ${e.message}` };
+      }
+
+      // Each receipt and each paid invoice unlocks at most once
+      if (!options.allowUsed && this.replayStore.isUsed(event.id, invoice.paymentHash)) {
+        return { valid: false, reason: "Zap receipt already used" };
+      }
+
+      if (invoice.amountMsats === null) {
+        return { valid: false, reason: "Invoice has no amount" };
+      }
+
+      const amountSats = Math.floor(invoice.amountMsats / 1000);
+      if (amountSats < minSats) {
+        return {
+          valid: false,
+          reason: `Invoice amount below minimum: ${amountSats} < ${minSats}`,
+        };
+      }
+
+      if (invoice.amountMsats !== zapValidation.amountMsats) {
+        return {
+          valid: false,
+          reason: `Invoice amount ${invoice.amountMsats} msats does not match zap request amount ${zapValidation.amountMsats} msats`,
+        };
+      }
+
+      // NIP-57: the invoice description hash commits to the zap request
+      const expectedDescriptionHash = NostrCrypto.sha256Hex(descriptionEventJson);
+      if (invoice.descriptionHash !== expectedDescriptionHash) {
+        return { valid: false, reason: "Invoice description hash does not match zap request" };
+      }
 
       return {
         valid: true,
         amountSats,
         senderPubkey: zapRequest.pubkey,
         bolt11,
+        paymentHash: invoice.paymentHash,
+        invoice,
         zapRequest,
       };
     } catch (error) {
@@ -236,17 +615,23 @@ class NostrRelayManager {
    * @param {Object} zapRequest - The zap request event
    * @param {string} expectedSessionId - Expected session ID
    * @param {number} expectedAmountSats - Expected amount in satoshis
+   * @param {string} [recipientPubkey] - Expected p tag (default: the recipient's)
    * @returns {Object} Validation result
    */
-  validateZapRequest(zapRequest, expectedSessionId, expectedAmountSats) {
+  validateZapRequest(zapRequest, expectedSessionId, expectedAmountSats,
+    recipientPubkey = this.recipientPubkey) {
     try {
       // Verify zap request is kind 9734
       if (zapRequest.kind !== 9734) {
         return { valid: false, reason: "Invalid zap request kind" };
       }
 
+      if (!this.verifyEventSignature(zapRequest)) {
+        return { valid: false, reason: "Invalid zap request signature" };
+      }
+
       // Extract amount from tags
-      const amountTag = zapRequest.tags.find(t => t === 'amount');
+      const amountTag = this.getTagValue(zapRequest.tags, 'amount');
       if (!amountTag) {
         return { valid: false, reason: "No amount in zap request" };
       }
@@ -263,15 +648,16 @@ class NostrRelayManager {
       }
 
       // Verify recipient
-      const recipientTag = zapRequest.tags.find(t => t === 'p');
-      if (!recipientTag || recipientTag !== this.config.recipientNostrPubkey) {
+      const recipientTag = this.getTagValue(zapRequest.tags, 'p');
+      if (!recipientTag || recipientTag !== recipientPubkey) {
         return { valid: false, reason: "Zap recipient mismatch" };
       }
 
-      // Optional: Verify the session ID in the zap request content/tags
-      // For now, we'll accept any valid zap to our recipient
-      // In a production system, you might include a unique session ID
-      // in the zap request to prevent replay attacks
+      // Bind the zap to this game session so someone else's zap to the
+      // same recipient can't unlock our tab
+      if (!this.matchesSession(zapRequest, expectedSessionId)) {
+        return { valid: false, reason: "Zap belongs to a different game session" };
+      }
 
       return {
         valid: true,
@@ -285,24 +671,43 @@ class NostrRelayManager {
   }
 
   /**
-   * Verify Nostr event signature (basic check)
-   * In production, use nostr-tools or NDK's validation
+   * Check that a zap request was created for the given game session
+   * Prefers the dedicated session tag, falling back to the content
+   * @param {Object} zapRequest - The zap request event
+   * @param {string} sessionId - Expected session ID
+   * @returns {boolean}
+   */
+  matchesSession(zapRequest, sessionId) {
+    if (!sessionId) return false;
+    const sessionTag = this.getTagValue(zapRequest.tags, 'session');
+    if (sessionTag !== undefined) {
+      return sessionTag === sessionId;
+    }
+    return zapRequest.content === `SatSnake game session: ${sessionId}`;
+  }
+
+  /**
+   * Get the first value of a tag by name
+   * @param {Array} tags - Event tags
+   * @param {string} name - Tag name (e.g. 'bolt11')
+   * @returns {string|undefined} Tag value
+   */
+  getTagValue(tags, name) {
+    const tag = (tags || []).find(t => Array.isArray(t) && t[0] === name);
+    return tag ? tag[1] : undefined;
+  }
+
+  /**
+   * Verify Nostr event id and BIP-340 Schnorr signature
    * @param {Object} event - Nostr event
-   * @returns {boolean} Whether signature is valid
+   * @returns {boolean} Whether the event is authentic
    */
   verifyEventSignature(event) {
-    // For a complete implementation, use nostr-tools:
-    // import { verifySignature } from 'nostr-tools';
-    // return verifySignature(event);
-    
-    // Basic check: event has required fields
-    return !!(
-      event.id &&
-      event.sig &&
-      event.pubkey &&
-      event.created_at &&
-      event.kind !== undefined
-    );
+    const result = NostrCrypto.verifyEvent(event);
+    if (!result.valid) {
+      console.log("[Nostr] Event verification failed:", result.reason);
+    }
+    return result.valid;
   }
 
   /**
@@ -310,7 +715,7 @@ class NostrRelayManager {
    */
   async disconnect() {
     try {
-      if (this.ndk) {
+      if (this.pool) {
         // Unsubscribe all subscriptions
         for (const sub of this.subscriptions) {
           if (typeof sub === 'function') {
@@ -318,6 +723,7 @@ class NostrRelayManager {
           }
         }
         this.subscriptions = [];
+        this.pool.close();
       }
       console.log("[Nostr] Disconnected from relays");
     } catch (error) {
@@ -327,19 +733,28 @@ class NostrRelayManager {
 
   /**
    * Get relay connection status
+   * @returns {Object} connected, connectedCount, total and per-relay health
    */
   getRelayStatus() {
-    if (!this.ndk) return { connected: false, relays: [] };
-    
-    const relayStatus = this.ndk.pool.relays.map(relay => ({
-      url: relay.url,
-      connected: relay.connected,
-    }));
-
-    return {
-      connected: relayStatus.some(r => r.connected),
-      relays: relayStatus,
-    };
+    if (!this.pool) return { connected: false, connectedCount: 0, total: 0, relays: [] };
+
+    const status = this.pool.getStatus();
+    return { connected: status.connectedCount > 0, ...status };
+  }
+
+  /**
+   * Follow relay status as relays connect, drop and reconnect
+   * @param {Function} listener - Called with getRelayStatus() now and on every change
+   * @returns {Function} Stop listening
+   */
+  onRelayStatus(listener) {
+    if (!this.pool) {
+      listener(this.getRelayStatus());
+      return () => {};
+    }
+    return this.pool.onStatus(status => {
+      listener({ connected: status.connectedCount > 0, ...status });
+    });
   }
 }
 
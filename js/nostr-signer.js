@@ -0,0 +1,123 @@
+/**
+ * Nostr Signer - Signs events with a NIP-07 extension or an ephemeral key
+ * The ephemeral key lives in sessionStorage, so it lasts for the browser session
+ * Depends on nostr-crypto.js being loaded first
+ */
+
+class NostrSigner {
+  /**
+   * @param {string} type - 'nip07' or 'ephemeral'
+   * @param {string} pubkey - Hex public key
+   * @param {string|null} secretKey - Hex secret key (ephemeral signers only)
+   */
+  constructor(type, pubkey, secretKey = null) {
+    this.type = type;
+    this.pubkey = pubkey;
+    this.secretKey = secretKey;
+  }
+
+  /**
+   * Pick the best available signer
+   * Uses window.nostr (NIP-07) when present, otherwise an ephemeral key
+   * @returns {Promise<NostrSigner>}
+   */
+  static async create() {
+    const extension = typeof window !== 'undefined' ? window.nostr : undefined;
+    if (extension && typeof extension.signEvent === 'function') {
+      try {
+        const pubkey = await extension.getPublicKey();
+        if (/^[0-9a-f]{64}$/.test(pubkey)) {
+          console.log("[Signer] Using NIP-07 extension:", pubkey);
+          return new NostrSigner('nip07', pubkey);
+        }
+        console.warn("[Signer] Extension returned an invalid pubkey");
+      } catch (error) {
+        console.warn("[Signer] NIP-07 extension unavailable:", error);
+      }
+    }
+    return NostrSigner.ephemeral();
+  }
+
+  /**
+   * Load or generate the ephemeral keypair for this browser session
+   * @param {string} storageKey - sessionStorage key for the secret key
+   * @returns {NostrSigner}
+   */
+  static ephemeral(storageKey = "satsnake:ephemeral-key") {
+    let storage = null;
+    try {
+      storage = typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+    } catch (error) {
+      // Storage can be blocked; fall back to a per-page key
+    }
+
+    let secretKey = storage ? storage.getItem(storageKey) : null;
+    if (!secretKey || !/^[0-9a-f]{64}$/.test(secretKey)) {
+      secretKey = NostrCrypto.generateSecretKey();
+      if (storage) {
+        try {
+          storage.setItem(storageKey, secretKey);
+        } catch (error) {
+          console.warn("[Signer] Could not persist ephemeral key:", error);
+        }
+      }
+    }
+
+    const pubkey = NostrCrypto.getPublicKey(secretKey);
+    console.log("[Signer] Using ephemeral key:", pubkey);
+    return new NostrSigner('ephemeral', pubkey, secretKey);
+  }
+
+  /**
+   * Sign an event template
+   * @param {Object} template - Event with kind, tags, content, created_at
+   * @returns {Promise<Object>} Signed event
+   */
+  async signEvent(template) {
+    if (this.type === 'nip07') {
+      const signed = await window.nostr.signEvent({ ...template, pubkey: this.pubkey });
+      const check = NostrCrypto.verifyEvent(signed);
+      if (!check.valid) {
+        throw new Error(`Extension returned an invalid event: ${check.reason}`);
+      }
+      // A validly signed event from another key would pass as this player's
+      if (signed.pubkey !== this.pubkey) {
+        throw new Error("Extension signed with a different key than it reported");
+      }
+      return signed;
+    }
+    return NostrCrypto.finalizeEvent(template, this.secretKey);
+  }
+
+  /**
+   * Decrypt a NIP-04 message sent to this identity
+   * @param {string} pubkey - Sender's hex public key
+   * @param {string} payload - "<base64 ciphertext>?iv=<base64 iv>"
+   * @returns {Promise<string>} Plaintext
+   */
+  async nip04Decrypt(pubkey, payload) {
+    if (this.type === 'nip07') {
+      if (!window.nostr.nip04 || typeof window.nostr.nip04.decrypt !== 'function') {
+        throw new Error("Extension does not support NIP-04 decryption");
+      }
+      return window.nostr.nip04.decrypt(pubkey, payload);
+    }
+    return NostrCrypto.nip04Decrypt(this.secretKey, pubkey, payload);
+  }
+
+  /**
+   * Human-readable description of the identity
+   * @returns {string}
+   */
+  describe() {
+    const short = `${this.pubkey.slice(0, 8)}…${this.pubkey.slice(-4)}`;
+    return this.type === 'nip07'
+      ? `${short} (browser extension)`
+      : `${short} (anonymous session key)`;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NostrSigner;
+}
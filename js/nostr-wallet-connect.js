@@ -0,0 +1,244 @@
+/**
+ * Nostr Wallet Connect (NIP-47) client for SatSnake
+ * Lets a player link their wallet once and pay invoices without scanning QR codes
+ * Depends on nostr-crypto.js and a NostrRelayManager for relay access
+ */
+
+class NostrWalletConnect {
+  constructor(relayManager, config, storageKey = "satsnake:nwc") {
+    this.relayManager = relayManager;
+    this.config = config;
+    this.storageKey = storageKey;
+    this.connection = null;
+  }
+
+  /**
+   * Parse a nostr+walletconnect:// URI
+   * @param {string} uri - Connection URI from the player's wallet
+   * @returns {{walletPubkey: string, relays: string[], secret: string, lud16: string|null}}
+   */
+  static parseUri(uri) {
+    const match = typeof uri === 'string' &&
+      uri.trim().match(/^nostr\+walletconnect:(?:\/\/)?([0-9a-f]{64})\?(.+)$/i);
+    if (!match) {
+      throw new Error("Not a nostr+walletconnect:// URI");
+    }
+
+    const params = new URLSearchParams(match[2]);
+    const relays = params.getAll('relay').filter(url => /^wss?:\/\//i.test(url));
+    const secret = (params.get('secret') || '').toLowerCase();
+
+    if (!relays.length) {
+      throw new Error("Wallet connect URI has no relay");
+    }
+    if (!/^[0-9a-f]{64}$/.test(secret)) {
+      throw new Error("Wallet connect URI has no valid secret");
+    }
+
+    return {
+      walletPubkey: match[1].toLowerCase(),
+      relays,
+      secret,
+      lud16: params.get('lud16'),
+    };
+  }
+
+  /**
+   * Connect with a new URI and remember it for next time
+   * @param {string} uri - nostr+walletconnect:// URI
+   */
+  connect(uri) {
+    const connection = NostrWalletConnect.parseUri(uri);
+    this.useConnection(connection);
+    this.save(uri.trim());
+    console.log("[NWC] Wallet connected:", connection.walletPubkey);
+    return connection;
+  }
+
+  /**
+   * Restore a previously saved connection
+   * @returns {boolean} Whether a connection was restored
+   */
+  restore() {
+    const uri = this.load();
+    if (!uri) return false;
+    try {
+      this.useConnection(NostrWalletConnect.parseUri(uri));
+      console.log("[NWC] Restored wallet connection");
+      return true;
+    } catch (error) {
+      console.warn("[NWC] Discarding saved connection:", error.message);
+      this.forget();
+      return false;
+    }
+  }
+
+  /**
+   * Forget the connection
+   */
+  disconnect() {
+    this.connection = null;
+    this.forget();
+    console.log("[NWC] Wallet disconnected");
+  }
+
+  /**
+   * Whether a wallet is linked
+   */
+  isConnected() {
+    return !!this.connection;
+  }
+
+  /**
+   * Pay a BOLT11 invoice through the wallet
+   * @param {string} invoice - BOLT11 invoice
+   * @returns {Promise<{preimage: string}>}
+   */
+  async payInvoice(invoice) {
+    return this.request('pay_invoice', { invoice });
+  }
+
+  /**
+   * Get the wallet balance
+   * @returns {Promise<number>} Balance in millisatoshis
+   */
+  async getBalance() {
+    const result = await this.request('get_balance');
+    return result.balance;
+  }
+
+  /**
+   * Get the spending budget for this connection
+   * @returns {Promise<Object|null>} Budget, or null if the wallet doesn't report one
+   */
+  async getBudget() {
+    try {
+      return await this.request('get_budget');
+    } catch (error) {
+      if (error.code === 'NOT_IMPLEMENTED' || error.code === 'TIMEOUT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a NIP-47 request and wait for the wallet's response
+   * @param {string} method - e.g. 'pay_invoice'
+   * @param {Object} params - Method parameters
+   * @returns {Promise<Object>} Response result; rejects with error.code set
+   */
+  async request(method, params = {}) {
+    if (!this.connection) {
+      throw new Error("No wallet connected");
+    }
+    const { walletPubkey, relays, secret } = this.connection;
+
+    const content = await NostrCrypto.nip04Encrypt(
+      secret,
+      walletPubkey,
+      JSON.stringify({ method, params })
+    );
+    const requestEvent = NostrCrypto.finalizeEvent({
+      kind: 23194, // NWC request
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [["p", walletPubkey]],
+      content,
+    }, secret);
+
+    console.log(`[NWC] Sending ${method} request`);
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      let unsubscribe = () => {};
+
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        unsubscribe();
+        fn(value);
+      };
+
+      // Subscribe before publishing so a fast wallet can't beat us
+      unsubscribe = this.relayManager.subscribe(
+        {
+          kinds: [23195], // NWC response
+          authors: [walletPubkey],
+          '#e': [requestEvent.id],
+        },
+        async (event) => {
+          if (!NostrCrypto.verifyEvent(event).valid) return;
+          let payload;
+          try {
+            payload = JSON.parse(await NostrCrypto.nip04Decrypt(secret, walletPubkey, event.content));
+          } catch (error) {
+            console.warn("[NWC] Could not decrypt response:", error);
+            return;
+          }
+
+          if (payload.error) {
+            const err = new Error(payload.error.message || payload.error.code);
+            err.code = payload.error.code;
+            finish(reject, err);
+          } else {
+            finish(resolve, payload.result || {});
+          }
+        },
+        relays
+      );
+
+      timer = setTimeout(() => {
+        const err = new Error(`Wallet did not answer ${method} in time`);
+        err.code = 'TIMEOUT';
+        finish(reject, err);
+      }, this.config.nwcRequestTimeout);
+
+      this.relayManager.publish(requestEvent, relays).catch(error => {
+        finish(reject, error);
+      });
+    });
+  }
+
+  /**
+   * Point the client at a parsed connection and make sure we're on its relays
+   */
+  useConnection(connection) {
+    this.relayManager.ensureRelays(connection.relays);
+    this.connection = connection;
+  }
+
+  load() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage.getItem(this.storageKey) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save(uri) {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.storageKey, uri);
+      }
+    } catch (error) {
+      console.warn("[NWC] Could not persist wallet connection:", error);
+    }
+  }
+
+  forget() {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      // Nothing to clean up
+    }
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NostrWalletConnect;
+}
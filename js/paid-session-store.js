@@ -0,0 +1,98 @@
+/**
+ * Paid Session Store - Keeps proof of the payment that unlocked the game
+ * The zap receipt event (one per leg for zap splits) or the invoice and its
+ * preimage, and the game mode it paid for, so a reload can re-check the
+ * payment instead of asking for a new one
+ * Depends on zap-replay-store.js being loaded first
+ */
+
+class PaidSessionStore {
+  constructor(storageKey = "satsnake:paid-session") {
+    this.storageKey = storageKey;
+    this.storage = ZapReplayStore.getStorage();
+  }
+
+  /**
+   * Store the proof carried by a payment confirmation
+   * @param {Object} confirmation - From onConfirmed / confirmPayment
+   * @param {string} sessionId - Game session the payment was made for
+   * @param {string} [mode] - GameModes key the payment bought
+   * @returns {Object|null} The stored proof, or null if the confirmation carried none
+   */
+  record(confirmation, sessionId, mode = "classic") {
+    let proof = null;
+    if (confirmation.legs) {
+      proof = {
+        type: 'zap-split',
+        legs: confirmation.legs.map(leg => ({
+          lightningAddress: leg.lightningAddress,
+          amountSats: leg.amountSats,
+          primary: leg.primary,
+          invoice: leg.invoice,
+          receipt: leg.receipt || null,
+        })),
+      };
+    } else if (confirmation.receipt) {
+      proof = { type: 'zap', receipt: confirmation.receipt };
+    } else if (confirmation.bolt11 && confirmation.preimage) {
+      proof = { type: 'preimage', invoice: confirmation.bolt11, preimage: confirmation.preimage };
+    }
+    if (!proof) return null;
+
+    proof.sessionId = sessionId;
+    proof.mode = mode;
+    proof.source = confirmation.source || null;
+    proof.amountSats = confirmation.amountSats;
+    proof.confirmedAt = Date.now();
+    this.save(proof);
+    return proof;
+  }
+
+  /**
+   * Load the stored proof
+   * @returns {Object|null}
+   */
+  load() {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : null;
+      const known = ['zap', 'zap-split', 'preimage'];
+      if (!parsed || !known.includes(parsed.type)) return null;
+      // Proofs from before game modes paid for a classic game
+      return { mode: "classic", ...parsed };
+    } catch (error) {
+      console.warn("[PaidSession] Could not read saved payment:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a proof to storage
+   */
+  save(proof) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(proof));
+    } catch (error) {
+      console.warn("[PaidSession] Could not persist payment proof:", error);
+    }
+  }
+
+  /**
+   * Forget the stored proof
+   */
+  clear() {
+    if (!this.storage) return;
+    try {
+      this.storage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn("[PaidSession] Could not clear payment proof:", error);
+    }
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaidSessionStore;
+}
@@ -0,0 +1,131 @@
+/**
+ * Payment Verifier - Confirms payments through LUD-21 verify URLs
+ * An alternative to zap receipts for Lightning Addresses that don't publish
+ * kind 9735 events reliably (or don't support NIP-57 at all)
+ * Depends on nostr-crypto.js and bolt11.js being loaded first
+ */
+
+class PaymentVerifier {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Poll a LUD-21 verify URL until the invoice settles
+   * Same callback shape as NostrRelayManager.listenForZapReceipt
+   * @param {string} verifyUrl - The verify URL from the LNURL callback response
+   * @param {string} invoice - BOLT11 invoice being paid
+   * @param {number} expectedAmountSats - Expected payment amount in satoshis
+   * @param {Function} onSettled - Callback when the payment is proven settled
+   * @returns {Promise<Function>} Stop-polling function
+   */
+  listenForSettlement(verifyUrl, invoice, expectedAmountSats, onSettled) {
+    return new Promise((resolve, reject) => {
+      let decoded;
+      try {
+        decoded = Bolt11.decode(invoice);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      console.log(`[Verify] Polling ${verifyUrl} for settlement...`);
+
+      let stopped = false;
+      let timer = null;
+      const stop = () => {
+        stopped = true;
+        clearTimeout(timer);
+      };
+
+      const poll = async () => {
+        if (stopped) return;
+        if (Bolt11.isExpired(decoded)) {
+          // An expired invoice can no longer be paid
+          console.log("[Verify] Invoice expired, stopped polling");
+          stop();
+          return;
+        }
+        try {
+          const result = await this.checkSettlement(verifyUrl, invoice, decoded, expectedAmountSats);
+          if (stopped) return;
+
+          if (result.settled && result.valid) {
+            console.log("[Verify] ✓ Invoice settled, preimage verified");
+            stop();
+            onSettled({
+              valid: true,
+              source: 'verify',
+              amountSats: decoded.amountSats,
+              bolt11: invoice,
+              paymentHash: decoded.paymentHash,
+              preimage: result.preimage,
+              timestamp: Math.floor(Date.now() / 1000),
+            });
+            return;
+          }
+
+          if (result.settled) {
+            // A bad proof won't improve by asking again
+            console.log("[Verify] ✗ Invalid settlement:", result.reason);
+            stop();
+            return;
+          }
+        } catch (error) {
+          console.warn("[Verify] Verify request failed:", error.message);
+        }
+
+        timer = setTimeout(poll, this.config.verifyPollInterval);
+      };
+
+      poll();
+      resolve(stop);
+    });
+  }
+
+  /**
+   * Ask the verify URL whether the invoice is paid
+   * @returns {Promise<{settled: boolean, valid?: boolean, reason?: string, preimage?: string}>}
+   */
+  async checkSettlement(verifyUrl, invoice, decoded, expectedAmountSats) {
+    const response = await fetch(verifyUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.status === 'ERROR') {
+      throw new Error(data.reason || 'Verify error');
+    }
+    if (!data.settled) {
+      return { settled: false };
+    }
+
+    if (data.pr && data.pr.toLowerCase() !== invoice.toLowerCase()) {
+      return { settled: true, valid: false, reason: "Verify URL answered for a different invoice" };
+    }
+
+    const preimage = data.preimage;
+    if (typeof preimage !== 'string' || !/^[0-9a-f]{64}$/i.test(preimage)) {
+      return { settled: true, valid: false, reason: "Missing or malformed preimage" };
+    }
+    if (NostrCrypto.sha256Hex(NostrCrypto.hexToBytes(preimage)) !== decoded.paymentHash) {
+      return { settled: true, valid: false, reason: "Preimage does not match payment hash" };
+    }
+
+    if (decoded.amountSats === null || decoded.amountSats < expectedAmountSats) {
+      return {
+        settled: true,
+        valid: false,
+        reason: `Insufficient amount: ${decoded.amountSats} < ${expectedAmountSats}`,
+      };
+    }
+
+    return { settled: true, valid: true, preimage };
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaymentVerifier;
+}
@@ -0,0 +1,182 @@
+/**
+ * Payouts - Rewards for the top scorers, paid as LNURL-withdraw vouchers (LUD-03)
+ * At the end of each rewards period the operator's tool (dev/payouts.js)
+ * totals the period's zap revenue, splits SATSNAKE_CONFIG.rewards.revenueShare
+ * of it between the best verified scores by rewards.weights, creates a
+ * withdraw link for each winner and publishes it as a voucher event: signed by
+ * rewards.operatorPubkey, addressed (p tag) to the pubkey that paid and
+ * scored, with the LNURL NIP-04 encrypted so only the winner can claim it.
+ * Depends on nostr-crypto.js, lnurl.js, bolt11.js and leaderboard.js being loaded first
+ */
+
+class Payouts {
+  // Regular event kind for a SatSnake reward voucher
+  static VOUCHER_KIND = 4748;
+
+  /**
+   * The last complete rewards period before now
+   * @param {string} period - "daily" or "weekly"
+   * @param {number} [now] - Unix ms
+   * @returns {{start: number, end: number, label: string}} Unix ms range [start, end)
+   *   and a label such as "weekly:2026-10-12"
+   */
+  static periodRange(period, now = Date.now()) {
+    const end = Leaderboard.periodStart(period, now);
+    if (end === null) {
+      throw new Error(`Rewards period must be daily or weekly, not ${period}`);
+    }
+    const days = period === "weekly" ? 7 : 1;
+    const start = end - days * 86400000;
+    return { start, end, label: `${period}:${new Date(start).toISOString().slice(0, 10)}` };
+  }
+
+  /**
+   * Game revenue from zap receipts
+   * Counts receipts signed by the recipient's zapper whose zap request was
+   * made by SatSnake (it carries a game session), each paid invoice once
+   * @param {Array<Object>} receipts - Verified kind 9735 events
+   * @param {Object} options
+   * @param {string} options.zapperPubkey - The recipient's LNURL server key
+   * @param {string} options.recipientPubkey - The recipient's pubkey
+   * @param {number} options.start - Unix ms, inclusive
+   * @param {number} options.end - Unix ms, exclusive
+   * @returns {number} Sats
+   */
+  static revenue(receipts, { zapperPubkey, recipientPubkey, start, end }) {
+    const counted = new Set();
+    let total = 0;
+    for (const receipt of receipts) {
+      const at = receipt.created_at * 1000;
+      if (receipt.kind !== 9735 || receipt.pubkey !== zapperPubkey || at < start || at >= end) continue;
+
+      const tag = (tags, name) => (tags.find(t => t[0] === name) || [])[1];
+      if (tag(receipt.tags, "p") !== recipientPubkey) continue;
+      try {
+        const zapRequest = JSON.parse(tag(receipt.tags, "description"));
+        const isGame = tag(zapRequest.tags, "session") ||
+          /^SatSnake game session: /.test(zapRequest.content);
+        const invoice = Bolt11.decode(tag(receipt.tags, "bolt11"));
+        if (!isGame || invoice.amountMsats === null || counted.has(invoice.paymentHash)) continue;
+        counted.add(invoice.paymentHash);
+        total += Math.floor(invoice.amountMsats / 1000);
+      } catch (error) {
+        // Not a readable game zap; it earns nothing
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Split a reward pool between ranked winners by weight
+   * Rounding leftovers go to first place; winners whose share rounds to 0 get nothing
+   * @param {number} poolSats - Sats to pay out
+   * @param {Array<Object>} winners - Leaderboard entries, best first
+   * @param {number[]} weights - Weight of 1st, 2nd, 3rd ... place
+   * @returns {Array<{entry: Object, rank: number, amountSats: number}>}
+   */
+  static allocate(poolSats, winners, weights) {
+    const placed = winners.slice(0, weights.length);
+    const totalWeight = placed.reduce((sum, _, i) => sum + weights[i], 0);
+    if (!placed.length || !(totalWeight > 0) || poolSats <= 0) return [];
+
+    const shares = placed.map((entry, i) => ({
+      entry,
+      rank: i + 1,
+      amountSats: Math.floor(poolSats * weights[i] / totalWeight),
+    }));
+    shares[0].amountSats += poolSats - shares.reduce((sum, s) => sum + s.amountSats, 0);
+    return shares.filter(s => s.amountSats > 0);
+  }
+
+  /**
+   * Signed voucher event for one winner
+   * @param {Object} voucher
+   * @param {string} voucher.pubkey - Winner
+   * @param {string} voucher.lnurl - LNURL-withdraw (bech32) for the prize
+   * @param {number} voucher.amountSats
+   * @param {number} voucher.rank
+   * @param {string} voucher.periodLabel - From periodRange
+   * @param {string} voucher.scoreEventId - The winning score event
+   * @param {string} secretKey - Operator's hex secret key
+   * @returns {Promise<Object>} Signed event
+   */
+  static async buildVoucherEvent(voucher, secretKey) {
+    const content = await NostrCrypto.nip04Encrypt(secretKey, voucher.pubkey, voucher.lnurl);
+    return NostrCrypto.finalizeEvent({
+      kind: Payouts.VOUCHER_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [
+        ["p", voucher.pubkey],
+        ["t", Leaderboard.TAG],
+        ["period", voucher.periodLabel],
+        ["rank", String(voucher.rank)],
+        ["amount", String(voucher.amountSats)],
+        ["e", voucher.scoreEventId],
+      ],
+      content,
+    }, secretKey);
+  }
+
+  /**
+   * Vouchers addressed to the player, newest first
+   * @param {NostrRelayManager} relayManager
+   * @param {NostrSigner} signer - The player's key (decrypts the LNURL)
+   * @param {Object} config - SATSNAKE_CONFIG
+   * @returns {Promise<Array<Object>>} {eventId, scoreEventId, period, rank, amountSats, lnurl}
+   */
+  static async loadVouchers(relayManager, signer, config) {
+    const operator = config.rewards.operatorPubkey;
+    if (!config.rewards.enabled || !operator) return [];
+
+    const events = await relayManager.query({
+      kinds: [Payouts.VOUCHER_KIND],
+      authors: [operator],
+      "#p": [signer.pubkey],
+    }, relayManager.relays);
+
+    const vouchers = [];
+    for (const event of events.sort((a, b) => b.created_at - a.created_at)) {
+      const tag = (name) => (event.tags.find(t => t[0] === name) || [])[1];
+      try {
+        const lnurl = await signer.nip04Decrypt(operator, event.content);
+        Lnurl.decode(lnurl); // must be a real LNURL
+        vouchers.push({
+          eventId: event.id,
+          scoreEventId: tag("e") || null,
+          period: tag("period") || "",
+          rank: Number(tag("rank")) || null,
+          amountSats: Number(tag("amount")) || 0,
+          lnurl,
+        });
+      } catch (error) {
+        console.warn(`[Payouts] Unreadable voucher ${event.id.slice(0, 8)}…:`, error.message);
+      }
+    }
+    return vouchers;
+  }
+
+  /**
+   * Whether a voucher can still be claimed (LUD-03 withdraw links are single use)
+   * Asks the withdraw service; when it can't be reached the voucher is
+   * assumed open and the wallet will report otherwise
+   * @param {Object} voucher - From loadVouchers
+   * @param {Object} config - SATSNAKE_CONFIG (devHarnessUrl serves local links)
+   * @returns {Promise<boolean>}
+   */
+  static async isClaimable(voucher, config) {
+    try {
+      const url = Lnurl.resolvePayUrl(voucher.lnurl, config.devHarnessUrl || null);
+      const response = await fetch(url);
+      const data = await response.json();
+      return data.tag === "withdrawRequest" && data.maxWithdrawable > 0;
+    } catch (error) {
+      console.warn("[Payouts] Could not check voucher:", error.message);
+      return true;
+    }
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Payouts;
+}
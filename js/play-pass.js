@@ -0,0 +1,113 @@
+/**
+ * Play Pass - Time-boxed access bought with a payment
+ * Stores the pass expiry in localStorage so the remaining time survives a
+ * page reload. The clock runs from confirmation, whether or not the page is open.
+ * Depends on zap-replay-store.js being loaded first
+ */
+
+class PlayPass {
+  constructor(storageKey = "satsnake:play-pass") {
+    this.storageKey = storageKey;
+    this.storage = ZapReplayStore.getStorage();
+    this.pass = this.load();
+  }
+
+  /**
+   * Start a new pass
+   * @param {number} durationMs - Pass length in milliseconds
+   * @param {Object} [confirmation] - The payment confirmation that bought it
+   * @returns {Object} The stored pass
+   */
+  start(durationMs, confirmation = {}) {
+    const now = Date.now();
+    this.pass = {
+      startedAt: now,
+      expiresAt: now + durationMs,
+      durationMs,
+      source: confirmation.source || null,
+      paymentHash: confirmation.paymentHash || null,
+    };
+    this.save();
+    return this.pass;
+  }
+
+  /**
+   * Milliseconds left on the pass (0 when there is none)
+   */
+  remaining(now = Date.now()) {
+    return this.pass ? Math.max(0, this.pass.expiresAt - now) : 0;
+  }
+
+  /**
+   * Whether there is time left on the pass
+   */
+  isActive() {
+    return this.remaining() > 0;
+  }
+
+  /**
+   * Drop the pass
+   */
+  clear() {
+    this.pass = null;
+    if (!this.storage) return;
+    try {
+      this.storage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn("[PlayPass] Could not clear pass:", error);
+    }
+  }
+
+  /**
+   * Load the pass from storage
+   * @returns {Object|null}
+   */
+  load() {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return parsed && Number.isFinite(parsed.expiresAt) ? parsed : null;
+    } catch (error) {
+      console.warn("[PlayPass] Could not read pass:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Write the pass to storage
+   */
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.pass));
+    } catch (error) {
+      console.warn("[PlayPass] Could not persist pass:", error);
+    }
+  }
+
+  /**
+   * Format milliseconds as m:ss for the countdown
+   */
+  static formatRemaining(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  /**
+   * Describe a pass length for the paywall, e.g. "10 minutes"
+   */
+  static describeDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return `${Math.round(ms / 1000)} seconds`;
+    if (minutes === 1) return "1 minute";
+    return `${minutes} minutes`;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlayPass;
+}
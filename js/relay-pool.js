@@ -0,0 +1,549 @@
+/**
+ * Relay Pool - Minimal NIP-01 relay client for SatSnake
+ * Speaks the relay protocol over plain WebSocket. NostrRelayManager uses it
+ * against the local dev harness (dev/harness.js) and in the Node tools, where
+ * NDK isn't loaded; pages otherwise go through NdkRelayPool
+ * Depends on nostr-crypto.js being loaded first
+ */
+
+class NostrRelay {
+  /**
+   * @param {string} url - Relay WebSocket URL
+   * @param {Object} options
+   * @param {number} options.timeout - Connect / publish timeout in milliseconds
+   * @param {number} options.reconnectDelay - First reconnect delay in milliseconds
+   * @param {number} options.maxReconnectDelay - Backoff ceiling in milliseconds
+   * @param {Function} options.onStatusChange - Called with the relay on every state change
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.socket = null;
+    this.connected = false;
+    this.subscriptions = new Map();
+    this.pendingPublishes = new Map();
+    this.connecting = null;
+
+    this.timeout = options.timeout || 5000;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 60000;
+    this.onStatusChange = options.onStatusChange || null;
+
+    // "idle" | "connecting" | "connected" | "waiting" (backoff) | "closed"
+    this.status = "idle";
+    this.closed = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.nextRetryAt = null;
+    this.stats = {
+      connects: 0,
+      failures: 0,
+      latencyMs: null, // Last connect handshake or publish round trip
+      lastError: null,
+    };
+  }
+
+  /**
+   * Open the WebSocket
+   * A failed attempt or a later drop schedules a reconnect with exponential
+   * backoff until close() is called
+   * @param {number} timeoutMs - Give up on this attempt after this long
+   * @returns {Promise<boolean>} Whether the relay connected
+   */
+  connect(timeoutMs = this.timeout) {
+    if (this.connected) return Promise.resolve(true);
+    if (this.connecting) return this.connecting;
+
+    this.closed = false;
+    this.cancelReconnect();
+    this.setStatus("connecting");
+
+    this.connecting = new Promise((resolve) => {
+      const startedAt = Date.now();
+      let socket = null;
+      let done = false;
+      const finish = (ok, reason) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        this.connecting = null;
+        if (ok) {
+          this.stats.connects++;
+          this.stats.latencyMs = Date.now() - startedAt;
+          this.reconnectAttempts = 0;
+          this.setStatus("connected");
+        } else {
+          this.recordFailure(reason);
+          this.scheduleReconnect();
+        }
+        resolve(ok);
+      };
+      const timer = setTimeout(() => {
+        console.warn(`[Relay] ${this.url} connection timed out`);
+        finish(false, "connection timed out");
+        if (socket) socket.close();
+      }, timeoutMs);
+
+      try {
+        socket = new WebSocket(this.url);
+      } catch (error) {
+        console.warn(`[Relay] ${this.url} connection failed:`, error.message);
+        finish(false, error.message);
+        return;
+      }
+      this.socket = socket;
+
+      socket.onopen = () => {
+        if (done) return; // Timed out; this socket is being closed
+        this.connected = true;
+        console.log(`[Relay] Connected: ${this.url}`);
+        // Re-send subscriptions registered before the socket opened or
+        // before the connection dropped
+        for (const [subId, sub] of this.subscriptions) {
+          this.send(["REQ", subId, sub.filter]);
+        }
+        finish(true);
+      };
+      socket.onmessage = (message) => this.handleMessage(message.data);
+      socket.onerror = () => {
+        finish(false, "connection error");
+      };
+      socket.onclose = () => {
+        if (this.socket !== socket) return;
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.socket = null;
+        for (const [, pending] of this.pendingPublishes) {
+          pending.reject(new Error(`${this.url} closed`));
+        }
+        this.pendingPublishes.clear();
+
+        if (!done) {
+          finish(false, "connection closed");
+        } else if (wasConnected && !this.closed) {
+          console.warn(`[Relay] ${this.url} connection dropped`);
+          this.recordFailure("connection dropped");
+          this.scheduleReconnect();
+        }
+      };
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Retry after 1x, 2x, 4x ... the base delay, capped at maxReconnectDelay
+   */
+  scheduleReconnect() {
+    if (this.closed || this.connected || this.connecting || this.reconnectTimer) return;
+
+    const delay = Math.min(
+      this.reconnectDelay * 2 ** this.reconnectAttempts,
+      this.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+    this.nextRetryAt = Date.now() + delay;
+    console.log(`[Relay] Reconnecting to ${this.url} in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextRetryAt = null;
+      this.connect();
+    }, delay);
+    this.setStatus("waiting");
+  }
+
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.nextRetryAt = null;
+    }
+  }
+
+  recordFailure(reason) {
+    this.stats.failures++;
+    this.stats.lastError = reason || "unknown error";
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (this.onStatusChange) {
+      this.onStatusChange(this);
+    }
+  }
+
+  /**
+   * Snapshot of the relay's health
+   * @returns {Object} url, status, connected, latencyMs, failures, connects, lastError, nextRetryAt
+   */
+  getStatus() {
+    return {
+      url: this.url,
+      status: this.status,
+      connected: this.connected,
+      latencyMs: this.stats.latencyMs,
+      failures: this.stats.failures,
+      connects: this.stats.connects,
+      lastError: this.stats.lastError,
+      nextRetryAt: this.nextRetryAt,
+    };
+  }
+
+  /**
+   * Handle a relay-to-client message
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn(`[Relay] ${this.url} sent invalid JSON`);
+      return;
+    }
+    if (!Array.isArray(message)) return;
+
+    const [type, ...rest] = message;
+    switch (type) {
+      case "EVENT": {
+        const [subId, event] = rest;
+        const sub = this.subscriptions.get(subId);
+        if (sub) sub.onEvent(event, this.url);
+        break;
+      }
+      case "EOSE": {
+        const sub = this.subscriptions.get(rest[0]);
+        if (sub && sub.onEose) sub.onEose(this.url);
+        break;
+      }
+      case "OK": {
+        const [eventId, accepted, reason] = rest;
+        const pending = this.pendingPublishes.get(eventId);
+        if (pending) {
+          this.pendingPublishes.delete(eventId);
+          if (accepted) {
+            pending.resolve(this.url);
+          } else {
+            pending.reject(new Error(reason || `${this.url} rejected event`));
+          }
+        }
+        break;
+      }
+      case "CLOSED": {
+        const [subId, reason] = rest;
+        console.warn(`[Relay] ${this.url} closed subscription ${subId}:`, reason);
+        const sub = this.subscriptions.get(subId);
+        this.subscriptions.delete(subId);
+        // Nothing more is coming for this subscription
+        if (sub && sub.onEose) sub.onEose(this.url);
+        break;
+      }
+      case "NOTICE":
+        console.log(`[Relay] Notice from ${this.url}:`, rest[0]);
+        break;
+      default:
+        // Unknown messages need no handling
+        break;
+    }
+  }
+
+  /**
+   * Open a subscription (sent immediately, or once the socket opens)
+   * @param {string} subId
+   * @param {Object} filter - NIP-01 filter
+   * @param {Function} onEvent - Called with (event, relayUrl)
+   * @param {Function} [onEose] - Called with relayUrl once stored events are sent
+   */
+  subscribe(subId, filter, onEvent, onEose = null) {
+    this.subscriptions.set(subId, { filter, onEvent, onEose });
+    if (this.connected) {
+      this.send(["REQ", subId, filter]);
+    }
+  }
+
+  /**
+   * Close a subscription
+   */
+  unsubscribe(subId) {
+    if (this.subscriptions.delete(subId) && this.connected) {
+      this.send(["CLOSE", subId]);
+    }
+  }
+
+  /**
+   * Publish an event and wait for the relay's OK
+   * @param {Object} event - Signed event
+   * @param {number} timeoutMs
+   * @returns {Promise<string>} Resolves with the relay URL
+   */
+  publish(event, timeoutMs) {
+    if (!this.connected) {
+      return Promise.reject(new Error(`${this.url} not connected`));
+    }
+    return new Promise((resolve, reject) => {
+      const sentAt = Date.now();
+      const timer = setTimeout(() => {
+        this.pendingPublishes.delete(event.id);
+        reject(new Error(`${this.url} did not acknowledge event`));
+      }, timeoutMs);
+      this.pendingPublishes.set(event.id, {
+        resolve: (url) => {
+          clearTimeout(timer);
+          this.stats.latencyMs = Date.now() - sentAt;
+          resolve(url);
+        },
+        reject: (error) => { clearTimeout(timer); reject(error); },
+      });
+      this.send(["EVENT", event]);
+    });
+  }
+
+  send(message) {
+    if (this.socket && this.connected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Close the connection for good (no reconnecting)
+   */
+  close() {
+    this.closed = true;
+    this.cancelReconnect();
+    this.subscriptions.clear();
+    if (this.socket) {
+      this.socket.close();
+    }
+    this.connected = false;
+    this.setStatus("closed");
+  }
+}
+
+class RelayPool {
+  /**
+   * @param {string[]} relayUrls - Relay WebSocket URLs
+   * @param {Object} options
+   * @param {number} options.timeout - Connect / publish timeout in milliseconds
+   * @param {number} options.reconnectDelay - First reconnect delay in milliseconds
+   * @param {number} options.maxReconnectDelay - Backoff ceiling in milliseconds
+   */
+  constructor(relayUrls, options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.reconnectDelay = options.reconnectDelay;
+    this.maxReconnectDelay = options.maxReconnectDelay;
+    this.relays = new Map();
+    this.statusListeners = new Set();
+    this.subCounter = 0;
+    for (const url of relayUrls) {
+      this.addRelay(url);
+    }
+  }
+
+  /**
+   * Normalize a relay URL so "wss://a.com" and "wss://a.com/" match
+   */
+  static normalizeUrl(url) {
+    return url.trim().replace(/\/+$/, "");
+  }
+
+  /**
+   * Add a relay to the pool
+   * @param {string} url - Relay WebSocket URL
+   * @param {boolean} connect - Connect right away
+   * @returns {NostrRelay}
+   */
+  addRelay(url, connect = false) {
+    const normalized = RelayPool.normalizeUrl(url);
+    let relay = this.relays.get(normalized);
+    if (!relay) {
+      relay = new NostrRelay(normalized, {
+        timeout: this.timeout,
+        reconnectDelay: this.reconnectDelay,
+        maxReconnectDelay: this.maxReconnectDelay,
+        onStatusChange: () => this.notifyStatus(),
+      });
+      this.relays.set(normalized, relay);
+      this.notifyStatus();
+    }
+    if (connect) {
+      relay.connect(this.timeout);
+    }
+    return relay;
+  }
+
+  /**
+   * Whether a relay is in the pool
+   */
+  has(url) {
+    return this.relays.has(RelayPool.normalizeUrl(url));
+  }
+
+  /**
+   * Connect to every relay in the pool
+   * @returns {Promise<number>} Number of relays connected
+   */
+  async connect() {
+    const results = await Promise.all(
+      [...this.relays.values()].map(relay => relay.connect(this.timeout))
+    );
+    return results.filter(Boolean).length;
+  }
+
+  /**
+   * Subscribe across the pool
+   * Each event is delivered once, however many relays send it; copies that
+   * fail NIP-01 verification are dropped so a bad relay can't shadow the
+   * genuine event
+   * @param {Object} filter - NIP-01 filter
+   * @param {Function} onEvent - Called with (event, relayUrl)
+   * @param {string[]} [relayUrls] - Limit to these relays
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(filter, onEvent, relayUrls = null) {
+    const subId = `satsnake-${++this.subCounter}`;
+    const targets = this.getTargets(relayUrls);
+    const seen = new Set();
+    const deliver = (event, relayUrl) => {
+      if (!event || seen.has(event.id)) return;
+      const check = NostrCrypto.verifyEvent(event);
+      if (!check.valid) {
+        console.warn(`[Relay] Dropping invalid event from ${relayUrl}:`, check.reason);
+        return;
+      }
+      seen.add(event.id);
+      onEvent(event, relayUrl);
+    };
+    for (const relay of targets) {
+      relay.subscribe(subId, filter, deliver);
+    }
+    return () => {
+      for (const relay of targets) {
+        relay.unsubscribe(subId);
+      }
+    };
+  }
+
+  /**
+   * Fetch stored events once from the connected relays
+   * Resolves when every relay has sent EOSE, or with whatever arrived by the timeout
+   * @param {Object} filter - NIP-01 filter
+   * @param {string[]} [relayUrls] - Limit to these relays
+   * @returns {Promise<Object[]>} Verified events, deduplicated by id
+   */
+  query(filter, relayUrls = null) {
+    const subId = `satsnake-${++this.subCounter}`;
+    // Relays still connecting or backing off would only hold the query up
+    const targets = this.getTargets(relayUrls).filter(relay => relay.connected);
+    if (!targets.length) return Promise.resolve([]);
+
+    return new Promise((resolve) => {
+      const events = new Map();
+      const pending = new Set(targets.map(relay => relay.url));
+      const finish = () => {
+        clearTimeout(timer);
+        for (const relay of targets) {
+          relay.unsubscribe(subId);
+        }
+        resolve([...events.values()]);
+      };
+      const timer = setTimeout(finish, this.timeout);
+
+      const onEvent = (event, relayUrl) => {
+        if (!event || events.has(event.id)) return;
+        const check = NostrCrypto.verifyEvent(event);
+        if (!check.valid) {
+          console.warn(`[Relay] Dropping invalid event from ${relayUrl}:`, check.reason);
+          return;
+        }
+        events.set(event.id, event);
+      };
+      const onEose = (relayUrl) => {
+        pending.delete(relayUrl);
+        if (!pending.size) finish();
+      };
+      for (const relay of targets) {
+        relay.subscribe(subId, filter, onEvent, onEose);
+      }
+    });
+  }
+
+  /**
+   * Publish to the pool
+   * @param {Object} event - Signed event
+   * @param {string[]} [relayUrls] - Limit to these relays
+   * @returns {Promise<string>} Resolves with the first relay that accepted
+   */
+  async publish(event, relayUrls = null) {
+    const targets = this.getTargets(relayUrls);
+    if (!targets.length) {
+      throw new Error("No relays to publish to");
+    }
+    // Relays added for this publish may still be connecting
+    await Promise.all(targets.map(relay => relay.connect(this.timeout)));
+    try {
+      return await Promise.any(targets.map(relay => relay.publish(event, this.timeout)));
+    } catch (error) {
+      throw new Error("No relay accepted the event");
+    }
+  }
+
+  /**
+   * Resolve the relays a request applies to, adding unknown ones
+   */
+  getTargets(relayUrls) {
+    if (!relayUrls) return [...this.relays.values()];
+    return relayUrls.map(url => this.addRelay(url, true));
+  }
+
+  /**
+   * Health of every relay in the pool
+   * @returns {{connectedCount: number, total: number, relays: Object[]}}
+   */
+  getStatus() {
+    const relays = [...this.relays.values()].map(relay => relay.getStatus());
+    return {
+      connectedCount: relays.filter(r => r.connected).length,
+      total: relays.length,
+      relays,
+    };
+  }
+
+  /**
+   * Observe relay health
+   * The listener is called right away and again whenever a relay connects,
+   * drops, schedules a retry or joins the pool
+   * @param {Function} listener - Called with getStatus()
+   * @returns {Function} Stop listening
+   */
+  onStatus(listener) {
+    this.statusListeners.add(listener);
+    listener(this.getStatus());
+    return () => this.statusListeners.delete(listener);
+  }
+
+  notifyStatus() {
+    if (!this.statusListeners.size) return;
+    const status = this.getStatus();
+    for (const listener of this.statusListeners) {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error("[Relay] Status listener failed:", error);
+      }
+    }
+  }
+
+  /**
+   * Close every relay connection
+   */
+  close() {
+    for (const relay of this.relays.values()) {
+      relay.close();
+    }
+    this.statusListeners.clear();
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NostrRelay, RelayPool };
+}
@@ -0,0 +1,117 @@
+/**
+ * Replay Player - Plays a Replay back on a canvas
+ * Runs at the game's tick rate times 1, 2 or 4, and can jump to any tick
+ * Depends on replay.js and snake-renderer.js being loaded first
+ */
+
+class ReplayPlayer {
+  static SPEEDS = [1, 2, 4];
+
+  /**
+   * @param {SnakeRenderer} renderer - Draws each frame
+   * @param {Object} [options]
+   * @param {number} [options.tickInterval] - Game tick length at 1x (ms)
+   * @param {Function} [options.onTick] - Called with (tick, state) after each frame
+   * @param {Function} [options.onEnd] - Called when playback reaches the end
+   */
+  constructor(renderer, { tickInterval = 120, onTick = null, onEnd = null } = {}) {
+    this.renderer = renderer;
+    this.tickInterval = tickInterval;
+    this.onTick = onTick;
+    this.onEnd = onEnd;
+    this.replay = null;
+    this.tick = 0;
+    this.speed = 1;
+    this.timer = null;
+  }
+
+  /**
+   * Load a replay and show its first frame
+   * @param {Replay} replay
+   * @throws {Error} If the replay was recorded with another engine version
+   */
+  load(replay) {
+    replay.assertPlayable();
+    this.pause();
+    this.replay = replay;
+    this.seek(0);
+  }
+
+  /**
+   * Start or resume playback
+   */
+  play() {
+    if (!this.replay || this.timer) return;
+    if (this.tick >= this.replay.length) this.seek(0);
+    this.timer = setInterval(() => this.step(), this.tickInterval / this.speed);
+  }
+
+  /**
+   * Stop playback at the current tick
+   */
+  pause() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get playing() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Change playback speed; takes effect immediately
+   * @param {number} speed - 1, 2 or 4
+   */
+  setSpeed(speed) {
+    if (!ReplayPlayer.SPEEDS.includes(speed)) {
+      throw new Error(`Replay speed must be one of ${ReplayPlayer.SPEEDS.join(", ")}x`);
+    }
+    this.speed = speed;
+    if (this.playing) {
+      this.pause();
+      this.play();
+    }
+  }
+
+  /**
+   * Jump to a tick and draw it
+   * @param {number} tick - 0 to replay.length
+   */
+  seek(tick) {
+    if (!this.replay) return;
+    this.tick = Math.max(0, Math.min(Math.round(tick), this.replay.length));
+    this.draw();
+  }
+
+  /**
+   * Advance one tick
+   */
+  step() {
+    if (this.tick >= this.replay.length) {
+      this.pause();
+      if (this.onEnd) this.onEnd();
+      return;
+    }
+    this.seek(this.tick + 1);
+  }
+
+  draw() {
+    const state = this.replay.stateAt(this.tick);
+    this.renderer.render(state);
+    if (this.onTick) this.onTick(this.tick, state);
+  }
+
+  /**
+   * Stop and forget the replay
+   */
+  close() {
+    this.pause();
+    this.replay = null;
+    this.tick = 0;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReplayPlayer;
+}
@@ -0,0 +1,378 @@
+/**
+ * Replay - A run recorded as its RNG seed plus the input of every tick
+ * SnakeEngine is deterministic, so feeding the same inputs to a game created
+ * with the same seed rebuilds the run exactly, tick for tick.
+ *
+ * Inputs are stored one character per tick ("." no turn, u/d/l/r a turn),
+ * run-length encoded: "7.u12.l" is seven ticks with no input, up, twelve
+ * ticks with none, then left.
+ *
+ * The engine rules (game mode, level) are stored with the run, and paid
+ * continues alongside the inputs: each names the tick the snake died on and
+ * the payment that bought it back (SnakeEngine.revive).
+ *
+ * A paid run's seed comes from the session of the zap request that paid for
+ * it (sessionSeed), so a player can't go looking for a lucky board.
+ * Depends on nostr-crypto.js and snake-engine.js being loaded first
+ */
+
+class Replay {
+  static FORMAT = "satsnake-replay";
+  static STRING_PREFIX = "SSR1.";
+
+  // Engine state is kept every this many ticks so seeking stays cheap
+  static CHECKPOINT_INTERVAL = 100;
+
+  static INPUT_CODES = { up: "u", down: "d", left: "l", right: "r" };
+
+  // Longest run accepted from a file or string (over 30 hours at 120ms a tick)
+  static MAX_TICKS = 1000000;
+
+  // Widest and tallest board accepted, the same limit the config loader sets
+  static MAX_BOARD = 100;
+
+  /**
+   * @param {Object} run
+   * @param {number} run.seed - Engine RNG seed
+   * @param {number} run.version - SnakeEngine.VERSION it was recorded with
+   * @param {number} run.width - Board width in cells
+   * @param {number} run.height - Board height in cells
+   * @param {Object} [run.rules] - state.rules it was played under (default: classic)
+   * @param {Array<string|null>} [run.inputs] - Input of each tick
+   * @param {Array<Object>} [run.continues] - Paid continues, {tick, receiptId?,
+   *   paymentHash?, amountSats, paidAt}, in tick order
+   * @param {number} [run.recordedAt] - Unix ms
+   */
+  constructor({ seed, version, width, height, rules = SnakeEngine.DEFAULT_RULES, inputs = [], continues = [], recordedAt = Date.now() }) {
+    this.seed = seed;
+    this.version = version;
+    this.width = width;
+    this.height = height;
+    this.rules = rules;
+    this.inputs = inputs;
+    this.continues = continues;
+    this.recordedAt = recordedAt;
+    this.checkpoints = new Map();
+    this.cursor = null;
+  }
+
+  /**
+   * The seed of a game a payment bought
+   * @param {string} sessionId - Session of the payment's zap request
+   * @param {number} [game] - Which of the payment's games (credit mode), from 0
+   * @returns {number} uint32 seed
+   */
+  static sessionSeed(sessionId, game = 0) {
+    return parseInt(NostrCrypto.sha256Hex(`satsnake-seed:${sessionId}:${game}`).slice(0, 8), 16);
+  }
+
+  /**
+   * Start recording a game
+   * @param {Object} state - Fresh state from SnakeEngine.create
+   * @returns {Replay}
+   */
+  static start(state) {
+    return new Replay({
+      seed: state.seed,
+      version: state.version,
+      width: state.width,
+      height: state.height,
+      rules: state.rules,
+    });
+  }
+
+  /**
+   * Record the input given to one tick
+   * @param {string|null} input - The exact value passed to SnakeEngine.tick
+   */
+  record(input) {
+    this.inputs.push(Replay.INPUT_CODES[input] ? input : null);
+  }
+
+  /**
+   * Record a paid continue after the snake died on the last recorded tick
+   * @param {Object} payment - What paid for it
+   * @param {string} [payment.receiptId] - Zap receipt event id
+   * @param {string} [payment.paymentHash] - Invoice payment hash
+   * @param {number} payment.amountSats
+   */
+  recordContinue({ receiptId, paymentHash, amountSats }) {
+    this.continues.push({ tick: this.length, receiptId, paymentHash, amountSats, paidAt: Date.now() });
+    this.checkpoints.clear();
+    this.cursor = null;
+  }
+
+  /**
+   * Number of recorded ticks
+   */
+  get length() {
+    return this.inputs.length;
+  }
+
+  /**
+   * Engine state after a given number of ticks
+   * @param {number} tick - 0 (start) to length
+   * @returns {Object} Frozen engine state
+   */
+  stateAt(tick) {
+    this.assertPlayable();
+    const target = Math.max(0, Math.min(tick, this.length));
+
+    // Resume from the nearest checkpoint at or before the target
+    if (!this.checkpoints.has(0)) {
+      this.checkpoints.set(0, this.createGame());
+    }
+    let at = 0;
+    for (const t of this.checkpoints.keys()) {
+      if (t <= target && t > at) at = t;
+    }
+    let state = this.checkpoints.get(at);
+
+    // Playing forward continues from the last state asked for
+    if (this.cursor && this.cursor.tick <= target && this.cursor.tick > at) {
+      ({ tick: at, state } = this.cursor);
+    }
+
+    while (at < target) {
+      state = this.step(state, at).state;
+      at++;
+      if (at % Replay.CHECKPOINT_INTERVAL === 0) this.checkpoints.set(at, state);
+    }
+    this.cursor = { tick: at, state };
+    return state;
+  }
+
+  /**
+   * Play the whole run headlessly
+   * @returns {{state: Object, events: Array<Object>}} Final state and every event
+   */
+  simulate() {
+    this.assertPlayable();
+    let state = this.createGame();
+    const events = [];
+    for (let at = 0; at < this.length; at++) {
+      const step = this.step(state, at);
+      state = step.state;
+      events.push(...step.events);
+    }
+    return { state, events };
+  }
+
+  /**
+   * The run's starting state
+   */
+  createGame() {
+    return SnakeEngine.create({ seed: this.seed, width: this.width, height: this.height, rules: this.rules });
+  }
+
+  /**
+   * Play one recorded tick, reviving the snake if a continue was bought there
+   * @param {Object} state - State before the tick
+   * @param {number} at - Index of the tick's input
+   * @returns {{state: Object, events: Array<Object>}} As SnakeEngine.tick, plus
+   *   a continued {score} event after a revive
+   */
+  step(state, at) {
+    const result = SnakeEngine.tick(state, this.inputs[at]);
+    const tick = at + 1;
+    if (result.state.alive || !this.continues.some(c => c.tick === tick)) return result;
+    return {
+      state: SnakeEngine.revive(result.state),
+      events: [...result.events, { type: "continued", tick, score: result.state.score }],
+    };
+  }
+
+  /**
+   * Fail early on a replay this engine can't play back faithfully
+   */
+  assertPlayable() {
+    if (this.version !== SnakeEngine.VERSION) {
+      throw new Error(`Replay was recorded with engine version ${this.version}, this game runs version ${SnakeEngine.VERSION}`);
+    }
+  }
+
+  /**
+   * Plain object for a .json file
+   */
+  toJSON() {
+    return {
+      format: Replay.FORMAT,
+      version: this.version,
+      seed: this.seed,
+      width: this.width,
+      height: this.height,
+      rules: this.rules,
+      recordedAt: this.recordedAt,
+      inputs: Replay.encodeInputs(this.inputs),
+      continues: this.continues,
+    };
+  }
+
+  /**
+   * Read a replay file's contents
+   * @param {Object|string} data - Parsed or raw JSON
+   * @returns {Replay}
+   * @throws {Error} If it isn't a SatSnake replay
+   */
+  static fromJSON(data) {
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!json || json.format !== Replay.FORMAT) {
+      throw new Error("Not a SatSnake replay");
+    }
+    const numbers = ['version', 'seed', 'width', 'height'];
+    if (!numbers.every(key => Number.isInteger(json[key]) && json[key] >= 0) || !json.width || !json.height) {
+      throw new Error("Replay is missing its seed, version or board size");
+    }
+    if (json.width > Replay.MAX_BOARD || json.height > Replay.MAX_BOARD) {
+      throw new Error(`Replay board is larger than ${Replay.MAX_BOARD}x${Replay.MAX_BOARD}`);
+    }
+    const inputs = Replay.decodeInputs(json.inputs);
+    return new Replay({
+      seed: json.seed,
+      version: json.version,
+      width: json.width,
+      height: json.height,
+      rules: Replay.readRules(json.rules, json.width, json.height),
+      recordedAt: json.recordedAt,
+      inputs,
+      continues: Replay.readContinues(json.continues, inputs.length),
+    });
+  }
+
+  /**
+   * Check a file's rules; files from before game modes are classic
+   * @throws {Error} On anything that isn't a valid set of rules for the board
+   */
+  static readRules(rules = {}, width, height) {
+    const merged = { ...SnakeEngine.DEFAULT_RULES, ...rules };
+    const isCell = (cell) => cell && Number.isInteger(cell.x) && Number.isInteger(cell.y) &&
+      cell.x >= 0 && cell.x < width && cell.y >= 0 && cell.y < height;
+    const isSpawn = (entry) => entry && typeof entry.type === 'string' &&
+      Number.isInteger(entry.points) && entry.points >= 0 &&
+      typeof entry.chance === 'number' && entry.chance >= 0 && entry.chance <= 1 &&
+      Number.isInteger(entry.ttl) && entry.ttl >= 1 &&
+      Number.isInteger(entry.max) && entry.max >= 1;
+    const valid = typeof merged.mode === 'string' &&
+      (merged.level === null || typeof merged.level === 'string') &&
+      typeof merged.wrap === 'boolean' &&
+      Array.isArray(merged.obstacles) && merged.obstacles.every(isCell) &&
+      Number.isInteger(merged.foodPoints) && merged.foodPoints >= 0 &&
+      Number.isInteger(merged.speedBonus) && merged.speedBonus >= 0 &&
+      (merged.speedUp === null || (Number.isFinite(merged.speedUp.step) && Number.isFinite(merged.speedUp.min))) &&
+      (merged.spawn === null || isCell(merged.spawn)) &&
+      (merged.food === null || isCell(merged.food)) &&
+      Array.isArray(merged.spawnTable) && merged.spawnTable.every(isSpawn);
+    if (!valid) {
+      throw new Error("Replay rules are damaged");
+    }
+    // Only the keys the engine knows
+    return Object.fromEntries(Object.keys(SnakeEngine.DEFAULT_RULES).map(key => [key, merged[key]]));
+  }
+
+  /**
+   * Check a file's continues: ticks in order, inside the run
+   * @throws {Error} On anything else
+   */
+  static readContinues(continues = [], length) {
+    if (!Array.isArray(continues)) {
+      throw new Error("Replay continues are damaged");
+    }
+    let last = 0;
+    return continues.map(entry => {
+      if (!entry || !Number.isInteger(entry.tick) || entry.tick <= last || entry.tick > length) {
+        throw new Error("Replay continues are damaged");
+      }
+      last = entry.tick;
+      const { tick, receiptId, paymentHash, amountSats, paidAt } = entry;
+      return { tick, receiptId, paymentHash, amountSats, paidAt };
+    });
+  }
+
+  /**
+   * Compact string for sharing, e.g. in a link
+   */
+  encode() {
+    const bytes = new TextEncoder().encode(JSON.stringify(this.toJSON()));
+    let binary = "";
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    const base64 = btoa(binary);
+    return Replay.STRING_PREFIX + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Read a string made by encode()
+   * @param {string} text
+   * @returns {Replay}
+   */
+  static decode(text) {
+    const trimmed = String(text).trim();
+    if (!trimmed.startsWith(Replay.STRING_PREFIX)) {
+      throw new Error("Not a SatSnake replay string");
+    }
+    const base64 = trimmed.slice(Replay.STRING_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    let json;
+    try {
+      const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+      json = new TextDecoder().decode(bytes);
+    } catch (error) {
+      throw new Error("Replay string is damaged");
+    }
+    return Replay.fromJSON(json);
+  }
+
+  /**
+   * Read either a replay file's contents or a share string
+   * @param {string} text
+   * @returns {Replay}
+   */
+  static parse(text) {
+    const trimmed = String(text).trim();
+    if (trimmed.startsWith(Replay.STRING_PREFIX)) return Replay.decode(trimmed);
+    try {
+      return Replay.fromJSON(trimmed);
+    } catch (error) {
+      throw error instanceof SyntaxError ? new Error("Not a SatSnake replay") : error;
+    }
+  }
+
+  /**
+   * Run-length encode tick inputs
+   */
+  static encodeInputs(inputs) {
+    let out = "";
+    let i = 0;
+    while (i < inputs.length) {
+      const code = Replay.INPUT_CODES[inputs[i]] || ".";
+      let run = 1;
+      while (i + run < inputs.length && (Replay.INPUT_CODES[inputs[i + run]] || ".") === code) run++;
+      out += (run > 1 ? run : "") + code;
+      i += run;
+    }
+    return out;
+  }
+
+  /**
+   * Reverse of encodeInputs
+   * @throws {Error} On anything but counts and . u d l r
+   */
+  static decodeInputs(text) {
+    if (typeof text !== 'string' || !/^(\d*[.udlr])*$/.test(text)) {
+      throw new Error("Replay inputs are damaged");
+    }
+    const names = { ".": null, u: "up", d: "down", l: "left", r: "right" };
+    const inputs = [];
+    for (const [, count, code] of text.matchAll(/(\d*)([.udlr])/g)) {
+      const run = count ? parseInt(count, 10) : 1;
+      if (inputs.length + run > Replay.MAX_TICKS) {
+        throw new Error("Replay is too long");
+      }
+      for (let i = 0; i < run; i++) inputs.push(names[code]);
+    }
+    return inputs;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Replay;
+}
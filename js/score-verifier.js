@@ -0,0 +1,317 @@
+/**
+ * Score Verifier - Decides which leaderboard scores to believe
+ * A score counts only if
+ *   - its embedded replay was played under the exact rules of the mode the
+ *     score is filed under, and
+ *   - the replay, re-run through SnakeEngine, ends (in a death or a full
+ *     board) with exactly the claimed score, and
+ *   - the zap receipt it references passes NostrRelayManager.validateZapReceipt
+ *     for the mode's price and was paid by the same key that signed the score, and
+ *   - the replay's seed comes from that receipt's zap request session
+ *     (Replay.sessionSeed), so the board wasn't picked by the player, and
+ *   - every paid continue in the replay (at most continues.maxPerRun) points
+ *     at its own zap receipt for the continue price, from that key too, and
+ *   - no earlier score claimed the same receipts: a receipt backs one score,
+ *     in credit mode one per game it bought.
+ * Scores paid without a zap (LUD-21 verify, browser wallet) have no public
+ * receipt to check and are not shown.
+ * Results are cached per score event id: an event can't change without its
+ * id changing, so a verdict never goes stale. Checks that couldn't run (the
+ * receipt wasn't found on the relays yet) are not cached.
+ * Depends on replay.js, game-modes.js, zap-replay-store.js, zap-split.js
+ * and nostr-relay-manager.js being loaded first
+ */
+
+class ScoreVerifier {
+  static MAX_CACHED = 2000;
+
+  // Most games one top-up receipt is checked for in credit mode
+  static MAX_GAMES_PER_RECEIPT = 1000;
+
+  /**
+   * @param {NostrRelayManager} relayManager - Initialized relay manager (knows the zapper key)
+   * @param {Object} config - SATSNAKE_CONFIG
+   * @param {string} [storageKey] - localStorage key for cached verdicts
+   */
+  constructor(relayManager, config, storageKey = "satsnake:score-checks") {
+    this.relayManager = relayManager;
+    this.config = config;
+    this.storageKey = storageKey;
+    this.storage = ZapReplayStore.getStorage();
+    this.cache = this.load();
+  }
+
+  /**
+   * Check a batch of score entries
+   * @param {Array<Object>} entries - From Leaderboard.parseScoreEvent
+   * @returns {Promise<Array<{valid: boolean, reason?: string, retry?: boolean}>>}
+   *   One result per entry, in order
+   */
+  async checkAll(entries) {
+    const results = entries.map(entry => this.cache.get(entry.id) || this.checkReplay(entry));
+    const continues = results.map(result => result.continues || []);
+
+    // Only fetch receipts for scores whose replay holds up
+    const receipts = await this.fetchReceipts(entries.flatMap((entry, i) =>
+      results[i].valid && !this.cache.has(entry.id)
+        ? [entry.receiptId, ...continues[i].map(c => c.receiptId)]
+        : []
+    ));
+
+    entries.forEach((entry, i) => {
+      if (this.cache.has(entry.id)) return;
+      if (results[i].valid) {
+        const { seed } = results[i];
+        results[i] = this.checkReceipt(
+          entry,
+          receipts.get(entry.receiptId),
+          this.minimumReceiptSats(this.gamePrice(entry.mode))
+        );
+        if (results[i].valid) results[i] = this.checkSeed(entry, seed, results[i]);
+      }
+      const claims = results[i].claims;
+      for (const paid of results[i].valid ? continues[i] : []) {
+        results[i] = this.checkReceipt(
+          entry,
+          receipts.get(paid.receiptId),
+          this.minimumReceiptSats(this.config.continues.priceSats)
+        );
+        if (!results[i].valid) {
+          results[i].reason = `Continue at tick ${paid.tick}: ${results[i].reason}`;
+          break;
+        }
+        claims.push(paid.receiptId);
+      }
+      if (results[i].valid) results[i].claims = claims;
+    });
+
+    // Earliest score first, so a copy published later can't take its receipt
+    const claimed = this.claimedReceipts();
+    const order = entries.map((entry, i) => i)
+      .sort((a, b) => entries[a].createdAt - entries[b].createdAt || (entries[a].id < entries[b].id ? -1 : 1));
+    for (const i of order) {
+      const entry = entries[i];
+      if (this.cache.has(entry.id)) continue;
+      if (results[i].valid) {
+        const taken = results[i].claims.find(claim => claimed.has(claim) && claimed.get(claim) !== entry.id);
+        if (taken) {
+          results[i] = { valid: false, reason: "Zap receipt already backs another score" };
+        } else {
+          results[i].claims.forEach(claim => claimed.set(claim, entry.id));
+        }
+      }
+      if (!results[i].retry) this.remember(entry.id, results[i]);
+      if (!results[i].valid) {
+        console.warn(`[Leaderboard] Ignoring score ${entry.id.slice(0, 8)}…: ${results[i].reason}`);
+      }
+    }
+    this.save();
+    return results;
+  }
+
+  /**
+   * Receipts the cached valid scores hold
+   * @returns {Map<string, string>} claim -> score event id
+   */
+  claimedReceipts() {
+    const claimed = new Map();
+    for (const [eventId, verdict] of this.cache) {
+      for (const claim of verdict.valid && verdict.claims || []) {
+        claimed.set(claim, eventId);
+      }
+    }
+    return claimed;
+  }
+
+  /**
+   * Re-run the embedded replay and compare the outcome with the claim
+   * @returns {Object} Result; when valid, with the replay's paid continues
+   */
+  checkReplay(entry) {
+    if (!entry.receiptId) {
+      return { valid: false, reason: "No zap receipt to check the payment against" };
+    }
+    if (!entry.replay) {
+      return { valid: false, reason: "No replay attached" };
+    }
+
+    let replay;
+    try {
+      replay = Replay.decode(entry.replay);
+    } catch (error) {
+      return { valid: false, reason: `Replay unusable: ${error.message}` };
+    }
+    if (!GameModes.rulesFor(entry.mode)) {
+      // A level this page hasn't loaded; another page may know it
+      return { valid: false, retry: true, reason: `Unknown game mode ${entry.mode}` };
+    }
+    // Board and rules first: simulating a board of the publisher's choosing
+    // could take any amount of time and memory
+    if (!GameModes.matches(replay, entry.mode, this.config)) {
+      return { valid: false, reason: `Replay wasn't played under the ${entry.mode} rules` };
+    }
+    let outcome;
+    try {
+      outcome = replay.simulate();
+    } catch (error) {
+      return { valid: false, reason: `Replay unusable: ${error.message}` };
+    }
+    if (outcome.state.alive) {
+      return { valid: false, reason: "Replay ends before the game does" };
+    }
+    if (outcome.state.score !== entry.score) {
+      return { valid: false, reason: `Replay scores ${outcome.state.score}, not ${entry.score}` };
+    }
+
+    // Each continue needs its own zap receipt
+    if (replay.continues.length > this.config.continues.maxPerRun) {
+      return { valid: false, reason: `Replay has ${replay.continues.length} continues, the limit is ${this.config.continues.maxPerRun}` };
+    }
+    const receiptIds = [entry.receiptId, ...replay.continues.map(c => c.receiptId)];
+    if (!receiptIds.every(Boolean) || new Set(receiptIds).size !== receiptIds.length) {
+      return { valid: false, reason: "Every continue needs a zap receipt of its own" };
+    }
+    return { valid: true, continues: replay.continues, seed: replay.seed };
+  }
+
+  /**
+   * Check a zap receipt a score points at
+   * @param {Object} entry - Score entry
+   * @param {Object} [receipt] - The kind 9735 event, if a relay had it
+   * @param {number} [minSats] - Smallest payment it may be (default: a game's price)
+   */
+  checkReceipt(entry, receipt, minSats = this.minimumReceiptSats()) {
+    if (!receipt) {
+      return { valid: false, retry: true, reason: "Zap receipt not found on the relays" };
+    }
+    if (!this.relayManager.zapperPubkey) {
+      return { valid: false, retry: true, reason: "Recipient's zapper key is unknown" };
+    }
+
+    let zapRequest;
+    try {
+      zapRequest = JSON.parse(this.relayManager.getTagValue(receipt.tags, 'description'));
+    } catch (error) {
+      return { valid: false, reason: "Zap receipt has no readable zap request" };
+    }
+
+    // The receipt's own session; a score may come from any paid session
+    const sessionId = this.relayManager.getTagValue(zapRequest.tags, 'session') ||
+      (String(zapRequest.content).match(/^SatSnake game session: (.+)$/) || [])[1];
+    const result = this.relayManager.validateZapReceipt(
+      receipt,
+      sessionId,
+      minSats,
+      { allowUsed: true, minSats }
+    );
+    if (!result.valid) return result;
+
+    // Someone else's payment doesn't buy you a place on the board
+    if (result.senderPubkey !== entry.pubkey) {
+      return { valid: false, reason: "Zap was paid by a different key than the score's" };
+    }
+    return { valid: true, sessionId, amountSats: result.amountSats };
+  }
+
+  /**
+   * Check the replay was played on the board its payment's session seeds
+   * Outside credit mode that is the payment's one game; in credit mode any
+   * of the games the top-up bought
+   * @param {Object} entry - Score entry
+   * @param {number} seed - The replay's seed
+   * @param {Object} paid - checkReceipt's result for the score's receipt
+   * @returns {Object} Result; when valid, with the claims the score makes
+   */
+  checkSeed(entry, seed, paid) {
+    const credits = this.config.gamePriceSats > 0;
+    const games = credits
+      ? Math.min(
+        Math.ceil(paid.amountSats / GameModes.price(entry.mode, this.config)),
+        ScoreVerifier.MAX_GAMES_PER_RECEIPT
+      )
+      : 1;
+    for (let game = 0; game < games; game++) {
+      if (Replay.sessionSeed(paid.sessionId, game) === seed) {
+        return { valid: true, claims: [credits ? `${entry.receiptId}:${game}` : entry.receiptId] };
+      }
+    }
+    return { valid: false, reason: "Replay seed doesn't come from the payment's session" };
+  }
+
+  /**
+   * What the payment behind a score of a mode must be at least: the mode's
+   * price, or a top-up (minPaymentSats) in credit mode, where games are
+   * paid from the balance
+   */
+  gamePrice(mode) {
+    return this.config.gamePriceSats > 0
+      ? this.config.minPaymentSats
+      : GameModes.price(mode, this.config);
+  }
+
+  /**
+   * Smallest receipt that can have paid a price: the price, or the primary
+   * recipient's share of it when payments are split (scores point at the
+   * primary leg's receipt)
+   * @param {number} [priceSats] - Default: minPaymentSats (a game)
+   */
+  minimumReceiptSats(priceSats = this.config.minPaymentSats) {
+    if (!ZapSplit.isSplit(this.config)) return priceSats;
+    const legs = ZapSplit.shares(priceSats, ZapSplit.recipients(this.config));
+    return legs.find(leg => leg.primary).amountSats;
+  }
+
+  /**
+   * Fetch zap receipts by event id
+   * @returns {Promise<Map<string, Object>>} id -> receipt
+   */
+  async fetchReceipts(ids) {
+    const wanted = [...new Set(ids.filter(Boolean))];
+    if (!wanted.length) return new Map();
+    const events = await this.relayManager.query({ ids: wanted, kinds: [9735] }, this.relayManager.relays);
+    return new Map(events.map(event => [event.id, event]));
+  }
+
+  /**
+   * Cache a verdict, dropping the oldest once full
+   */
+  remember(eventId, result) {
+    this.cache.set(eventId, { valid: result.valid, reason: result.reason, claims: result.claims });
+    while (this.cache.size > ScoreVerifier.MAX_CACHED) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Load cached verdicts
+   * @returns {Map<string, Object>}
+   */
+  load() {
+    if (!this.storage) return new Map();
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : [];
+      return new Map(Array.isArray(parsed) ? parsed : []);
+    } catch (error) {
+      console.warn("[Leaderboard] Could not read score checks:", error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Write cached verdicts
+   */
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify([...this.cache]));
+    } catch (error) {
+      console.warn("[Leaderboard] Could not persist score checks:", error);
+    }
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScoreVerifier;
+}
@@ -0,0 +1,310 @@
+/**
+ * Snake Engine - The rules of SatSnake, with no DOM, timers or Math.random
+ * State is an immutable snapshot; tick(state, input) returns the next one
+ * plus what happened during the step. The same seed and the same inputs
+ * always give the same game, so runs can be tested, replayed and re-scored
+ * under Node as well as in the browser.
+ *
+ * Variations (see GameModes) are data in state.rules: walls that wrap
+ * around, obstacle cells, points per food, a bonus that grows with each
+ * food eaten and a spawn table of bonus pellets. The default rules are the
+ * classic game.
+ *
+ * Food and pellets only land on free cells. When the snake fills every free
+ * cell the game is won: it ends with a won event instead of a death. While
+ * pellets take up the last free cells there's no food until one goes.
+ */
+
+class SnakeEngine {
+  // Bump when a rule change would make old inputs play out differently
+  static VERSION = 2;
+
+  static DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+  };
+
+  static OPPOSITE = { up: "down", down: "up", left: "right", right: "left" };
+
+  static FOOD_POINTS = 10;
+
+  static DEFAULT_RULES = {
+    mode: "classic",
+    level: null,
+    wrap: false, // leaving one edge enters at the opposite one
+    obstacles: [], // [{x, y}] cells that kill like walls
+    foodPoints: SnakeEngine.FOOD_POINTS,
+    speedBonus: 0, // extra points per food already eaten
+    speedUp: null, // {step, min}: tick ms lost per food, and the floor (game loop only)
+    spawn: null, // {x, y} where the snake starts and revives
+    food: null, // {x, y} of the first food
+    // Bonus pellets: each time food is eaten, every entry rolls its chance
+    // to drop a pellet worth points that disappears after ttl ticks, with
+    // at most max of a type on the board. [{type, points, chance, ttl, max}]
+    spawnTable: [],
+  };
+
+  /**
+   * Start a new game
+   * @param {Object} [options]
+   * @param {number} [options.seed] - RNG seed (uint32); random when omitted
+   * @param {number} [options.width] - Board width in cells
+   * @param {number} [options.height] - Board height in cells
+   * @param {Object} [options.rules] - Overrides of DEFAULT_RULES
+   * @returns {Object} Frozen game state
+   */
+  static create({ seed = SnakeEngine.randomSeed(), width = 20, height = 20, rules = {} } = {}) {
+    const merged = { ...SnakeEngine.DEFAULT_RULES, ...rules };
+    let state = {
+      version: SnakeEngine.VERSION,
+      seed: seed >>> 0,
+      rng: seed >>> 0,
+      width,
+      height,
+      rules: merged,
+      tick: 0,
+      snake: [SnakeEngine.spawnPoint({ width, height, rules: merged })],
+      direction: "right",
+      food: merged.food || { x: Math.floor(width * 0.75), y: Math.floor(height / 2) },
+      pellets: [],
+      eaten: 0,
+      score: 0,
+      alive: true,
+      won: false,
+    };
+    if (SnakeEngine.isObstacle(state, state.food) || SnakeEngine.onSnake(state.snake, state.food)) {
+      const placed = SnakeEngine.placeFood(state, state.snake, state.rng);
+      state = { ...state, food: placed.cell, rng: placed.rng };
+    }
+    return SnakeEngine.freeze(state);
+  }
+
+  /**
+   * Where the snake starts: the rules' spawn, or 40% across the middle row
+   */
+  static spawnPoint({ width, height, rules }) {
+    return rules.spawn
+      ? { x: rules.spawn.x, y: rules.spawn.y }
+      : { x: Math.floor(width * 0.4), y: Math.floor(height / 2) };
+  }
+
+  /**
+   * Advance the game one step
+   * @param {Object} state - Current state (not modified)
+   * @param {string|null} [input] - "up" | "down" | "left" | "right"; a turn
+   *   straight back into the snake, or anything else, is ignored
+   * @returns {{state: Object, events: Array<Object>}} Next state and the
+   *   events of this step: ate {food}, scored {points, score}, spawned {pellet},
+   *   expired {pellet}, died {cause, score}, won {score}
+   */
+  static tick(state, input = null) {
+    if (!state.alive) return { state, events: [] };
+
+    const events = [];
+    const tick = state.tick + 1;
+    const direction = SnakeEngine.DIRECTIONS[input] && input !== SnakeEngine.OPPOSITE[state.direction]
+      ? input
+      : state.direction;
+    const step = SnakeEngine.DIRECTIONS[direction];
+    const { rules } = state;
+    let head = { x: state.snake[0].x + step.x, y: state.snake[0].y + step.y };
+    if (rules.wrap) {
+      head = {
+        x: (head.x + state.width) % state.width,
+        y: (head.y + state.height) % state.height,
+      };
+    }
+
+    const hitWall = head.x < 0 || head.x >= state.width || head.y < 0 || head.y >= state.height;
+    const hitSelf = SnakeEngine.onSnake(state.snake, head);
+    const hitObstacle = SnakeEngine.isObstacle(state, head);
+    if (hitWall || hitSelf || hitObstacle) {
+      const cause = hitWall ? "wall" : (hitObstacle ? "obstacle" : "self");
+      events.push({ type: "died", tick, cause, score: state.score });
+      return {
+        state: SnakeEngine.freeze({ ...state, tick, direction, alive: false }),
+        events,
+      };
+    }
+
+    let snake = [head, ...state.snake];
+    let { food, score, rng, eaten } = state;
+    let pellets = state.pellets.filter(pellet => {
+      if (pellet.expiresAt > tick) return true;
+      events.push({ type: "expired", tick, pellet });
+      return false;
+    });
+    const pellet = pellets.find(p => p.x === head.x && p.y === head.y);
+
+    if (food && head.x === food.x && head.y === food.y) {
+      const points = rules.foodPoints + rules.speedBonus * eaten;
+      score += points;
+      eaten++;
+      events.push({ type: "ate", tick, food });
+      events.push({ type: "scored", tick, points, score });
+
+      const placed = SnakeEngine.placeFood({ ...state, pellets }, snake, rng);
+      rng = placed.rng;
+      food = placed.cell;
+      if (food) {
+        ({ pellets, rng } = SnakeEngine.spawnPellets({ ...state, tick, food, pellets }, snake, rng, events));
+      }
+    } else if (pellet) {
+      score += pellet.points;
+      pellets = pellets.filter(p => p !== pellet);
+      events.push({ type: "ate", tick, food: pellet });
+      events.push({ type: "scored", tick, points: pellet.points, score });
+    } else {
+      snake = snake.slice(0, -1);
+    }
+
+    if (!food) {
+      if (snake.length === state.width * state.height - rules.obstacles.length) {
+        // The snake fills every free cell: the board is full
+        events.push({ type: "won", tick, score });
+        return {
+          state: SnakeEngine.freeze({ ...state, tick, direction, snake, food: null, pellets, score, eaten, rng, alive: false, won: true }),
+          events,
+        };
+      }
+      // Pellets hold the last free cells: food comes back once one expires,
+      // is eaten or the tail moves off a cell
+      if (!state.food) {
+        const placed = SnakeEngine.placeFood({ ...state, pellets }, snake, rng);
+        rng = placed.rng;
+        food = placed.cell;
+      }
+    }
+
+    return {
+      state: SnakeEngine.freeze({ ...state, tick, direction, snake, food, pellets, score, eaten, rng }),
+      events,
+    };
+  }
+
+  /**
+   * Pick a random free cell: not an obstacle, the snake, food or a pellet
+   * @param {Object} state - Board, rules, food and pellets to avoid
+   * @param {Array<Object>} snake - The snake as it will be after this step
+   * @param {number} rng
+   * @returns {{cell: Object|null, rng: number}} cell is null when the board is full
+   */
+  static placeFood(state, snake, rng) {
+    const taken = new Set([
+      ...state.rules.obstacles,
+      ...snake,
+      ...state.pellets,
+      ...(state.food ? [state.food] : []),
+    ].map(cell => `${cell.x},${cell.y}`));
+
+    const free = [];
+    for (let y = 0; y < state.height; y++) {
+      for (let x = 0; x < state.width; x++) {
+        if (!taken.has(`${x},${y}`)) free.push({ x, y });
+      }
+    }
+    if (!free.length) return { cell: null, rng };
+
+    const roll = SnakeEngine.random(rng);
+    return { cell: free[Math.floor(roll.value * free.length)], rng: roll.rng };
+  }
+
+  /**
+   * Roll the spawn table after food was eaten
+   * @param {Object} state - State with the new food and the current pellets
+   * @param {Array<Object>} snake
+   * @param {number} rng
+   * @param {Array<Object>} events - spawned events are added here
+   * @returns {{pellets: Array<Object>, rng: number}}
+   */
+  static spawnPellets(state, snake, rng, events) {
+    let { pellets } = state;
+    for (const entry of state.rules.spawnTable) {
+      if (pellets.filter(p => p.type === entry.type).length >= entry.max) continue;
+      const roll = SnakeEngine.random(rng);
+      rng = roll.rng;
+      if (roll.value >= entry.chance) continue;
+
+      const placed = SnakeEngine.placeFood({ ...state, pellets }, snake, rng);
+      rng = placed.rng;
+      if (!placed.cell) break;
+      const pellet = { ...placed.cell, type: entry.type, points: entry.points, expiresAt: state.tick + entry.ttl };
+      pellets = [...pellets, pellet];
+      events.push({ type: "spawned", tick: state.tick, pellet });
+    }
+    return { pellets, rng };
+  }
+
+  /**
+   * Whether a cell is part of the snake
+   */
+  static onSnake(snake, cell) {
+    return snake.some(s => s.x === cell.x && s.y === cell.y);
+  }
+
+  /**
+   * Whether a cell is one of the rules' obstacles
+   */
+  static isObstacle(state, cell) {
+    return state.rules.obstacles.some(o => o.x === cell.x && o.y === cell.y);
+  }
+
+  /**
+   * Bring a dead snake back for a paid continue
+   * The score, food and RNG carry on; the snake restarts as a single cell
+   * at the spawn point heading right (levels keep that row clear)
+   * @param {Object} state - State the snake died in
+   * @returns {Object} Frozen state, alive again (unchanged if it wasn't dead,
+   *   or the game was won)
+   */
+  static revive(state) {
+    if (state.alive || state.won) return state;
+    return SnakeEngine.freeze({
+      ...state,
+      snake: [SnakeEngine.spawnPoint(state)],
+      direction: "right",
+      alive: true,
+    });
+  }
+
+  /**
+   * Seeded PRNG step (mulberry32)
+   * @param {number} rng - Current RNG state (uint32)
+   * @returns {{value: number, rng: number}} A number in [0, 1) and the next RNG state
+   */
+  static random(rng) {
+    const next = (rng + 0x6D2B79F5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, rng: next };
+  }
+
+  /**
+   * A fresh uint32 seed
+   */
+  static randomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Deep-freeze a state so callers can't change it behind the engine's back
+   */
+  static freeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      Object.values(value).forEach(v => SnakeEngine.freeze(v));
+      Object.freeze(value);
+    }
+    return value;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnakeEngine;
+}
@@ -0,0 +1,119 @@
+/**
+ * Snake Renderer - Draws SnakeEngine state on a canvas
+ * The board size comes from the state: cells are scaled to fit the canvas's
+ * size in the page, and the canvas is backed at the device pixel ratio so
+ * the board stays sharp on phones and high-density screens
+ */
+
+class SnakeRenderer {
+  constructor(canvas, {
+    background = "#000",
+    snakeColor = "#f7931a",
+    foodColor = "#ff0000",
+    obstacleColor = "#555",
+    pelletColor = "#ffd700",
+  } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.colors = { background, snake: snakeColor, food: foodColor, obstacle: obstacleColor, pellet: pelletColor };
+
+    // The canvas's size in the page is the box the board is fitted into;
+    // width and height are the drawn board's size in CSS pixels
+    this.box = { width: canvas.width, height: canvas.height };
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.cell = null;
+    this.layout = null;
+  }
+
+  /**
+   * Size the canvas for a board: square whole-pixel cells that fit the box,
+   * backed at devicePixelRatio. Everything is then drawn in CSS pixels
+   * @param {Object} state - From SnakeEngine
+   */
+  fit(state) {
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const layout = `${state.width}x${state.height}@${ratio}`;
+    if (layout === this.layout) return;
+    this.layout = layout;
+
+    this.cell = Math.max(1, Math.floor(Math.min(this.box.width / state.width, this.box.height / state.height)));
+    this.width = this.cell * state.width;
+    this.height = this.cell * state.height;
+    this.canvas.style.width = `${this.width}px`;
+    this.canvas.style.height = `${this.height}px`;
+    // Resizing the canvas resets its transform
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  /**
+   * Draw one frame
+   * @param {Object} state - From SnakeEngine
+   */
+  render(state) {
+    this.fit(state);
+    const ctx = this.ctx;
+    const cell = this.cell;
+    // 2px gap between cells, as the original game drew them, while cells are big enough
+    const size = cell > 6 ? cell - 2 : cell;
+    const fill = (c) => ctx.fillRect(c.x * cell, c.y * cell, size, size);
+
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    ctx.fillStyle = this.colors.obstacle;
+    state.rules.obstacles.forEach(fill);
+    ctx.fillStyle = this.colors.snake;
+    state.snake.forEach(fill);
+    if (state.food) {
+      ctx.fillStyle = this.colors.food;
+      fill(state.food);
+    }
+
+    // Pellets blink for their last 10 ticks
+    ctx.fillStyle = this.colors.pellet;
+    state.pellets
+      .filter(p => p.expiresAt - state.tick > 10 || state.tick % 2 === 0)
+      .forEach(fill);
+
+    this.renderScore(state.score);
+    if (state.won) this.renderBanner('Board cleared!');
+  }
+
+  /**
+   * Score in the top-left corner
+   */
+  renderScore(score) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.font = 'bold 16px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = this.colors.snake;
+    ctx.fillText(`Score: ${score}`, 8, 8);
+    ctx.restore();
+  }
+
+  /**
+   * A line of text across the middle of the board
+   */
+  renderBanner(text) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, this.height / 2 - 24, this.width, 48);
+    ctx.font = 'bold 24px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = this.colors.snake;
+    ctx.fillText(text, this.width / 2, this.height / 2);
+    ctx.restore();
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnakeRenderer;
+}
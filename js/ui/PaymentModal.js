@@ -1,8 +1,10 @@
 // js/ui/PaymentModal.js
 import QRCode from "qrcode";
 
+// SATSNAKE_CONFIG comes from js/config.js, loaded as a classic script before this module
 class PaymentModal {
-    constructor() {
+    constructor(config = SATSNAKE_CONFIG) {
+        this.config = config;
         this.modal = document.getElementById("paymentModal");
         this.qrContainer = document.getElementById("qrCode");
         this.amountEl = document.getElementById("payAmount");
@@ -18,10 +20,12 @@ class PaymentModal {
         }
 
         this.amountEl.textContent = `${paymentData.amountSats} sats`;
+        this.amountEl.style.display = this.config.ui.showPaymentAmount ? "" : "none";
         this.addressEl.textContent = paymentData.lightningAddress;
 
         // Clear previous QR
         this.qrContainer.innerHTML = "";
+        this.qrContainer.style.display = this.config.ui.showQrCode ? "" : "none";
 
         // Best option: bech32 LNURL (works in 95%+ of wallets)
         const lnurlString = paymentData.bech32Lnurl;
@@ -31,7 +35,7 @@ class PaymentModal {
 
         // Generate QR code
         try {
-            await QRCode.toCanvas(this.qrContainer, lnurlString, {
+            if (this.config.ui.showQrCode) await QRCode.toCanvas(this.qrContainer, lnurlString, {
                 width: 300,
                 margin: 2,
                 color: { dark: "#000", light: "#fff" }
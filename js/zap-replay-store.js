@@ -0,0 +1,100 @@
+/**
+ * Zap Replay Store - Remembers zap receipts that already unlocked a game
+ * Persists receipt event ids and invoice payment hashes in localStorage so a
+ * receipt can't be reused across sessions or page reloads
+ */
+
+class ZapReplayStore {
+  constructor(storageKey = "satsnake:used-zaps", maxEntries = 500) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.storage = ZapReplayStore.getStorage();
+    this.entries = this.load();
+  }
+
+  /**
+   * Get localStorage if the environment has it
+   */
+  static getStorage() {
+    try {
+      if (typeof localStorage !== 'undefined' && localStorage) {
+        return localStorage;
+      }
+    } catch (error) {
+      // Access can throw when storage is disabled (e.g. privacy mode)
+    }
+    return null;
+  }
+
+  /**
+   * Load used entries from storage
+   * @returns {Array<{eventId: string, paymentHash: string, usedAt: number}>}
+   */
+  load() {
+    if (!this.storage) return [];
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.warn("[ReplayStore] Could not read used zaps:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Write used entries to storage
+   */
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.warn("[ReplayStore] Could not persist used zaps:", error);
+    }
+  }
+
+  /**
+   * Check whether a receipt or its invoice has already been used
+   * @param {string} eventId - Zap receipt event id
+   * @param {string} paymentHash - BOLT11 payment hash
+   * @returns {boolean}
+   */
+  isUsed(eventId, paymentHash) {
+    // Another tab may have consumed the receipt since we loaded
+    if (this.storage) {
+      this.entries = this.load();
+    }
+    return this.entries.some(entry =>
+      (eventId && entry.eventId === eventId) ||
+      (paymentHash && entry.paymentHash === paymentHash)
+    );
+  }
+
+  /**
+   * Record a receipt as used
+   * @param {string} eventId - Zap receipt event id
+   * @param {string} paymentHash - BOLT11 payment hash
+   */
+  markUsed(eventId, paymentHash) {
+    if (this.isUsed(eventId, paymentHash)) return;
+    this.entries.push({ eventId, paymentHash, usedAt: Date.now() });
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(-this.maxEntries);
+    }
+    this.save();
+  }
+
+  /**
+   * Forget all used receipts
+   */
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZapReplayStore;
+}
@@ -0,0 +1,95 @@
+/**
+ * Zap Split - Share one unlock payment between several recipients
+ * Follows the NIP-57 zap split convention (Appendix G): each recipient has a
+ * weight and gets total * weight / sum(weights). Every share is its own zap
+ * request and invoice (a "leg").
+ */
+
+class ZapSplit {
+  /**
+   * Recipients from config: SATSNAKE_CONFIG.recipients, or the single
+   * recipientLightningAddress when no split is configured
+   * @param {Object} config - SATSNAKE_CONFIG
+   * @returns {Array<{lightningAddress: string, weight: number, primary: boolean}>}
+   */
+  static recipients(config) {
+    const configured = Array.isArray(config.recipients)
+      ? config.recipients.filter(r => r && r.lightningAddress)
+      : [];
+    if (!configured.length) {
+      return [{ lightningAddress: config.recipientLightningAddress, weight: 1, primary: true }];
+    }
+
+    // NIP-57: no weights at all means an equal split; when only some
+    // recipients have a weight, the others get nothing
+    const weighted = configured.some(r => r.weight !== undefined);
+    const recipients = configured
+      .map(r => ({
+        lightningAddress: r.lightningAddress,
+        weight: weighted ? Number(r.weight) || 0 : 1,
+        primary: Boolean(r.primary),
+      }))
+      .filter(r => r.weight > 0);
+
+    if (!recipients.length) {
+      throw new Error("No zap split recipient has a weight above 0");
+    }
+    if (!recipients.some(r => r.primary)) {
+      recipients[0].primary = true;
+    }
+    return recipients;
+  }
+
+  /**
+   * Whether payments are split between more than one recipient
+   */
+  static isSplit(config) {
+    return ZapSplit.recipients(config).length > 1;
+  }
+
+  /**
+   * The primary recipient (first one unless marked)
+   */
+  static primary(config) {
+    return ZapSplit.recipients(config).find(r => r.primary);
+  }
+
+  /**
+   * Divide an amount by weight
+   * Rounding leftovers go to the primary; shares that round to 0 are dropped
+   * @param {number} totalSats - Amount to split
+   * @param {Array} recipients - From recipients()
+   * @returns {Array<Object>} Legs: recipient fields plus index and amountSats
+   */
+  static shares(totalSats, recipients) {
+    const totalWeight = recipients.reduce((sum, r) => sum + r.weight, 0);
+    const legs = recipients.map(r => ({
+      ...r,
+      amountSats: Math.floor(totalSats * r.weight / totalWeight),
+    }));
+    const remainder = totalSats - legs.reduce((sum, leg) => sum + leg.amountSats, 0);
+    legs.find(leg => leg.primary).amountSats += remainder;
+
+    return legs
+      .filter(leg => leg.amountSats > 0)
+      .map((leg, index) => ({ ...leg, index, paid: false }));
+  }
+
+  /**
+   * Whether enough legs are paid to unlock
+   * @param {Array} legs - Legs with a paid flag
+   * @param {string} requirement - "all" or "primary"
+   * @returns {boolean}
+   */
+  static isSatisfied(legs, requirement) {
+    if (requirement === 'primary') {
+      return legs.some(leg => leg.primary && leg.paid);
+    }
+    return legs.length > 0 && legs.every(leg => leg.paid);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZapSplit;
+}
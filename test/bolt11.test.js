@@ -0,0 +1,111 @@
+/**
+ * BOLT11 decoding: the spec's example invoices, damaged invoices, and zap
+ * receipts whose invoice pays less than asked
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const NostrCrypto = require('../js/nostr-crypto.js');
+const { createInvoice } = require('../dev/fake-invoice.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+// BOLT #11 examples (https://github.com/lightning/bolts/blob/master/11-payment-encoding.md)
+const SPEC_HASH = '0001020304050607080900010203040506070809000102030405060708090102';
+const COFFEE = 'lnbc2500u1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpuaztrnwngzn3kdzw5hydlzf03qdgm2hdq27cqv3agm2awhz5se903vruatfhq77w3ls4evs3ch9zw97j25emudupq63nyw24cg27h2rspfj9srp';
+const DONATION = 'lnbc1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdpl2pkx2ctnv5sxxmmwwd5kgetjypeh2ursdae8g6twvus8g6rfwvs8qun0dfjkxaq8rkx3yf5tcsyz3d73gafnh3cax9rn449d9p5uxz9ezhhypd0elx87sjle52x86fux2ypatgddc6k63n7erqz25le42c4u4ecky03ylcqca784w';
+const HASHED = 'lnbc20m1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqhp58yjmdan79s6qqdhdzgynm4zwqd5d7xmw5fk98klysy043l2ahrqscc6gd6ql3jrc5yzme8v4ntcewwz5cnw92tz0pc8qcuufvq7khhr8wpald05e92xw006sq94mg8v2ndf4sefvf9sygkshp5zfem29trqq2yxxz7';
+
+function decoder() {
+  const { evaluate } = createBrowserEnv();
+  return (invoice) => JSON.parse(evaluate(`JSON.stringify(Bolt11.decode(${JSON.stringify(invoice)}))`));
+}
+
+test('the spec example invoices decode', () => {
+  const decode = decoder();
+
+  const coffee = decode(COFFEE);
+  assert.equal(coffee.network, 'bc');
+  assert.equal(coffee.amountMsats, 250000000);
+  assert.equal(coffee.amountSats, 250000);
+  assert.equal(coffee.timestamp, 1496314658);
+  assert.equal(coffee.paymentHash, SPEC_HASH);
+  assert.equal(coffee.description, '1 cup coffee');
+  assert.equal(coffee.expiry, 60);
+  assert.equal(coffee.expiresAt, 1496314718);
+
+  const donation = decode(`LIGHTNING:${DONATION.toUpperCase()}`);
+  assert.equal(donation.amountMsats, null);
+  assert.equal(donation.expiry, 3600);
+  assert.equal(donation.description, 'Please consider supporting this project');
+
+  const hashed = decode(HASHED);
+  assert.equal(hashed.amountSats, 2000000);
+  assert.equal(hashed.description, null);
+  assert.equal(
+    hashed.descriptionHash,
+    NostrCrypto.sha256Hex('One piece of chocolate cake, one icecream cone, one pickle, one slice of swiss cheese, one slice of salami, one lollypop, one piece of cherry pie, one sausage, one cupcake, and one slice of watermelon')
+  );
+});
+
+test('damaged invoices are rejected', () => {
+  const decode = decoder();
+  // One changed character breaks the bech32 checksum
+  const flipped = COFFEE.slice(0, 40) + (COFFEE[40] === 'q' ? 'p' : 'q') + COFFEE.slice(41);
+  assert.throws(() => decode(flipped), /checksum/i);
+  assert.throws(() => decode('lnxy2500u1' + COFFEE.slice(10)), /checksum|prefix/i);
+  assert.throws(() => decode(''), /non-empty/);
+});
+
+test('a receipt whose invoice pays less than asked is rejected', () => {
+  const { context, evaluate } = createBrowserEnv({ config: { minPaymentSats: 100 } });
+  const zapperKey = NostrCrypto.generateSecretKey();
+  const senderKey = NostrCrypto.generateSecretKey();
+  const recipient = NostrCrypto.getPublicKey(NostrCrypto.generateSecretKey());
+
+  const receipt = ({ requestMsats, invoiceMsats }) => {
+    const zapRequest = NostrCrypto.finalizeEvent({
+      kind: 9734,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', recipient], ['amount', String(requestMsats)], ['session', 'session-1']],
+      content: 'SatSnake game session: session-1',
+    }, senderKey);
+    const description = JSON.stringify(zapRequest);
+    const { invoice } = createInvoice({ amountMsats: invoiceMsats, descriptionHash: NostrCrypto.sha256Hex(description) });
+    return NostrCrypto.finalizeEvent({
+      kind: 9735,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', recipient], ['bolt11', invoice], ['description', description]],
+      content: '',
+    }, zapperKey);
+  };
+
+  context.zapperPubkey = NostrCrypto.getPublicKey(zapperKey);
+  context.recipient = recipient;
+  evaluate(`
+    SATSNAKE_CONFIG.recipientNostrPubkey = recipient;
+    globalThis.manager = new NostrRelayManager(SATSNAKE_CONFIG);
+    manager.zapperPubkey = zapperPubkey;
+  `);
+  const validate = (event) => {
+    context.receipt = event;
+    return JSON.parse(evaluate(`JSON.stringify(manager.validateZapReceipt(receipt, 'session-1', 100))`));
+  };
+
+  assert.equal(validate(receipt({ requestMsats: 100000, invoiceMsats: 100000 })).valid, true);
+
+  // The zap request asked for 100 sats but the invoice is for 99
+  const short = validate(receipt({ requestMsats: 100000, invoiceMsats: 99000 }));
+  assert.equal(short.valid, false);
+  assert.match(short.reason, /below minimum: 99 < 100/);
+
+  // Both agree on an amount below the game's price
+  const cheap = validate(receipt({ requestMsats: 50000, invoiceMsats: 50000 }));
+  assert.equal(cheap.valid, false);
+  assert.match(cheap.reason, /Insufficient amount: 50 < 100/);
+
+  // Above the price, but still less than the zap request promised
+  const under = validate(receipt({ requestMsats: 200000, invoiceMsats: 150000 }));
+  assert.equal(under.valid, false);
+  assert.match(under.reason, /does not match zap request amount/);
+});
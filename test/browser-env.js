@@ -0,0 +1,208 @@
+/**
+ * Tiny browser stand-in for running the game scripts under Node
+ * Loads the classic scripts into one vm context, the way <script> tags share
+ * a page, with just enough DOM for SatSnakeGame's overlay
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same order a page would include them in
+const GAME_SCRIPTS = [
+  'js/config.js',
+  'js/nostr-crypto.js',
+  'js/lnurl.js',
+  'js/config-loader.js',
+  'js/bolt11.js',
+  'js/zap-replay-store.js',
+  'js/play-pass.js',
+  'js/credit-ledger.js',
+  'js/paid-session-store.js',
+  'js/zap-split.js',
+  'js/snake-engine.js',
+  'js/game-modes.js',
+  'js/snake-renderer.js',
+  'js/replay.js',
+  'js/replay-player.js',
+  'js/relay-pool.js',
+  'js/ndk-relay-pool.js',
+  'js/nostr-signer.js',
+  'js/nostr-relay-manager.js',
+  'js/nostr-wallet-connect.js',
+  'js/payment-verifier.js',
+  'js/score-verifier.js',
+  'js/leaderboard.js',
+  'js/payouts.js',
+  'js/lightning-payment.js',
+  'js/input-controller.js',
+  'js/game.js',
+];
+
+class FakeElement {
+  constructor(document, tagName) {
+    this.document = document;
+    this.tagName = tagName.toUpperCase();
+    this.id = '';
+    this.style = {};
+    this.dataset = {};
+    this.textContent = '';
+    this.value = '';
+    this.disabled = false;
+    this.children = [];
+    this.listeners = {};
+    this.html = '';
+  }
+
+  get innerHTML() {
+    return this.html;
+  }
+
+  // Register every id="..." in the markup so getElementById finds it
+  set innerHTML(markup) {
+    this.html = markup;
+    for (const match of markup.matchAll(/<(\w+)[^>]*\sid="([^"]+)"([^>]*)>/g)) {
+      const el = new FakeElement(this.document, match[1]);
+      el.id = match[2];
+      if (/display:\s*none/.test(match[0])) el.style.display = 'none';
+      this.document.elements.set(el.id, el);
+    }
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    if (child.id) this.document.elements.set(child.id, child);
+    return child;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  /**
+   * Fire listeners; resolves once async handlers finish
+   */
+  dispatch(type, event = {}) {
+    return Promise.all((this.listeners[type] || []).map(l => l({ type, target: this, ...event })));
+  }
+
+  click() {
+    return this.dispatch('click');
+  }
+
+  getContext() {
+    // Every 2D context call is a no-op
+    return new Proxy({}, { get: () => () => {}, set: () => true });
+  }
+}
+
+class FakeDocument {
+  constructor() {
+    this.elements = new Map();
+    this.listeners = {};
+    this.body = new FakeElement(this, 'body');
+    this.title = '';
+  }
+
+  createElement(tagName) {
+    return new FakeElement(this, tagName);
+  }
+
+  getElementById(id) {
+    return this.elements.get(id) || null;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  dispatch(type, event = {}) {
+    return Promise.all((this.listeners[type] || []).map(l => l({ type, target: this.body, ...event })));
+  }
+}
+
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.items.delete(key);
+  }
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Create a page-like context with the game scripts loaded
+ * @param {Object} options
+ * @param {Object} [options.config] - Overrides merged into SATSNAKE_CONFIG
+ * @param {Object} [options.globals] - Extra globals (e.g. window.webln)
+ * @returns {{context: Object, document: FakeDocument, evaluate: Function}}
+ */
+function createBrowserEnv({ config = {}, globals = {} } = {}) {
+  if (typeof WebSocket === 'undefined') {
+    throw new Error('WebSocket is not available - run Node 22+ or pass --experimental-websocket');
+  }
+
+  const document = new FakeDocument();
+  const silentConsole = {
+    log() {},
+    warn() {},
+    error: process.env.SATSNAKE_TEST_VERBOSE ? console.error : () => {},
+  };
+  const context = {
+    console: process.env.SATSNAKE_TEST_VERBOSE ? console : silentConsole,
+    document,
+    localStorage: new MemoryStorage(),
+    sessionStorage: new MemoryStorage(),
+    fetch,
+    WebSocket,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    crypto: globalThis.crypto,
+    btoa,
+    atob,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    requestAnimationFrame: () => 0,
+    alert: () => {},
+    ...globals,
+  };
+  context.window = context;
+  vm.createContext(context);
+
+  for (const script of GAME_SCRIPTS) {
+    const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+    vm.runInContext(source, context, { filename: script });
+  }
+
+  const evaluate = (code) => vm.runInContext(code, context);
+  Object.assign(evaluate('SATSNAKE_CONFIG'), config);
+  // What the page's GameModes.loadLevels(modes.levelsUrl) fetches
+  evaluate('GameModes').registerLevels(JSON.parse(fs.readFileSync(path.join(ROOT, 'levels/levels.json'), 'utf8')));
+
+  return { context, document, evaluate };
+}
+
+module.exports = { createBrowserEnv, FakeElement, FakeDocument, MemoryStorage, GAME_SCRIPTS };
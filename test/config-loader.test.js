@@ -0,0 +1,134 @@
+/**
+ * Config loader: source precedence and validation errors
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createBrowserEnv } = require('./browser-env.js');
+
+function load(options) {
+  const env = createBrowserEnv();
+  env.context.loadOptions = options;
+  return env.evaluate(`ConfigLoader.load({ ...loadOptions, config: SATSNAKE_CONFIG })`);
+}
+
+test('file, data attributes and URL query override the defaults in that order', async () => {
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ minPaymentSats: 50, gameDuration: 60000, ui: { showQrCode: false } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const canvas = {
+      dataset: {
+        configUrl: `http://127.0.0.1:${server.address().port}/satsnake.json`,
+        minPaymentSats: '200',
+        gameDuration: '90000',
+        relayTimeout: '3000',
+        relays: 'wss://relay.one, wss://relay.two',
+      },
+    };
+    const config = await load({ canvas, search: '?relay-timeout=4000&ui.showRelayStatus=false' });
+
+    assert.equal(config.minPaymentSats, 200);
+    assert.equal(config.gameDuration, 90000);
+    assert.equal(config.relayTimeout, 4000);
+    assert.equal(config.ui.showQrCode, false);
+    assert.equal(config.ui.showRelayStatus, false);
+    assert.equal(config.ui.showPaymentAmount, true);
+    assert.deepEqual([...config.relays], ['wss://relay.one', 'wss://relay.two']);
+  } finally {
+    server.close();
+  }
+});
+
+test('the URL cannot change where payments go', async () => {
+  const config = await load({ search: '?recipientLightningAddress=thief@evil.example' });
+  assert.equal(config.recipientLightningAddress, 'mustardmoose1@primal.net');
+});
+
+test('prices, relays and play terms in the URL are ignored', async () => {
+  const search = '?gamePriceSats=1&minPaymentSats=1&continues.priceSats=1' +
+    '&modes.prices={"classic":1}&relays=wss://relay.evil.example' +
+    '&gameDuration=999999999&passGracePeriod=999999999&confirmationStrategy=verify' +
+    '&continues.enabled=false&continues.windowSeconds=99999&continues.maxPerRun=99';
+  const config = await load({ search });
+  assert.equal(config.gamePriceSats, 0);
+  assert.equal(config.minPaymentSats, 100);
+  assert.equal(config.continues.priceSats, 21);
+  assert.equal(config.modes.prices.classic, undefined);
+  assert.ok(!config.relays.includes('wss://relay.evil.example'));
+  assert.equal(config.gameDuration, 0);
+  assert.equal(config.passGracePeriod, 30000);
+  assert.equal(config.confirmationStrategy, 'first');
+  assert.equal(config.continues.enabled, true);
+  assert.equal(config.continues.windowSeconds, 30);
+  assert.equal(config.continues.maxPerRun, 2);
+
+  const env = createBrowserEnv();
+  const { warnings } = env.evaluate(
+    `ConfigLoader.resolve({ defaults: SATSNAKE_CONFIG, query: new URLSearchParams('?gamePriceSats=1') })`
+  );
+  assert.deepEqual([...warnings], ["gamePriceSats can't be set from the URL - ignored"]);
+});
+
+test('invalid settings are reported together', async () => {
+  const canvas = {
+    dataset: {
+      recipientLightningAddress: 'not an address',
+      minPaymentSats: 'abc',
+      relays: 'http://relay.example',
+    },
+  };
+  await assert.rejects(
+    load({ canvas, search: '?relayMaxReconnectDelay=500' }),
+    (error) => {
+      assert.equal(error.errors.length, 4);
+      assert.match(error.errors.join('\n'), /minPaymentSats: expected a whole number/);
+      assert.match(error.errors.join('\n'), /recipientLightningAddress must be a Lightning Address/);
+      assert.match(error.errors.join('\n'), /relays must be wss:\/\//);
+      assert.match(error.errors.join('\n'), /relayMaxReconnectDelay must not be below/);
+      return true;
+    }
+  );
+});
+
+test('an npub recipient pubkey is converted to hex', async () => {
+  const hex = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+  const canvas = { dataset: { recipientNostrPubkey: 'npub180cvv07tjdrrgpa0j7j7tmnyl2yr6yr7l8j4s3evf6u64th6gkwsyjh6w6' } };
+  const config = await load({ canvas });
+  assert.equal(config.recipientNostrPubkey, hex);
+});
+
+test('mode prices can be set as JSON and the default mode must be available', async () => {
+  const canvas = { dataset: { modesPrices: '{"obstacles":150}' } };
+  const config = await load({ canvas, search: '?modes-available=classic,obstacles' });
+  assert.equal(config.modes.prices.obstacles, 150);
+  assert.deepEqual([...config.modes.available], ['classic', 'obstacles']);
+
+  await assert.rejects(
+    load({ search: '?modes.available=wrap,maze&modes.default=speed' }),
+    (error) => {
+      assert.match(error.errors.join('\n'), /modes.available must list one or more of/);
+      return true;
+    }
+  );
+  await assert.rejects(
+    load({ search: '?modes.available=wrap&modes.default=speed' }),
+    /modes.default must be one of modes.available/
+  );
+});
+
+test('steering keys can be remapped but a key steers one way only', async () => {
+  const config = await load({ search: '?controls.keys.up=i,ArrowUp&controls-dpad=always' });
+  assert.deepEqual([...config.controls.keys.up], ['i', 'ArrowUp']);
+  assert.equal(config.controls.dpad, 'always');
+
+  await assert.rejects(
+    load({ search: '?controls.keys.left=a,D' }),
+    /"d" can't steer both left and right/
+  );
+});
@@ -0,0 +1,212 @@
+/**
+ * "Zap to continue": a death in a paid game offers a continue, paid through
+ * the dev harness like an unlock; the run carries on with its score and the
+ * leaderboard accepts the longer run with its continue receipt
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const NostrCrypto = require('../js/nostr-crypto.js');
+const { startHarness } = require('../dev/harness.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+let harness;
+let bootCount = 0;
+
+before(async () => {
+  harness = await startHarness({ port: 0 });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+async function bootGame(continues) {
+  const env = createBrowserEnv({
+    config: {
+      recipientLightningAddress: 'satsnake@satsnake.test',
+      devHarnessUrl: harness.url,
+      relayTimeout: 2000,
+      zapReceiptTimeout: 10000,
+      confirmationStrategy: 'zap',
+      continues: { enabled: true, priceSats: 21, windowSeconds: 30, maxPerRun: 1, ...continues },
+    },
+  });
+  const game = env.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+  assert.equal(await game.initializePaymentSystem(), true);
+  // Fixed sessions, so the board each paid run is dealt is too
+  let sessions = 0;
+  game.paymentManager.generateSessionId = () => `continue-${++bootCount}-${++sessions}`;
+  return { env, game };
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+async function pay(invoice) {
+  const response = await fetch(`${harness.url}/pay?invoice=${encodeURIComponent(invoice)}`, { method: 'POST' });
+  return (await response.json()).receiptId;
+}
+
+/**
+ * Someone else zaps the same recipient through the same Lightning Address
+ * @returns {Promise<string>} Their receipt id
+ */
+async function strangerZap(recipientPubkey, amountSats) {
+  const zapRequest = NostrCrypto.finalizeEvent({
+    kind: 9734,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', recipientPubkey], ['amount', String(amountSats * 1000)], ['relays', harness.relayUrl]],
+    content: '',
+  }, NostrCrypto.generateSecretKey());
+  const params = new URLSearchParams({ amount: String(amountSats * 1000), nostr: JSON.stringify(zapRequest) });
+  const response = await fetch(`${harness.url}/lnurlp/satsnake/callback?${params}`);
+  return pay((await response.json()).pr);
+}
+
+/**
+ * Unlock, then restart the paid board from tick 0 so the run is predictable
+ */
+async function startPaidRun(env, game) {
+  await env.document.getElementById('unlock-btn').click();
+  await pay(env.document.getElementById('copy-invoice-btn').dataset.invoice);
+  await waitFor(() => game.gameUnlocked);
+  game.state = env.evaluate(`GameModes.newGame('classic', SATSNAKE_CONFIG, ${game.state.seed})`);
+  game.replay = env.evaluate('Replay').start(game.state);
+}
+
+/**
+ * Feed inputs through the game loop, one tick each
+ */
+function steer(game, inputs) {
+  let now = game.lastTickAt;
+  for (const input of inputs) {
+    if (input) game.input.push(input);
+    now += game.tickInterval;
+    game.update(now);
+  }
+}
+
+test('a paid continue revives the run with its score and the board accepts it', async () => {
+  const { env, game } = await bootGame();
+  try {
+    await startPaidRun(env, game);
+    const run = game.replay;
+
+    // Eat the first food, then hit the top wall
+    steer(game, [...Array(7).fill(null), 'up', ...Array(10).fill(null)]);
+    assert.ok(game.continueOffer);
+    assert.equal(game.state.alive, false);
+    assert.equal(env.document.getElementById('continue-offer').style.display, 'block');
+
+    // No ticks while the offer is open
+    steer(game, [null, null]);
+    assert.equal(run.length, 18);
+
+    const copyBtn = env.document.getElementById('continue-copy-btn');
+    await waitFor(() => copyBtn.dataset.invoice);
+    const receiptId = await pay(copyBtn.dataset.invoice);
+    await waitFor(() => !game.continueOffer);
+
+    assert.equal(game.state.alive, true);
+    assert.equal(game.state.score, 10);
+    assert.equal(game.replay, run);
+    assert.deepEqual(
+      JSON.parse(JSON.stringify(run.continues.map(c => [c.tick, c.receiptId, c.amountSats]))),
+      [[18, receiptId, 21]]
+    );
+
+    // The cap is reached: the next death ends the run and publishes it
+    steer(game, Array(12).fill(null));
+    assert.equal(game.continueOffer, null);
+    assert.notEqual(game.replay, run);
+    assert.equal(game.lastReplay, run);
+
+    await waitFor(() => game.leaderboardEntries.length === 1);
+    const [entry] = game.leaderboardEntries;
+    assert.equal(entry.score, run.simulate().state.score);
+    assert.equal(game.leaderboard.verifier.cache.get(entry.id).valid, true);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test("only the continue's own invoice revives the run, not someone else's zap", async () => {
+  const { env, game } = await bootGame();
+  try {
+    await startPaidRun(env, game);
+    steer(game, [...Array(7).fill(null), 'up', ...Array(10).fill(null)]);
+    assert.ok(game.continueOffer);
+    const copyBtn = env.document.getElementById('continue-copy-btn');
+    await waitFor(() => copyBtn.dataset.invoice);
+
+    // A stranger's zap for more than the continue price lands during the offer
+    const strangerReceipt = await strangerZap(game.relayManager.recipientPubkey, 100);
+    assert.ok(strangerReceipt);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.ok(game.continueOffer);
+    assert.equal(game.state.alive, false);
+
+    const receiptId = await pay(copyBtn.dataset.invoice);
+    await waitFor(() => !game.continueOffer);
+    assert.equal(game.state.alive, true);
+    assert.deepEqual([...game.replay.continues.map(c => c.receiptId)], [receiptId]);
+    assert.notEqual(receiptId, strangerReceipt);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('an unpaid continue runs out and the run ends', async () => {
+  const { env, game } = await bootGame({ windowSeconds: 1 });
+  try {
+    await startPaidRun(env, game);
+    const run = game.replay;
+
+    steer(game, ['up', ...Array(10).fill(null)]);
+    assert.ok(game.continueOffer);
+
+    await waitFor(() => !game.continueOffer, 3000);
+    assert.equal(game.lastReplay, run);
+    assert.notEqual(game.replay, run);
+    assert.equal(run.continues.length, 0);
+    assert.equal(env.document.getElementById('continue-offer').style.display, 'none');
+    assert.equal(game.paymentManager.paymentInProgress, false);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('a score claiming an unpaid continue is dropped', async () => {
+  const { env, game } = await bootGame();
+  try {
+    await startPaidRun(env, game);
+    const run = game.replay;
+    steer(game, [...Array(7).fill(null), 'up', ...Array(10).fill(null)]);
+    game.declineContinue();
+
+    // Forge a continue that points at the game's own receipt
+    const forged = env.evaluate('Replay').fromJSON(run.toJSON());
+    const receiptId = game.paymentReference().receiptId;
+    forged.continues.push({ tick: 18, receiptId, amountSats: 21 });
+    for (let i = 0; i < 12; i++) forged.record(null);
+    const score = forged.simulate().state.score;
+
+    const event = await game.leaderboard.publishScore(score, { receiptId }, forged);
+    const [result] = await game.leaderboard.verifier.checkAll([
+      env.evaluate('Leaderboard').parseScoreEvent(event),
+    ]);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /continue needs a zap receipt of its own/);
+  } finally {
+    await game.cleanup();
+  }
+});
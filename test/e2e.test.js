@@ -0,0 +1,516 @@
+/**
+ * End-to-end paywall tests against the offline dev harness
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('../dev/harness.js');
+const { createInvoice } = require('../dev/fake-invoice.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ port: 0 });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+/**
+ * Boot SatSnakeGame in a fresh page pointed at the harness
+ */
+async function bootGame(config = {}, globals = {}) {
+  const env = createBrowserEnv({
+    globals,
+    config: {
+      recipientLightningAddress: 'satsnake@satsnake.test',
+      devHarnessUrl: harness.url,
+      relayTimeout: 2000,
+      zapReceiptTimeout: 10000,
+      verifyPollInterval: 100,
+      ...config,
+    },
+  });
+  const game = env.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+  assert.equal(await game.initializePaymentSystem(), true);
+  return { env, game };
+}
+
+async function payInvoice(invoice) {
+  const response = await fetch(`${harness.url}/pay?invoice=${encodeURIComponent(invoice)}`, {
+    method: 'POST',
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+test('zap receipt unlocks the game', async () => {
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap' });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+
+    const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+    assert.match(invoice, /^lnbcrt/);
+    assert.equal(game.gameUnlocked, false);
+
+    const paid = await payInvoice(invoice);
+    assert.ok(paid.receiptId);
+
+    await waitFor(() => game.gameUnlocked);
+    assert.match(env.document.getElementById('payment-status').textContent, /Payment confirmed/);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('zaps go to the configured creator key, receipts are signed by the server key', async () => {
+  const creator = 'ab'.repeat(32);
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap', recipientNostrPubkey: creator });
+  try {
+    assert.equal(game.relayManager.recipientPubkey, creator);
+    assert.equal(game.relayManager.zapperPubkey, harness.zapperPubkey);
+    assert.equal(env.evaluate('SATSNAKE_CONFIG.recipientNostrPubkey'), creator);
+
+    await env.document.getElementById('unlock-btn').click();
+    const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+    const record = [...harness.invoices.values()].find(r => r.invoice === invoice);
+    assert.equal(record.zapRequest.tags.find(t => t[0] === 'p')[1], creator);
+
+    await payInvoice(invoice);
+    await waitFor(() => game.gameUnlocked);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('LUD-21 verify URL unlocks the game', async () => {
+  const { env, game } = await bootGame({ confirmationStrategy: 'verify' });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+
+    const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+    const paid = await payInvoice(invoice);
+    assert.equal(paid.receiptId, undefined);
+
+    await waitFor(() => game.gameUnlocked);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('a wallet connect payment unlocks on its preimage', async () => {
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap' });
+  try {
+    // A linked NIP-47 wallet whose payments never get a zap receipt
+    let preimageFor = (paid) => paid.preimage;
+    game.walletConnect = {
+      isConnected: () => true,
+      getBalance: async () => 0,
+      getBudget: async () => null,
+      payInvoice: async (invoice) => {
+        const response = await fetch(`${harness.url}/pay?invoice=${encodeURIComponent(invoice)}&receipt=false`, { method: 'POST' });
+        return { preimage: preimageFor(await response.json()) };
+      },
+    };
+
+    // A wallet answering with a wrong preimage proves nothing
+    preimageFor = () => '00'.repeat(32);
+    await env.document.getElementById('unlock-btn').click();
+    await waitFor(() => /preimage that does not match/.test(env.document.getElementById('nwc-status').textContent));
+    assert.equal(game.gameUnlocked, false);
+
+    game.resetPaymentUI();
+    game.paymentManager.resetPayment();
+    preimageFor = (paid) => paid.preimage;
+    await env.document.getElementById('unlock-btn').click();
+    await waitFor(() => game.gameUnlocked);
+    assert.equal(game.paidSession.load().type, 'preimage');
+    assert.match(env.document.getElementById('payment-status').textContent, /Paid from your wallet/);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('a browser wallet payment unlocks on a matching preimage only', async () => {
+  // A WebLN extension whose payments never get a zap receipt
+  const payments = new Map();
+  let preimageFor = (paid) => paid.preimage;
+  const webln = {
+    enable: async () => {},
+    sendPayment: async (invoice) => {
+      if (!payments.has(invoice)) {
+        const response = await fetch(`${harness.url}/pay?invoice=${encodeURIComponent(invoice)}&receipt=false`, { method: 'POST' });
+        payments.set(invoice, await response.json());
+      }
+      return { preimage: preimageFor(payments.get(invoice)) };
+    },
+  };
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap' }, { webln });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+    const button = env.document.getElementById('webln-pay-btn');
+    assert.equal(button.style.display, 'block');
+
+    preimageFor = () => '00'.repeat(32);
+    await button.click();
+    assert.match(env.document.getElementById('payment-status').textContent, /preimage that does not match/);
+    assert.equal(game.gameUnlocked, false);
+    assert.equal(button.disabled, false);
+
+    preimageFor = (paid) => paid.preimage;
+    await button.click();
+    assert.equal(game.gameUnlocked, true);
+    assert.equal(game.paidSession.load().type, 'preimage');
+    assert.match(env.document.getElementById('payment-status').textContent, /Paid with browser wallet/);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('a payment that times out stops watching and can be retried', async () => {
+  let verifyRequests = 0;
+  const { env, game } = await bootGame({ confirmationStrategy: 'first', zapReceiptTimeout: 300 }, {
+    fetch: (url, options) => {
+      if (String(url).includes('/verify/')) verifyRequests++;
+      return fetch(url, options);
+    },
+  });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+    await waitFor(() => /timeout/.test(env.document.getElementById('payment-status').textContent));
+    assert.equal(game.paymentManager.paymentInProgress, false);
+    assert.equal(game.zapReceiptUnsubscribe, null);
+
+    // Neither the verify URL nor the relays are watched any longer
+    const polled = verifyRequests;
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(verifyRequests, polled);
+
+    // A late payment of the abandoned invoice unlocks nothing
+    const stale = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+    await payInvoice(stale);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(game.gameUnlocked, false);
+
+    // The next attempt gets a fresh invoice
+    await env.document.getElementById('unlock-btn').click();
+    const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+    assert.notEqual(invoice, stale);
+    await payInvoice(invoice);
+    await waitFor(() => game.gameUnlocked);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('the verify URL is not polled past the invoice expiry', async () => {
+  let verifyRequests = 0;
+  const env = createBrowserEnv({
+    globals: {
+      fetch: async () => {
+        verifyRequests++;
+        return { ok: true, json: async () => ({ status: 'OK', settled: false }) };
+      },
+    },
+    config: { verifyPollInterval: 50 },
+  });
+  const verifier = env.evaluate('new PaymentVerifier(SATSNAKE_CONFIG)');
+  const poll = async (invoice) => {
+    verifyRequests = 0;
+    const stop = await verifier.listenForSettlement('https://verify.test/x', invoice, 100, () => {});
+    await new Promise(resolve => setTimeout(resolve, 200));
+    stop();
+    return verifyRequests;
+  };
+  const descriptionHash = '00'.repeat(32);
+
+  const open = createInvoice({ amountMsats: 100000, descriptionHash });
+  assert.ok(await poll(open.invoice) > 1);
+
+  const expired = createInvoice({
+    amountMsats: 100000,
+    descriptionHash,
+    expiry: 600,
+    timestamp: Math.floor(Date.now() / 1000) - 601,
+  });
+  assert.equal(await poll(expired.invoice), 0);
+});
+
+test('a zap for another session does not unlock the game', async () => {
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap' });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+    const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+
+    // Someone else's zap to the same recipient
+    const other = await env.evaluate(`(async () => {
+      const manager = new LightningPaymentManager(SATSNAKE_CONFIG);
+      const lnurlData = await manager.fetchLnurlMetadata();
+      const zapRequest = await manager.createZapRequest(
+        'someone-else', SATSNAKE_CONFIG.minPaymentSats, lnurlData.nostrPubkey, lnurlData.lnurl
+      );
+      return manager.getInvoiceFromCallback(
+        lnurlData.callback, SATSNAKE_CONFIG.minPaymentSats * 1000, zapRequest, lnurlData.lnurl
+      );
+    })()`);
+    await payInvoice(other.invoice);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.equal(game.gameUnlocked, false);
+
+    await payInvoice(invoice);
+    await waitFor(() => game.gameUnlocked);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('a used receipt does not unlock a fresh session', async () => {
+  const first = await bootGame({ confirmationStrategy: 'zap' });
+  let sessionId, paid, used;
+  try {
+    await first.env.document.getElementById('unlock-btn').click();
+    sessionId = first.game.paymentManager.currentSession.id;
+    paid = await payInvoice(first.env.document.getElementById('copy-invoice-btn').dataset.invoice);
+    await waitFor(() => first.game.gameUnlocked);
+    used = first.env.context.localStorage.getItem('satsnake:used-zaps');
+  } finally {
+    await first.game.cleanup();
+  }
+  const receipt = harness.relay.events.find(event => event.id === paid.receiptId);
+
+  // A new page that knows the receipt was used asks for the same session
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap' });
+  try {
+    env.context.localStorage.setItem('satsnake:used-zaps', used);
+    game.paymentManager.generateSessionId = () => sessionId;
+    await env.document.getElementById('unlock-btn').click();
+
+    // The relay hands the stored receipt to the new subscription
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.equal(game.gameUnlocked, false);
+    const validate = () => game.relayManager.validateZapReceipt(receipt, sessionId, game.gamePrice());
+    assert.equal(validate().reason, 'Zap receipt already used');
+
+    // The payment hash alone is enough, whatever event carries it
+    env.context.localStorage.setItem('satsnake:used-zaps', JSON.stringify([
+      { eventId: 'ff'.repeat(32), paymentHash: paid.paymentHash, usedAt: Date.now() },
+    ]));
+    assert.equal(validate().reason, 'Zap receipt already used');
+
+    // Nothing else is wrong with the receipt
+    game.relayManager.replayStore.clear();
+    assert.equal(validate().valid, true);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('a timed pass locks at the end of the round and survives a reload', async () => {
+  const { env, game } = await bootGame({
+    confirmationStrategy: 'verify',
+    gameDuration: 1500,
+    passGracePeriod: 10000,
+  });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+    await payInvoice(env.document.getElementById('copy-invoice-btn').dataset.invoice);
+    await waitFor(() => game.gameUnlocked);
+    assert.ok(game.playPass.remaining() > 0);
+
+    // Same browser storage, fresh page
+    const reloaded = await bootGame(
+      { confirmationStrategy: 'verify', gameDuration: 1500 },
+      { localStorage: env.context.localStorage }
+    );
+    assert.equal(reloaded.game.restorePaidSession(), true);
+    assert.equal(reloaded.game.gameUnlocked, true);
+    await reloaded.game.cleanup();
+
+    // Time runs out mid-round: play continues until the round ends
+    await waitFor(() => game.passExpired);
+    assert.equal(game.gameUnlocked, true);
+    game.endRound();
+    assert.equal(game.gameUnlocked, false);
+    assert.equal(env.document.getElementById('unlock-btn').textContent, 'Renew Pass');
+    assert.equal(game.paymentOverlay.style.display, 'block');
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('a top-up funds several games from the credit balance', async () => {
+  const { env, game } = await bootGame({
+    confirmationStrategy: 'verify',
+    gamePriceSats: 40,
+  });
+  try {
+    env.document.getElementById('topup-amount').value = '120';
+    await env.document.getElementById('unlock-btn').click();
+    const paid = await payInvoice(env.document.getElementById('copy-invoice-btn').dataset.invoice);
+    await waitFor(() => game.gameUnlocked);
+
+    // First game already paid for
+    assert.equal(game.credits.balance(), 80);
+    assert.deepEqual([...game.credits.receiptIds()], [paid.paymentHash]);
+    assert.match(env.document.getElementById('credit-display').textContent, /80 sats · 2 games left/);
+
+    // A reload can play from the remaining credit
+    const reloaded = createBrowserEnv({
+      config: { gamePriceSats: 40 },
+      globals: { localStorage: env.context.localStorage },
+    });
+    const resumed = reloaded.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+    assert.equal(resumed.resumeCredit(), true);
+    assert.equal(resumed.credits.balance(), 40);
+    await resumed.cleanup();
+
+    game.endRound();
+    assert.equal(game.startRound(), true);
+    game.endRound();
+    assert.equal(game.gameUnlocked, false);
+    assert.equal(env.document.getElementById('unlock-btn').textContent, 'Top Up');
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('demo games leave the credit balance alone', async () => {
+  const { env, game } = await bootGame({
+    confirmationStrategy: 'verify',
+    gamePriceSats: 60,
+  });
+  try {
+    env.document.getElementById('topup-amount').value = '120';
+    await env.document.getElementById('unlock-btn').click();
+    await payInvoice(env.document.getElementById('copy-invoice-btn').dataset.invoice);
+    await waitFor(() => game.gameUnlocked);
+    assert.equal(game.credits.balance(), 60);
+  } finally {
+    await game.cleanup();
+  }
+
+  // Back on the page with one game of credit left, the player picks the demo
+  const reloaded = createBrowserEnv({
+    config: { gamePriceSats: 60 },
+    globals: { localStorage: env.context.localStorage },
+  });
+  const demo = reloaded.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+  try {
+    reloaded.document.getElementById('demo-btn').click();
+    assert.equal(demo.demoMode, true);
+    assert.equal(demo.credits.balance(), 60);
+
+    // Dying and starting over neither charges nor locks
+    demo.endRound();
+    assert.equal(demo.startRound(), true);
+    demo.endRound();
+    assert.equal(demo.gameUnlocked, true);
+    assert.equal(demo.credits.balance(), 60);
+  } finally {
+    await demo.cleanup();
+  }
+});
+
+test('a zap-paid session is restored after a reload, tampered proof is discarded', async () => {
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap' });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+    await payInvoice(env.document.getElementById('copy-invoice-btn').dataset.invoice);
+    await waitFor(() => game.gameUnlocked);
+  } finally {
+    await game.cleanup();
+  }
+
+  const storage = env.context.localStorage;
+  const reloaded = await bootGame({ confirmationStrategy: 'zap' }, { localStorage: storage });
+  try {
+    assert.equal(reloaded.game.restorePaidSession(), true);
+    assert.equal(reloaded.game.gameUnlocked, true);
+    assert.equal(reloaded.game.paymentOverlay.style.display, 'none');
+  } finally {
+    await reloaded.game.cleanup();
+  }
+
+  // Claim the receipt was for a different game session
+  const proof = JSON.parse(storage.getItem('satsnake:paid-session'));
+  storage.setItem('satsnake:paid-session', JSON.stringify({ ...proof, sessionId: 'satsnake-forged' }));
+  const tampered = await bootGame({ confirmationStrategy: 'zap' }, { localStorage: storage });
+  try {
+    assert.equal(tampered.game.restorePaidSession(), false);
+    assert.equal(tampered.game.gameUnlocked, false);
+    assert.equal(storage.getItem('satsnake:paid-session'), null);
+    assert.match(tampered.env.document.getElementById('session-notice').textContent, /could not be verified/);
+  } finally {
+    await tampered.game.cleanup();
+  }
+});
+
+test('a zap split unlocks once every leg is paid', async () => {
+  const recipients = [
+    { lightningAddress: 'alice@satsnake.test', weight: 70, primary: true },
+    { lightningAddress: 'bob@satsnake.test', weight: 30 },
+  ];
+  const { env, game } = await bootGame({ confirmationStrategy: 'zap', recipients });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+    const copyBtn = env.document.getElementById('copy-invoice-btn');
+    assert.match(env.document.getElementById('amount-display').textContent, /1 of 2: 70 sats to alice/);
+
+    await payInvoice(copyBtn.dataset.invoice);
+    await waitFor(() => env.document.getElementById('split-leg-0').textContent.startsWith('✓'));
+    assert.equal(game.gameUnlocked, false);
+    assert.match(env.document.getElementById('amount-display').textContent, /2 of 2: 30 sats to bob/);
+
+    await payInvoice(copyBtn.dataset.invoice);
+    await waitFor(() => game.gameUnlocked);
+  } finally {
+    await game.cleanup();
+  }
+
+  // The split proof restores after a reload
+  const reloaded = await bootGame(
+    { confirmationStrategy: 'zap', recipients },
+    { localStorage: env.context.localStorage }
+  );
+  try {
+    assert.equal(reloaded.game.restorePaidSession(), true);
+  } finally {
+    await reloaded.game.cleanup();
+  }
+});
+
+test('a zap split can unlock on the primary share alone', async () => {
+  const { env, game } = await bootGame({
+    confirmationStrategy: 'zap',
+    splitConfirmation: 'primary',
+    recipients: [
+      { lightningAddress: 'alice@satsnake.test' },
+      { lightningAddress: 'bob@satsnake.test', primary: true },
+    ],
+  });
+  try {
+    await env.document.getElementById('unlock-btn').click();
+    // Equal split without weights; bob is primary
+    const legs = game.paymentManager.currentSession.legs;
+    assert.deepEqual(legs.map(leg => leg.amountSats), [50, 50]);
+
+    await payInvoice(legs[1].invoice);
+    await waitFor(() => game.gameUnlocked);
+    assert.equal(legs[0].paid, false);
+  } finally {
+    await game.cleanup();
+  }
+});
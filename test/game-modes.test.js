@@ -0,0 +1,65 @@
+/**
+ * Game modes: the level format, per-mode rules, speed and prices
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserEnv } = require('./browser-env.js');
+
+test('levels parse into obstacles, spawn and first food', () => {
+  const { evaluate } = createBrowserEnv();
+  const level = JSON.parse(evaluate(`JSON.stringify(GameModes.parseLevel({
+    id: 'tiny', name: 'Tiny', rows: ['#...', '.S.F', '..#.'],
+  }))`));
+  assert.deepEqual(level, {
+    id: 'tiny',
+    name: 'Tiny',
+    width: 4,
+    height: 3,
+    obstacles: [{ x: 0, y: 0 }, { x: 2, y: 2 }],
+    spawn: { x: 1, y: 1 },
+    food: { x: 3, y: 1 },
+  });
+
+  const parse = (rows) => () => evaluate(`GameModes.parseLevel({ id: 'bad', rows: ${JSON.stringify(rows)} })`);
+  assert.throws(parse(['S..', '..']), /equal length/);
+  assert.throws(parse(['...', '...']), /exactly one spawn/);
+  assert.throws(parse(['S.#', '...']), /right of the spawn/);
+  assert.throws(parse(['S.x', '...']), /unknown cell "x"/);
+});
+
+test('each mode and level has its own key, rules and board', () => {
+  const { evaluate } = createBrowserEnv();
+  const game = (key) => JSON.parse(evaluate(`(() => {
+    const state = GameModes.newGame(${JSON.stringify(key)}, SATSNAKE_CONFIG, 1);
+    return JSON.stringify({ key: GameModes.key(state.rules), width: state.width, rules: state.rules, snake: state.snake });
+  })()`));
+
+  assert.equal(game('classic').key, 'classic');
+  assert.equal(game('wrap').rules.wrap, true);
+  // The obstacle mode on its own is its first level
+  const obstacles = game('obstacles');
+  assert.equal(obstacles.key, 'obstacles:pillars');
+  assert.deepEqual(obstacles.snake, [{ x: 4, y: 10 }]);
+  assert.equal(game('obstacles:corridors').key, 'obstacles:corridors');
+  assert.throws(() => evaluate(`GameModes.newGame('obstacles:nowhere', SATSNAKE_CONFIG)`), /Unknown game mode/);
+
+  const keys = JSON.parse(evaluate(`JSON.stringify(GameModes.options(SATSNAKE_CONFIG).map(o => o.key))`));
+  assert.deepEqual(keys, ['classic', 'wrap', 'obstacles:pillars', 'obstacles:corridors', 'speed']);
+});
+
+test('speed-up shortens the tick per food and prices follow modes.prices', () => {
+  const { evaluate } = createBrowserEnv();
+  const interval = (eaten) => evaluate(`GameModes.tickInterval({ ...GameModes.newGame('speed', SATSNAKE_CONFIG, 1), eaten: ${eaten} }, 120)`);
+  assert.equal(interval(0), 120);
+  assert.equal(interval(4), 100);
+  assert.equal(interval(100), 50);
+  assert.equal(evaluate(`GameModes.tickInterval(GameModes.newGame('classic', SATSNAKE_CONFIG, 1), 120)`), 120);
+
+  evaluate(`SATSNAKE_CONFIG.modes.prices = { obstacles: 150 }`);
+  assert.equal(evaluate(`GameModes.price('obstacles:corridors', SATSNAKE_CONFIG)`), 150);
+  assert.equal(evaluate(`GameModes.price('wrap', SATSNAKE_CONFIG)`), 100);
+  evaluate(`SATSNAKE_CONFIG.gamePriceSats = 20`);
+  assert.equal(evaluate(`GameModes.price('wrap', SATSNAKE_CONFIG)`), 20);
+});
@@ -0,0 +1,24 @@
+/**
+ * The shipped page: it loads every game script, in the order the scripts
+ * depend on each other, and leaves the game to SatSnakeGame
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { GAME_SCRIPTS } = require('./browser-env.js');
+
+const PAGE = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+
+test('index.html loads every game script in dependency order', () => {
+  const local = [...PAGE.matchAll(/<script src="(js\/[^"]+)"><\/script>/g)].map(m => m[1]);
+  assert.deepEqual(local, GAME_SCRIPTS);
+});
+
+test('index.html has no inline game of its own', () => {
+  // Inline scripts would bypass the receipt checks SatSnakeGame makes
+  assert.equal(/<script(?![^>]*\ssrc=)[^>]*>/.test(PAGE), false);
+  assert.match(PAGE, /<canvas id="gameCanvas"/);
+});
@@ -0,0 +1,142 @@
+/**
+ * Input: the turn queue, keys, swipes, the D-pad and gamepads, and the
+ * game recording one queued turn per tick
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserEnv } = require('./browser-env.js');
+
+/**
+ * A controller on a fake canvas; the committed direction is `snake.direction`
+ */
+function createInput(controls = {}) {
+  const env = createBrowserEnv();
+  env.evaluate(`
+    globalThis.snake = { direction: 'right' };
+    globalThis.canvas = document.createElement('canvas');
+    globalThis.input = new InputController(canvas, {
+      ...SATSNAKE_CONFIG.controls,
+      ...${JSON.stringify(controls)},
+      direction: () => snake.direction,
+    });
+    input.attach();
+  `);
+  const input = env.evaluate('input');
+  // The engine commits each turn it is given
+  const tick = () => {
+    const turn = input.take(env.evaluate('snake.direction'));
+    if (turn) env.evaluate(`snake.direction = ${JSON.stringify(turn)}`);
+    return turn;
+  };
+  return { env, input, tick, canvas: env.evaluate('canvas') };
+}
+
+const key = (key, extra = {}) => ({ key, preventDefault() {}, ...extra });
+
+test('two quick turns apply on consecutive ticks and reversals are dropped', () => {
+  const { input, tick } = createInput();
+
+  // Heading right: a U-turn pressed within one tick
+  assert.equal(input.push('up'), true);
+  assert.equal(input.push('left'), true);
+  assert.equal(input.push('down'), false); // queue full
+  assert.deepEqual([tick(), tick(), tick()], ['up', 'left', null]);
+
+  // Straight back, or the way it already goes, against the committed direction...
+  assert.equal(input.push('right'), false);
+  assert.equal(input.push('left'), false);
+  // ...and against the last queued turn
+  assert.equal(input.push('down'), true);
+  assert.equal(input.push('up'), false);
+  assert.equal(input.push('down'), false);
+  assert.deepEqual([tick(), tick()], ['down', null]);
+
+  // A revive faces the snake right again: a stale queued turn is skipped
+  input.push('right');
+  assert.equal(input.take('left'), null);
+});
+
+test('WASD, arrows and remapped keys steer, but not while typing', async () => {
+  const { env, input, tick } = createInput({ keys: { up: ['i'], down: ['k'], left: ['j'], right: ['l'] } });
+  const document = env.document;
+
+  await document.dispatch('keydown', key('I'));
+  assert.equal(tick(), 'up');
+  await document.dispatch('keydown', key('w'));
+  assert.equal(tick(), null);
+
+  const field = document.createElement('input');
+  await document.dispatch('keydown', key('j', { target: field }));
+  await document.dispatch('keydown', key('j', { ctrlKey: true }));
+  assert.equal(tick(), null);
+
+  input.detach();
+  await document.dispatch('keydown', key('j'));
+  assert.equal(tick(), null);
+
+  const { env: defaults, tick: tickDefaults } = createInput();
+  await defaults.document.dispatch('keydown', key('ArrowDown'));
+  await defaults.document.dispatch('keydown', key('a'));
+  assert.deepEqual([tickDefaults(), tickDefaults()], ['down', 'left']);
+});
+
+test('swipes, the D-pad and gamepads queue turns', async () => {
+  const { env, input, tick, canvas } = createInput({ swipeThreshold: 30, dpad: 'always' });
+  const pointer = (type, x, y) => canvas.dispatch(type, { pointerId: 1, clientX: x, clientY: y, preventDefault() {} });
+
+  // One L-shaped stroke: up, then left
+  await pointer('pointerdown', 100, 100);
+  await pointer('pointermove', 105, 80);
+  assert.equal(input.queue.length, 0);
+  await pointer('pointermove', 104, 60);
+  await pointer('pointermove', 60, 58);
+  await pointer('pointerup', 60, 58);
+  assert.deepEqual([tick(), tick()], ['up', 'left']);
+  await pointer('pointermove', 60, 100);
+  assert.equal(tick(), null);
+
+  const dpad = input.createDpad(env.document.createElement('div'));
+  assert.equal(dpad.style.display, 'grid');
+  assert.equal(dpad.className, 'dpad');
+  assert.equal(env.document.getElementById('dpad-down').className, 'dpad-btn dpad-down');
+  await env.document.getElementById('dpad-down').dispatch('pointerdown', { preventDefault() {} });
+  assert.equal(tick(), 'down');
+
+  // Held buttons turn once; the stick counts past half way
+  const pad = (buttons, axes = [0, 0]) => [{ index: 0, connected: true, axes, buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: buttons.includes(i) })) }];
+  input.poll(pad([15]));
+  input.poll(pad([15]));
+  assert.deepEqual([tick(), tick()], ['right', null]);
+  input.poll(pad([], [0.2, -0.3]));
+  input.poll(pad([], [0.1, -0.9]));
+  assert.equal(tick(), 'up');
+});
+
+test('the game records one queued turn per tick', async () => {
+  const env = createBrowserEnv();
+  const game = env.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+  try {
+    game.gameUnlocked = true;
+    game.roundInProgress = true;
+    game.state = env.evaluate("GameModes.newGame('classic', SATSNAKE_CONFIG, 1)");
+    game.replay = env.evaluate('Replay').start(game.state);
+
+    // Up and left between two ticks, then a reversal into the snake
+    await env.document.dispatch('keydown', key('ArrowUp'));
+    await env.document.dispatch('keydown', key('a'));
+    await env.document.dispatch('keydown', key('ArrowRight'));
+    let now = game.lastTickAt;
+    for (let i = 0; i < 3; i++) {
+      now += game.tickInterval;
+      game.update(now);
+    }
+
+    assert.deepEqual([...game.replay.inputs], ['up', 'left', null]);
+    assert.equal(game.state.direction, 'left');
+    assert.equal(game.replay.simulate().state.snake[0].x, game.state.snake[0].x);
+  } finally {
+    await game.cleanup();
+  }
+});
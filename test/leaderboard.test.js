@@ -0,0 +1,316 @@
+/**
+ * Nostr leaderboard: ranking rules, publishing a paid game's score through
+ * the dev harness relay, and dropping scores that don't check out
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('../dev/harness.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+let harness;
+let bootCount = 0;
+
+before(async () => {
+  harness = await startHarness({ port: 0 });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+async function bootGame(config = {}) {
+  const env = createBrowserEnv({
+    config: {
+      recipientLightningAddress: 'satsnake@satsnake.test',
+      devHarnessUrl: harness.url,
+      relayTimeout: 2000,
+      zapReceiptTimeout: 10000,
+      confirmationStrategy: 'zap',
+      ...config,
+    },
+  });
+  const game = env.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+  assert.equal(await game.initializePaymentSystem(), true);
+  // Fixed sessions, so the board each paid run is dealt is too
+  let sessions = 0;
+  game.paymentManager.generateSessionId = () => `leaderboard-${++bootCount}-${++sessions}`;
+  return { env, game };
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+test('each player keeps their best score, earliest first on ties', () => {
+  const { evaluate } = createBrowserEnv();
+  const ranked = JSON.parse(evaluate(`JSON.stringify(Leaderboard.rank([
+    { pubkey: 'a', score: 50, createdAt: 10 },
+    { pubkey: 'b', score: 80, createdAt: 30 },
+    { pubkey: 'a', score: 90, createdAt: 20 },
+    { pubkey: 'c', score: 80, createdAt: 15 },
+  ]))`));
+  assert.deepEqual(
+    ranked.map(e => [e.rank, e.pubkey, e.score]),
+    [[1, 'a', 90], [2, 'c', 80], [3, 'b', 80]]
+  );
+});
+
+test('daily and weekly periods start at UTC midnight and Monday', () => {
+  const { evaluate } = createBrowserEnv();
+  // Thursday 2026-10-15 13:45 UTC
+  const now = Date.UTC(2026, 9, 15, 13, 45);
+  assert.equal(evaluate(`Leaderboard.periodStart('daily', ${now})`), Date.UTC(2026, 9, 15));
+  assert.equal(evaluate(`Leaderboard.periodStart('weekly', ${now})`), Date.UTC(2026, 9, 12));
+  assert.equal(evaluate(`Leaderboard.periodStart('all', ${now})`), null);
+});
+
+test('scores past one relay response are paged in with until', async () => {
+  const { evaluate } = createBrowserEnv();
+  const { ids, requests } = JSON.parse(await evaluate(`(async () => {
+    Leaderboard.PAGE_SIZE = 3;
+    const stored = [50, 40, 40, 40, 30, 20, 20, 10].map((at, i) => ({ id: 'e' + i, created_at: at }));
+    const requests = [];
+    // Newest first and capped at the limit, like a relay
+    const relayManager = {
+      relays: [],
+      query: async (filter) => {
+        requests.push(filter.until);
+        return stored.filter(e => filter.until === undefined || e.created_at <= filter.until)
+          .slice(0, filter.limit);
+      },
+    };
+    const events = await new Leaderboard(relayManager, null, SATSNAKE_CONFIG).fetchScores({ kinds: [4747] });
+    return JSON.stringify({ ids: events.map(e => e.id).sort(), requests });
+  })()`));
+  assert.deepEqual(ids, ['e0', 'e1', 'e2', 'e3', 'e4', 'e5', 'e6', 'e7']);
+  // The shared second 40 is asked for again until it brings nothing new
+  assert.deepEqual(requests, [null, 40, 40, 39, 20, 10, 9]);
+});
+
+/**
+ * Play a classic board headlessly: eat the first food (10 points), then hit
+ * the top wall. The first food sits in the same place whatever the seed
+ * @param {number} seed - The paid run's seed (game.state.seed)
+ */
+function playRun(env, seed) {
+  env.evaluate(`(() => {
+    let state = GameModes.newGame('classic', SATSNAKE_CONFIG, ${seed});
+    const replay = Replay.start(state);
+    for (const input of [...Array(7).fill(null), 'up', ...Array(10).fill(null)]) {
+      replay.record(input);
+      state = SnakeEngine.tick(state, input).state;
+    }
+    globalThis.testRun = { replay, score: state.score, alive: state.alive };
+  })()`);
+  return env.evaluate('testRun');
+}
+
+/**
+ * Play a classic board headlessly, steering straight at the food until two
+ * are eaten, then running into a wall: a better run on the same board
+ */
+function chaseRun(env, seed) {
+  env.evaluate(`(() => {
+    let state = GameModes.newGame('classic', SATSNAKE_CONFIG, ${seed});
+    const replay = Replay.start(state);
+    while (state.alive && state.tick < 1000) {
+      const [head] = state.snake;
+      let input = null;
+      if (state.eaten < 2) {
+        const dx = state.food.x - head.x;
+        const dy = state.food.y - head.y;
+        input = dx ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+        if (input === SnakeEngine.OPPOSITE[state.direction]) input = dy > 0 ? 'down' : 'up';
+      }
+      replay.record(input);
+      state = SnakeEngine.tick(state, input).state;
+    }
+    globalThis.testRun = { replay, score: state.score, alive: state.alive };
+  })()`);
+  return env.evaluate('testRun');
+}
+
+async function payAndUnlock(env, game) {
+  await env.document.getElementById('unlock-btn').click();
+  const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+  const response = await fetch(`${harness.url}/pay?invoice=${encodeURIComponent(invoice)}`, { method: 'POST' });
+  const { receiptId } = await response.json();
+  await waitFor(() => game.gameUnlocked);
+  return receiptId;
+}
+
+test('a paid game publishes a signed score that references its zap receipt', async () => {
+  const { env, game } = await bootGame();
+  try {
+    const receiptId = await payAndUnlock(env, game);
+
+    // Name the player with a kind-0 profile
+    const signer = await game.paymentManager.getSigner();
+    const profile = await signer.signEvent({
+      kind: 0, created_at: Math.floor(Date.now() / 1000), tags: [],
+      content: JSON.stringify({ name: 'snek' }),
+    });
+    await game.relayManager.publish(profile);
+
+    const run = playRun(env, game.state.seed);
+    assert.equal(run.alive, false);
+    game.lastReplay = run.replay;
+    await game.submitScore(run.score);
+    await waitFor(() => game.leaderboardEntries.length === 1);
+
+    const [entry] = game.leaderboardEntries;
+    assert.equal(entry.score, 10);
+    assert.equal(entry.pubkey, signer.pubkey);
+    assert.equal(entry.name, 'snek');
+    assert.equal(entry.receiptId, receiptId);
+
+    const daily = await game.leaderboard.load('daily');
+    assert.equal(daily.length, 1);
+    assert.equal(game.leaderboard.verifier.cache.get(entry.id).valid, true);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('scores that fail the replay or receipt checks are dropped', async () => {
+  const { env, game } = await bootGame();
+  try {
+    const receiptId = await payAndUnlock(env, game);
+    const run = playRun(env, game.state.seed);
+    const board = game.leaderboard;
+
+    // Claims more than its replay scores
+    await board.publishScore(500, { receiptId }, run.replay);
+
+    // Someone else's key pointing at this player's receipt
+    const stranger = env.evaluate(`NostrSigner.ephemeral('test:stranger')`);
+    const borrowed = await stranger.signEvent(
+      env.evaluate('Leaderboard').buildScoreEvent(run.score, { receiptId }, run.replay)
+    );
+    await game.relayManager.publish(borrowed);
+
+    // No receipt to check
+    await board.publishScore(run.score, { paymentHash: 'ab'.repeat(32) }, run.replay);
+
+    // A board the player picked instead of the one the payment dealt
+    const picked = playRun(env, (game.state.seed + 1) >>> 0);
+    await board.publishScore(picked.score, { receiptId }, picked.replay);
+
+    // A board bigger than the mode's is turned away before it's played out
+    const Replay = env.evaluate('Replay');
+    const simulate = Replay.prototype.simulate;
+    const simulated = [];
+    Replay.prototype.simulate = function () {
+      simulated.push(this.width);
+      return simulate.call(this);
+    };
+    const oversized = Replay.fromJSON({ ...run.replay.toJSON(), width: 100, height: 100 });
+    await board.publishScore(run.score, { receiptId }, oversized);
+
+    // Earlier tests' scores share the harness relay
+    const entries = await board.load('all');
+    assert.equal(entries.filter(e => e.receiptId === receiptId || !e.receiptId).length, 0);
+
+    const verdicts = [...board.verifier.cache.values()].filter(v => !v.valid).map(v => v.reason);
+    assert.equal(verdicts.length, 5);
+    assert.ok(verdicts.some(r => /Replay scores 10, not 500/.test(r)));
+    assert.ok(verdicts.some(r => /different key/.test(r)));
+    assert.ok(verdicts.some(r => /No zap receipt/.test(r)));
+    assert.ok(verdicts.some(r => /seed doesn't come from the payment's session/.test(r)));
+    assert.ok(verdicts.some(r => /wasn't played under the classic rules/.test(r)));
+    assert.ok(!simulated.includes(100));
+
+    // The honest score still makes it
+    await board.publishScore(run.score, { receiptId }, run.replay);
+    const honest = (await board.load('all')).filter(e => e.receiptId === receiptId);
+    assert.equal(honest.length, 1);
+    assert.equal(honest[0].score, 10);
+
+    // One game, one score: replaying the paid board for a better run doesn't count
+    const better = chaseRun(env, game.state.seed);
+    assert.ok(better.score > run.score);
+    await board.publishScore(better.score, { receiptId }, better.replay);
+    const after = (await board.load('all')).filter(e => e.receiptId === receiptId);
+    assert.deepEqual([...after.map(e => e.score)], [10]);
+    assert.ok([...board.verifier.cache.values()].some(v => /already backs another score/.test(v.reason)));
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('each mode has its own board, rules and price', async () => {
+  const { env, game } = await bootGame({
+    modes: { available: ['classic', 'obstacles'], default: 'obstacles', prices: { obstacles: 50 }, levelsUrl: '' },
+  });
+  try {
+    assert.equal(game.modeKey, 'obstacles:pillars');
+    await env.document.getElementById('unlock-btn').click();
+    const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+    assert.equal(env.evaluate('Bolt11').decode(invoice).amountSats, 50);
+    const response = await fetch(`${harness.url}/pay?invoice=${encodeURIComponent(invoice)}`, { method: 'POST' });
+    const { receiptId } = await response.json();
+    await waitFor(() => game.gameUnlocked);
+
+    // Eat the first food (15 points here), then turn into a pillar
+    const run = env.evaluate(`(() => {
+      let state = GameModes.newGame('obstacles:pillars', SATSNAKE_CONFIG, ${game.state.seed});
+      const replay = Replay.start(state);
+      for (const input of [...Array(11).fill(null), 'down', null, null, null]) {
+        replay.record(input);
+        state = SnakeEngine.tick(state, input).state;
+      }
+      return { replay, score: state.score, alive: state.alive };
+    })()`);
+    assert.equal(run.alive, false);
+    assert.equal(run.score, 15);
+    game.lastReplay = run.replay;
+    await game.submitScore(run.score);
+    await waitFor(() => game.leaderboardEntries.length === 1);
+    assert.equal(game.leaderboardMode, 'obstacles:pillars');
+    assert.equal(game.leaderboardEntries[0].mode, 'obstacles:pillars');
+
+    const board = game.leaderboard;
+    const mine = (entries) => entries.filter(e => e.receiptId === receiptId);
+    assert.equal(mine(await board.load('all', { mode: 'obstacles:corridors' })).length, 0);
+
+    // A classic game costs more than this payment
+    const classic = playRun(env, game.state.seed);
+    await board.publishScore(classic.score, { receiptId }, classic.replay);
+    assert.equal(mine(await board.load('all')).length, 0);
+
+    // A level score played under friendlier rules
+    const forged = env.evaluate('Replay').fromJSON({
+      ...run.replay.toJSON(),
+      rules: { ...run.replay.rules, foodPoints: 1000 },
+    });
+    await board.publishScore(1000, { receiptId }, forged);
+    const entries = mine(await board.load('all', { mode: 'obstacles:pillars' }));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].score, 15);
+
+    const verdicts = [...board.verifier.cache.values()].filter(v => !v.valid).map(v => v.reason);
+    assert.ok(verdicts.some(r => /Insufficient amount: 50 < 100/.test(r)));
+    assert.ok(verdicts.some(r => /wasn't played under the obstacles:pillars rules/.test(r)));
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('demo games are not published', async () => {
+  const { game } = await bootGame();
+  try {
+    game.playDemo();
+    assert.equal(game.paymentReference(), null);
+  } finally {
+    game.stopGameLoop();
+    await game.cleanup();
+  }
+});
@@ -0,0 +1,89 @@
+/**
+ * LNURL codec: LUD-01 bech32 LNURLs, LUD-16 Lightning Addresses, LUD-17
+ * lightning: URIs and resolving a recipient to its pay endpoint
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Lnurl = require('../js/lnurl.js');
+
+// LUD-01 example (https://github.com/lnurl/luds/blob/luds/01.md)
+const SPEC_LNURL = 'LNURL1DP68GURN8GHJ7UM9WFMXJCM99E3K7MF0V9CXJ0M385EKVCENXC6R2C35XVUKXEFCV5MKVV34X5EKZD3EV56NYD3HXQURZEPEXEJXXEPNXSCRVWFNV9NXZCN9XQ6XYEFHVGCXXCMYXYMNSERXFQ5FNS';
+const SPEC_URL = 'https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df';
+
+test('the spec example LNURL decodes and encodes back', () => {
+  assert.equal(Lnurl.decode(SPEC_LNURL), SPEC_URL);
+  assert.equal(Lnurl.decode(SPEC_LNURL.toLowerCase()), SPEC_URL);
+  assert.equal(Lnurl.decode(`lightning:${SPEC_LNURL}`), SPEC_URL);
+  assert.equal(Lnurl.encode(SPEC_URL), SPEC_LNURL);
+
+  const onion = 'http://satsnakexyz.onion/lnurlp/satsnake';
+  assert.equal(Lnurl.decode(Lnurl.encode(onion)), onion);
+  assert.ok(Lnurl.isLnurl(SPEC_LNURL));
+  assert.ok(!Lnurl.isLnurl('satsnake@satsnake.test'));
+});
+
+test('damaged or disallowed LNURLs are rejected', () => {
+  // One changed character breaks the bech32 checksum
+  const flipped = SPEC_LNURL.slice(0, 30) + (SPEC_LNURL[30] === 'Q' ? 'P' : 'Q') + SPEC_LNURL.slice(31);
+  assert.throws(() => Lnurl.decode(flipped), /checksum/);
+  assert.throws(() => Lnurl.decode(SPEC_LNURL.slice(0, 20) + SPEC_LNURL.slice(20).toLowerCase()), /Mixed-case/);
+  assert.throws(() => Lnurl.decode(Lnurl.bech32Encode('lnbc', [0, 1, 2])), /Not an LNURL/);
+  // LUD-01 only allows plain http for onion services
+  assert.throws(() => Lnurl.decode(Lnurl.encode('http://service.com/api')), /https:\/\/ or \.onion/);
+});
+
+test('Lightning Addresses map to their LUD-16 pay endpoint', () => {
+  assert.deepEqual(Lnurl.parseLightningAddress(' SatSnake@SatSnake.test '), {
+    username: 'satsnake',
+    domain: 'satsnake.test',
+    url: 'https://satsnake.test/.well-known/lnurlp/satsnake',
+  });
+  assert.equal(
+    Lnurl.parseLightningAddress('tips@satsnakexyz.onion').url,
+    'http://satsnakexyz.onion/.well-known/lnurlp/tips'
+  );
+  assert.equal(
+    Lnurl.parseLightningAddress('dev@localhost.test:8787').url,
+    'https://localhost.test:8787/.well-known/lnurlp/dev'
+  );
+  assert.throws(() => Lnurl.parseLightningAddress('no-at-sign.test'), /Invalid Lightning Address/);
+  assert.throws(() => Lnurl.parseLightningAddress('user@nodot'), /Invalid Lightning Address/);
+  assert.ok(!Lnurl.isLightningAddress('user@'));
+});
+
+test('lightning: URIs and LUD-17 schemes are recognised', () => {
+  assert.deepEqual(Lnurl.parseLightningUri(`lightning:${SPEC_LNURL.toLowerCase()}`), {
+    type: 'lnurl', value: SPEC_LNURL, url: SPEC_URL,
+  });
+  assert.deepEqual(Lnurl.parseLightningUri('lnurlp://service.com/api?q=1'), {
+    type: 'lnurl', value: 'lnurlp://service.com/api?q=1', url: 'https://service.com/api?q=1',
+  });
+  assert.equal(Lnurl.parseLightningUri('lnurlw://satsnakexyz.onion/withdraw').url, 'http://satsnakexyz.onion/withdraw');
+  assert.deepEqual(Lnurl.parseLightningUri('LIGHTNING:LNBC2500U1PVJLUEZPP5QQQ'), {
+    type: 'invoice', value: 'lnbc2500u1pvjluezpp5qqq',
+  });
+  assert.deepEqual(Lnurl.parseLightningUri('lightning:SatSnake@SatSnake.test'), {
+    type: 'address', value: 'satsnake@satsnake.test', url: 'https://satsnake.test/.well-known/lnurlp/satsnake',
+  });
+  assert.throws(() => Lnurl.parseLightningUri('  '), /Empty Lightning URI/);
+  assert.throws(() => Lnurl.parseLightningUri('bitcoin:bc1qxyz'), /Unrecognised Lightning URI/);
+});
+
+test('a recipient resolves to its pay endpoint, optionally on the dev origin', () => {
+  assert.equal(
+    Lnurl.resolvePayUrl('satsnake@satsnake.test'),
+    'https://satsnake.test/.well-known/lnurlp/satsnake'
+  );
+  assert.equal(Lnurl.resolvePayUrl(SPEC_LNURL), SPEC_URL);
+  assert.equal(
+    Lnurl.resolvePayUrl('satsnake@satsnake.test', 'http://localhost:8787/'),
+    'http://localhost:8787/.well-known/lnurlp/satsnake'
+  );
+  assert.equal(
+    Lnurl.resolvePayUrl(`lightning:${SPEC_LNURL}`, 'http://localhost:8787'),
+    'http://localhost:8787/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df'
+  );
+  assert.throws(() => Lnurl.resolvePayUrl('lnbc2500u1pvjluezpp5qqq'), /not an invoice/);
+});
@@ -0,0 +1,82 @@
+/**
+ * Nostr crypto: BIP-340 Schnorr signatures against the spec's test vectors,
+ * and NIP-01 event id / signature checks on tampered events
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const NostrCrypto = require('../js/nostr-crypto.js');
+
+// BIP-340 test vectors 0 and 1 (https://github.com/bitcoin/bips/blob/master/bip-0340/test-vectors.csv)
+const VECTORS = [
+  {
+    secretKey: '0000000000000000000000000000000000000000000000000000000000000003',
+    publicKey: 'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9',
+    auxRand: '0000000000000000000000000000000000000000000000000000000000000000',
+    message: '0000000000000000000000000000000000000000000000000000000000000000',
+    signature: 'e907831f80848d1069a5371b402410364bdf1c5f8307b0084c55f1ce2dca821525f66a4a85ea8b71e482a74f382d2ce5ebeee8fdb2172f477df4900d310536c0',
+  },
+  {
+    secretKey: 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef',
+    publicKey: 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659',
+    auxRand: '0000000000000000000000000000000000000000000000000000000000000001',
+    message: '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89',
+    signature: '6896bd60eeae296db48a229ff71dfe071bde413e6d43f917dc8dcf8c78de33418906d11ac976abccb20b091292bff4ea897efcb639ea871cfa95f6de339e4b0a',
+  },
+];
+
+// Flip the lowest bit of the hex digit at position i
+function tamper(hex, i) {
+  return hex.slice(0, i) + (parseInt(hex[i], 16) ^ 1).toString(16) + hex.slice(i + 1);
+}
+
+test('BIP-340 test vectors sign and verify', () => {
+  for (const v of VECTORS) {
+    assert.equal(NostrCrypto.getPublicKey(v.secretKey), v.publicKey);
+    assert.equal(NostrCrypto.schnorrSign(v.message, v.secretKey, NostrCrypto.hexToBytes(v.auxRand)), v.signature);
+    assert.equal(NostrCrypto.schnorrVerify(v.signature, v.message, v.publicKey), true);
+  }
+});
+
+test('a tampered signature, message or key does not verify', () => {
+  const [, v] = VECTORS;
+  assert.equal(NostrCrypto.schnorrVerify(tamper(v.signature, 10), v.message, v.publicKey), false); // R
+  assert.equal(NostrCrypto.schnorrVerify(tamper(v.signature, 100), v.message, v.publicKey), false); // s
+  assert.equal(NostrCrypto.schnorrVerify(v.signature, tamper(v.message, 0), v.publicKey), false);
+  assert.equal(NostrCrypto.schnorrVerify(v.signature, v.message, VECTORS[0].publicKey), false);
+  // s at or above the curve order, and a truncated signature
+  assert.equal(NostrCrypto.schnorrVerify(v.signature.slice(0, 64) + 'f'.repeat(64), v.message, v.publicKey), false);
+  assert.equal(NostrCrypto.schnorrVerify(v.signature.slice(0, 126), v.message, v.publicKey), false);
+});
+
+test('events with a tampered id, content or signature are rejected', () => {
+  const secretKey = NostrCrypto.generateSecretKey();
+  const event = NostrCrypto.finalizeEvent({
+    kind: 9735,
+    created_at: 1700000000,
+    tags: [['p', NostrCrypto.getPublicKey(secretKey)], ['bolt11', 'lnbcrt1000n1...']],
+    content: '',
+  }, secretKey);
+  assert.equal(event.id, NostrCrypto.getEventHash(event));
+  assert.deepEqual(NostrCrypto.verifyEvent(event), { valid: true });
+
+  const check = (changes) => NostrCrypto.verifyEvent({ ...event, ...changes });
+  assert.deepEqual(check({ id: tamper(event.id, 5) }), { valid: false, reason: 'Event id does not match content' });
+  assert.deepEqual(check({ tags: [['p', event.pubkey], ['bolt11', 'lnbcrt9000n1...']] }), { valid: false, reason: 'Event id does not match content' });
+  assert.deepEqual(check({ sig: tamper(event.sig, 90) }), { valid: false, reason: 'Bad Schnorr signature' });
+
+  // Re-hashed after the edit, but signed by nobody
+  const forged = { ...event, content: 'forged' };
+  forged.id = NostrCrypto.getEventHash(forged);
+  assert.deepEqual(NostrCrypto.verifyEvent(forged), { valid: false, reason: 'Bad Schnorr signature' });
+
+  // The original signature on a copy claiming another author
+  const other = NostrCrypto.generateSecretKey();
+  const stolen = { ...event, pubkey: NostrCrypto.getPublicKey(other) };
+  stolen.id = NostrCrypto.getEventHash(stolen);
+  assert.equal(NostrCrypto.verifyEvent({ ...stolen, sig: event.sig }).valid, false);
+
+  assert.equal(check({ sig: event.sig.toUpperCase() }).reason, 'Malformed signature');
+  assert.equal(check({ pubkey: 'npub1xyz' }).reason, 'Malformed pubkey');
+});
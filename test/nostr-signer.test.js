@@ -0,0 +1,67 @@
+/**
+ * Nostr signer: picking a NIP-07 extension or the ephemeral fallback, and
+ * refusing events an extension signs badly or with another key
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const NostrCrypto = require('../js/nostr-crypto.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+const EXTENSION_KEY = '0000000000000000000000000000000000000000000000000000000000000003';
+const OTHER_KEY = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+const TEMPLATE = { kind: 1, tags: [], content: 'gg', created_at: 1700000000 };
+
+/**
+ * A window.nostr that reports one key and signs however sign() says
+ * @param {Object} [options]
+ * @param {Function} [options.getPublicKey]
+ * @param {Function} [options.sign] - template -> event
+ */
+function extension({ getPublicKey, sign } = {}) {
+  return {
+    getPublicKey: getPublicKey || (async () => NostrCrypto.getPublicKey(EXTENSION_KEY)),
+    signEvent: async (template) => (sign || (t => NostrCrypto.finalizeEvent(t, EXTENSION_KEY)))(template),
+  };
+}
+
+async function createSigner(nostr) {
+  const { evaluate } = createBrowserEnv({ globals: { nostr } });
+  return evaluate('NostrSigner.create()');
+}
+
+test('a NIP-07 extension signs with the key it reports', async () => {
+  const signer = await createSigner(extension());
+  assert.equal(signer.type, 'nip07');
+  assert.equal(signer.pubkey, NostrCrypto.getPublicKey(EXTENSION_KEY));
+
+  const signed = await signer.signEvent(TEMPLATE);
+  assert.equal(signed.pubkey, signer.pubkey);
+  assert.equal(NostrCrypto.verifyEvent(signed).valid, true);
+});
+
+test('an extension with a bad or refused pubkey falls back to an ephemeral key', async () => {
+  const npub = await createSigner(extension({ getPublicKey: async () => 'npub1notahexkey' }));
+  assert.equal(npub.type, 'ephemeral');
+  assert.match(npub.pubkey, /^[0-9a-f]{64}$/);
+
+  const refused = await createSigner(extension({
+    getPublicKey: async () => { throw new Error('User rejected'); },
+  }));
+  assert.equal(refused.type, 'ephemeral');
+  assert.equal(NostrCrypto.verifyEvent(await refused.signEvent(TEMPLATE)).valid, true);
+});
+
+test('events the extension signs badly or with another key are refused', async () => {
+  // Content changed after signing
+  const tampered = await createSigner(extension({
+    sign: t => ({ ...NostrCrypto.finalizeEvent(t, EXTENSION_KEY), content: 'changed' }),
+  }));
+  await assert.rejects(tampered.signEvent(TEMPLATE), /invalid event/);
+
+  // A good signature, but not from the key the extension reported
+  const swapped = await createSigner(extension({ sign: t => NostrCrypto.finalizeEvent(t, OTHER_KEY) }));
+  assert.equal(swapped.type, 'nip07');
+  await assert.rejects(swapped.signEvent(TEMPLATE), /different key/);
+});
@@ -0,0 +1,164 @@
+/**
+ * Reward payouts: splitting the pool, and a full period through the dev
+ * harness - revenue from zap receipts, a voucher for the verified winner
+ * (once, however often the run is retried), the winner's game decrypting
+ * it and a wallet claiming it once
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const NostrCrypto = require('../js/nostr-crypto.js');
+const { startHarness } = require('../dev/harness.js');
+const { createInvoice } = require('../dev/fake-invoice.js');
+const { runPayouts } = require('../dev/payouts.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ port: 0 });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+test('the pool is split by weight with the rounding left to first place', () => {
+  const { evaluate } = createBrowserEnv();
+  const split = (pool, winners, weights) => JSON.parse(evaluate(`JSON.stringify(
+    Payouts.allocate(${pool}, ${JSON.stringify(winners)}, ${JSON.stringify(weights)})
+      .map(s => [s.rank, s.entry.pubkey, s.amountSats])
+  )`));
+
+  assert.deepEqual(
+    split(101, [{ pubkey: 'a' }, { pubkey: 'b' }, { pubkey: 'c' }], [50, 30, 20]),
+    [[1, 'a', 51], [2, 'b', 30], [3, 'c', 20]]
+  );
+  // Fewer winners than places: the weights of the places taken
+  assert.deepEqual(split(20, [{ pubkey: 'a' }, { pubkey: 'b' }], [50, 30, 20]), [[1, 'a', 13], [2, 'b', 7]]);
+  // Shares that round to nothing are dropped
+  assert.deepEqual(split(1, [{ pubkey: 'a' }, { pubkey: 'b' }], [50, 30]), [[1, 'a', 1]]);
+  assert.deepEqual(split(0, [{ pubkey: 'a' }], [1]), []);
+});
+
+test('the period winner gets a voucher they can claim once', async () => {
+  const operatorKey = NostrCrypto.generateSecretKey();
+  const env = createBrowserEnv({
+    config: {
+      recipientLightningAddress: 'satsnake@satsnake.test',
+      devHarnessUrl: harness.url,
+      relayTimeout: 2000,
+      zapReceiptTimeout: 10000,
+      confirmationStrategy: 'zap',
+    },
+  });
+  Object.assign(env.evaluate('SATSNAKE_CONFIG.rewards'), {
+    enabled: true,
+    revenueShare: 0.2,
+    period: 'weekly',
+    weights: [50, 30, 20],
+    operatorPubkey: NostrCrypto.getPublicKey(operatorKey),
+  });
+  const game = env.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+  assert.equal(await game.initializePaymentSystem(), true);
+
+  try {
+    // Pay for a game and score 10
+    await env.document.getElementById('unlock-btn').click();
+    const invoice = env.document.getElementById('copy-invoice-btn').dataset.invoice;
+    await fetch(`${harness.url}/pay?invoice=${encodeURIComponent(invoice)}`, { method: 'POST' });
+    await waitFor(() => game.gameUnlocked);
+    env.evaluate(`(() => {
+      let state = GameModes.newGame('classic', SATSNAKE_CONFIG, ${game.state.seed});
+      const replay = Replay.start(state);
+      for (const input of [...Array(7).fill(null), 'up', ...Array(10).fill(null)]) {
+        replay.record(input);
+        state = SnakeEngine.tick(state, input).state;
+      }
+      globalThis.testReplay = replay;
+    })()`);
+    game.lastReplay = env.evaluate('testReplay');
+    await game.submitScore(10);
+    await waitFor(() => game.leaderboardEntries.length === 1);
+
+    // The operator pays out the week once it's over
+    const options = {
+      config: JSON.parse(env.evaluate('JSON.stringify(SATSNAKE_CONFIG)')),
+      secretKey: operatorKey,
+      withdrawUrl: harness.url,
+      apiKey: 'test',
+      now: Date.now() + 7 * 86400000,
+    };
+    // A run the withdraw service fails leaves nothing behind and can be retried
+    const links = harness.withdrawLinks.size;
+    await assert.rejects(runPayouts({ ...options, withdrawUrl: `${harness.url}/down` }), /refused the link/);
+    assert.equal(harness.withdrawLinks.size, links);
+
+    // So does one whose voucher no relay accepts: its link is deleted again
+    const { publish } = NostrRelayManager.prototype;
+    NostrRelayManager.prototype.publish = async () => { throw new Error('No relay accepted the event'); };
+    try {
+      await assert.rejects(runPayouts(options), /No relay accepted/);
+    } finally {
+      NostrRelayManager.prototype.publish = publish;
+    }
+    assert.equal(harness.withdrawLinks.size, links);
+
+    const result = await runPayouts(options);
+    const signer = await game.paymentManager.getSigner();
+    assert.equal(result.revenueSats, 100);
+    assert.equal(result.poolSats, 20);
+    assert.deepEqual(
+      result.payouts.map(p => [p.rank, p.pubkey, p.amountSats, p.alreadyPaid]),
+      [[1, signer.pubkey, 20, false]]
+    );
+    assert.equal(harness.withdrawLinks.size, links + 1);
+
+    // Running again skips the winner who already has a voucher
+    const again = await runPayouts(options);
+    assert.equal(again.payouts[0].alreadyPaid, true);
+    assert.equal(again.payouts[0].voucherId, result.payouts[0].voucherId);
+    assert.equal(harness.withdrawLinks.size, links + 1);
+
+    // The winner's game finds and decrypts the voucher
+    await game.showRewards();
+    assert.equal(game.vouchers.length, 1);
+    const [voucher] = game.vouchers;
+    assert.equal(voucher.amountSats, 20);
+    assert.equal(voucher.rank, 1);
+    assert.equal(voucher.scoreEventId, game.leaderboardEntries[0].id);
+    assert.equal(env.document.getElementById('leaderboard-rewards').style.display, 'block');
+
+    // A wallet claims it (LUD-03), and only once
+    const withdrawUrl = env.evaluate(`Lnurl.resolvePayUrl(${JSON.stringify(voucher.lnurl)}, ${JSON.stringify(harness.url)})`);
+    const request = await (await fetch(withdrawUrl)).json();
+    assert.equal(request.tag, 'withdrawRequest');
+    assert.equal(request.maxWithdrawable, 20000);
+
+    const claim = () => {
+      const { invoice: pr } = createInvoice({
+        amountMsats: request.maxWithdrawable,
+        descriptionHash: NostrCrypto.sha256Hex('reward'),
+      });
+      return fetch(`${request.callback}?k1=${request.k1}&pr=${pr}`).then(response => response.json());
+    };
+    assert.equal((await claim()).status, 'OK');
+    assert.equal((await claim()).status, 'ERROR');
+
+    await game.showRewards();
+    assert.equal(game.vouchers.length, 0);
+  } finally {
+    await game.cleanup();
+  }
+});
@@ -0,0 +1,73 @@
+/**
+ * NIP-65 recipient relay discovery against two dev harnesses
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('../dev/harness.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+let harness;
+let otherRelay;
+
+before(async () => {
+  // A relay the game isn't configured for, only named in the recipient's list
+  otherRelay = await startHarness({ port: 0 });
+  harness = await startHarness({ port: 0, relayList: [otherRelay.relayUrl] });
+});
+
+after(async () => {
+  await harness.close();
+  await otherRelay.close();
+});
+
+async function bootGame(config = {}) {
+  const env = createBrowserEnv({
+    config: {
+      recipientLightningAddress: 'satsnake@satsnake.test',
+      recipientNostrPubkey: harness.creatorPubkey,
+      devHarnessUrl: harness.url,
+      relayTimeout: 2000,
+      ...config,
+    },
+  });
+  const game = env.evaluate(`new SatSnakeGame(document.createElement('canvas'))`);
+  assert.equal(await game.initializePaymentSystem(), true);
+  return { env, game };
+}
+
+test('recipient relays are merged into the zap request and receipt relays', async () => {
+  const { env, game } = await bootGame();
+  try {
+    assert.deepEqual([...game.relayManager.zapRelays], [harness.relayUrl, otherRelay.relayUrl]);
+    assert.equal(game.relayManager.getRelayStatus().total, 2);
+
+    await env.document.getElementById('unlock-btn').click();
+    const [record] = [...harness.invoices.values()];
+    const relaysTag = record.zapRequest.tags.find(t => t[0] === 'relays');
+    assert.deepEqual(relaysTag.slice(1), [harness.relayUrl, otherRelay.relayUrl]);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test("the LNURL server key's relay list is not the creator's", async () => {
+  // Without the creator's key configured there is no list to look up
+  const { game } = await bootGame({ recipientNostrPubkey: '' });
+  try {
+    assert.equal(game.relayManager.zapperPubkey, harness.zapperPubkey);
+    assert.deepEqual([...game.relayManager.zapRelays], [harness.relayUrl]);
+  } finally {
+    await game.cleanup();
+  }
+});
+
+test('discovered relays respect maxRelays', async () => {
+  const { game } = await bootGame({ maxRelays: 1 });
+  try {
+    assert.deepEqual([...game.relayManager.zapRelays], [harness.relayUrl]);
+  } finally {
+    await game.cleanup();
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * Relay pool reconnection and dedup against the dev harness relay, and the
+ * relay client NostrRelayManager picks
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('../dev/harness.js');
+const { createBrowserEnv } = require('./browser-env.js');
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ port: 0 });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+test('a dropped relay reconnects and resumes its subscriptions', async () => {
+  const env = createBrowserEnv();
+  const pool = env.evaluate(`new RelayPool([${JSON.stringify(harness.relayUrl)}], {
+    timeout: 2000, reconnectDelay: 50,
+  })`);
+  const statuses = [];
+  pool.onStatus(status => statuses.push(status));
+  try {
+    assert.equal(await pool.connect(), 1);
+    const received = [];
+    pool.subscribe({ kinds: [1] }, event => received.push(event));
+
+    // Drop every client; the pool should come back on its own
+    harness.relay.close();
+    await waitFor(() => statuses.some(s => s.relays[0].status === 'waiting'));
+    await waitFor(() => pool.getStatus().connectedCount === 1);
+
+    const [relay] = pool.getStatus().relays;
+    assert.equal(relay.connects, 2);
+    assert.equal(relay.failures, 1);
+    assert.equal(typeof relay.latencyMs, 'number');
+
+    const event = env.evaluate(`NostrCrypto.finalizeEvent({
+      kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content: 'after reconnect',
+    }, NostrCrypto.generateSecretKey())`);
+    harness.relay.publish(event);
+    await waitFor(() => received.length === 1);
+  } finally {
+    pool.close();
+  }
+});
+
+test('the same event from several relays is delivered once', async () => {
+  const env = createBrowserEnv();
+  // Two URLs for the one harness relay: every event arrives twice
+  const urls = [harness.relayUrl, harness.relayUrl.replace('127.0.0.1', 'localhost')];
+  const pool = env.evaluate(`new RelayPool(${JSON.stringify(urls)}, { timeout: 2000 })`);
+  try {
+    assert.equal(await pool.connect(), 2);
+    const received = [];
+    pool.subscribe({ kinds: [7] }, event => received.push(event));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const event = env.evaluate(`NostrCrypto.finalizeEvent({
+      kind: 7, created_at: Math.floor(Date.now() / 1000), tags: [], content: '+',
+    }, NostrCrypto.generateSecretKey())`);
+    harness.relay.publish(event);
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].id, event.id);
+  } finally {
+    pool.close();
+  }
+});
+
+// Just enough of NDK's surface for NdkRelayPool
+class FakeNdk {
+  constructor({ explicitRelayUrls }) {
+    this.subs = [];
+    const handlers = {};
+    const connected = new Set();
+    this.emit = (type, relay) => (handlers[type] || []).forEach(fn => fn(relay));
+    this.pool = {
+      // NDK keys relays by its own URL form, with a trailing slash
+      relays: new Map(explicitRelayUrls.map(url => [`${url}/`, { url: `${url}/`, disconnect() {} }])),
+      on: (type, fn) => { (handlers[type] = handlers[type] || []).push(fn); },
+      connectedRelays: () => [...this.pool.relays.values()].filter(relay => connected.has(relay.url)),
+    };
+    this.connected = connected;
+  }
+
+  async connect() {
+    for (const relay of this.pool.relays.values()) {
+      this.connected.add(relay.url);
+      this.emit('relay:connect', relay);
+    }
+  }
+
+  subscribe(filter) {
+    const handlers = {};
+    const sub = { filter, handlers, on: (type, fn) => { handlers[type] = fn; }, stop: () => { sub.stopped = true; } };
+    this.subs.push(sub);
+    return sub;
+  }
+}
+
+test('production relays go through NDK, the dev harness through RelayPool', async () => {
+  const relays = ['wss://one.test', 'wss://two.test'];
+  const env = createBrowserEnv({ config: { relays }, globals: { NDK: FakeNdk } });
+  const pool = env.evaluate('new NostrRelayManager(SATSNAKE_CONFIG).createPool()');
+  assert.equal(pool.constructor.name, 'NdkRelayPool');
+  assert.equal(await pool.connect(), 2);
+  assert.equal(pool.has('wss://one.test'), true);
+  assert.deepEqual([...pool.getStatus().relays.map(r => `${r.url} ${r.status}`)], ['wss://one.test connected', 'wss://two.test connected']);
+
+  // Deduplicated across relays and verified, as RelayPool does
+  const received = [];
+  pool.subscribe({ kinds: [7] }, (event, relayUrl) => received.push(relayUrl));
+  const event = env.evaluate(`NostrCrypto.finalizeEvent({
+    kind: 7, created_at: Math.floor(Date.now() / 1000), tags: [], content: '+',
+  }, NostrCrypto.generateSecretKey())`);
+  const [sub] = pool.ndk.subs;
+  const [one, two] = pool.ndk.pool.relays.values();
+  sub.handlers.event({ ...event, content: 'forged' }, one);
+  sub.handlers.event({ rawEvent: () => event }, one);
+  sub.handlers.event({ rawEvent: () => event }, two);
+  assert.deepEqual([...received], ['wss://one.test']);
+
+  // The harness swaps the relays for its own without touching the config
+  const dev = createBrowserEnv({ config: { relays, devHarnessUrl: harness.url }, globals: { NDK: FakeNdk } });
+  const manager = dev.evaluate('new NostrRelayManager(SATSNAKE_CONFIG)');
+  assert.equal(manager.createPool().constructor.name, 'RelayPool');
+  assert.deepEqual([...manager.relays], [harness.relayUrl]);
+  assert.deepEqual([...dev.evaluate('SATSNAKE_CONFIG.relays')], relays);
+});
@@ -0,0 +1,104 @@
+/**
+ * Replay recording, encoding and playback
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// replay.js expects SnakeEngine as a page global
+global.SnakeEngine = require('../js/snake-engine.js');
+const Replay = require('../js/replay.js');
+
+// Record a run the way the game loop does: record, then tick
+function recordRun(seed, inputs) {
+  let state = SnakeEngine.create({ seed });
+  const replay = Replay.start(state);
+  for (const input of inputs) {
+    replay.record(input);
+    state = SnakeEngine.tick(state, input).state;
+  }
+  return { replay, state };
+}
+
+const INPUTS = [
+  ...Array(7).fill(null), 'up', null, null, 'left', 'left', null, 'down',
+  ...Array(150).fill(null), 'right', ...Array(40).fill(null),
+];
+
+test('a replay plays back to the exact recorded state', () => {
+  const { replay, state } = recordRun(1234, INPUTS);
+  assert.deepEqual(replay.simulate().state, state);
+  assert.deepEqual(replay.stateAt(replay.length), state);
+
+  // Seeking backwards and forwards lands on the same states
+  const mid = replay.stateAt(120);
+  replay.stateAt(10);
+  assert.deepEqual(replay.stateAt(120), mid);
+});
+
+test('inputs are run-length encoded', () => {
+  assert.equal(Replay.encodeInputs([null, null, null, 'up', 'left', 'left']), '3.u2l');
+  assert.deepEqual(Replay.decodeInputs('3.u2l'), [null, null, null, 'up', 'left', 'left']);
+  assert.throws(() => Replay.decodeInputs('3.x'), /damaged/);
+});
+
+test('the share string and the file format round-trip', () => {
+  const { replay, state } = recordRun(99, INPUTS);
+
+  const shared = Replay.parse(replay.encode());
+  assert.deepEqual(shared.inputs, replay.inputs);
+  assert.deepEqual(shared.simulate().state, state);
+
+  const file = Replay.parse(JSON.stringify(replay.toJSON()));
+  assert.equal(file.seed, 99);
+  assert.deepEqual(file.simulate().state, state);
+
+  assert.throws(() => Replay.parse('hello'), /Not a SatSnake replay/);
+});
+
+test('a replay from another engine version is refused', () => {
+  const { replay } = recordRun(5, [null]);
+  const old = Replay.fromJSON({ ...replay.toJSON(), version: SnakeEngine.VERSION + 1 });
+  assert.throws(() => old.simulate(), /engine version/);
+});
+
+test('a board larger than any config allows is refused', () => {
+  const { replay } = recordRun(5, [null]);
+  const huge = { ...replay.toJSON(), width: 1500, height: 1500 };
+  assert.throws(() => Replay.fromJSON(huge), /larger than 100x100/);
+
+  const encoded = Replay.STRING_PREFIX + Buffer.from(JSON.stringify(huge)).toString('base64url');
+  assert.throws(() => Replay.decode(encoded), /larger than 100x100/);
+
+  const widest = Replay.fromJSON({ ...replay.toJSON(), width: 100, height: 100 });
+  assert.equal(widest.width, 100);
+});
+
+test('paid continues are replayed and kept in both formats', () => {
+  // Die on the top wall, continue, then die on the right wall
+  const first = [...Array(7).fill(null), 'up', ...Array(10).fill(null)];
+  const { replay, state: dead } = recordRun(1, first);
+  assert.equal(dead.alive, false);
+  replay.recordContinue({ receiptId: 'a'.repeat(64), amountSats: 21 });
+  let state = SnakeEngine.revive(dead);
+  for (let i = 0; i < 12; i++) {
+    replay.record(null);
+    state = SnakeEngine.tick(state, null).state;
+  }
+  assert.equal(state.alive, false);
+
+  const { state: end, events } = replay.simulate();
+  assert.deepEqual(end, state);
+  assert.deepEqual(events.filter(e => e.type === 'continued').map(e => [e.tick, e.score]), [[18, 10]]);
+  assert.deepEqual(replay.stateAt(replay.length), state);
+
+  const shared = Replay.parse(replay.encode());
+  assert.deepEqual(shared.continues.map(c => [c.tick, c.receiptId, c.amountSats]), [[18, 'a'.repeat(64), 21]]);
+  assert.deepEqual(shared.simulate().state, state);
+
+  // Continues out of order or past the end of the run are damage
+  const json = replay.toJSON();
+  assert.throws(() => Replay.fromJSON({ ...json, continues: [{ tick: 500 }] }), /continues are damaged/);
+  assert.throws(() => Replay.fromJSON({ ...json, continues: [{ tick: 18 }, { tick: 18 }] }), /continues are damaged/);
+});
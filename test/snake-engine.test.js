@@ -0,0 +1,161 @@
+/**
+ * SnakeEngine rules, run headless
+ * Run: node --experimental-websocket --test test/*.test.js   (Node 22+: node --test test/*.test.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../js/snake-engine.js');
+
+function play(state, inputs) {
+  const events = [];
+  for (const input of inputs) {
+    const step = SnakeEngine.tick(state, input);
+    state = step.state;
+    events.push(...step.events);
+  }
+  return { state, events };
+}
+
+test('the same seed and inputs give the same game', () => {
+  // Straight into the first food, then wander
+  const inputs = [null, null, null, null, null, null, null, 'up', null, 'left', null, null, 'down'];
+  const a = play(SnakeEngine.create({ seed: 42 }), inputs);
+  const b = play(SnakeEngine.create({ seed: 42 }), inputs);
+  assert.deepEqual(a.state, b.state);
+  assert.deepEqual(a.events, b.events);
+
+  const other = play(SnakeEngine.create({ seed: 43 }), inputs);
+  assert.notDeepEqual(other.state.food, a.state.food);
+});
+
+test('eating grows the snake, scores and emits ate and scored', () => {
+  const { state, events } = play(SnakeEngine.create({ seed: 1 }), Array(7).fill(null));
+  assert.equal(state.score, 10);
+  assert.equal(state.snake.length, 2);
+  assert.deepEqual(events.map(e => e.type), ['ate', 'scored']);
+  assert.deepEqual(events[0].food, { x: 15, y: 10 });
+  assert.equal(events[1].score, 10);
+});
+
+test('a turn straight back into the snake is ignored', () => {
+  const { state } = SnakeEngine.tick(SnakeEngine.create({ seed: 1 }), 'left');
+  assert.equal(state.direction, 'right');
+  assert.deepEqual(state.snake[0], { x: 9, y: 10 });
+});
+
+test('hitting a wall ends the game with a died event', () => {
+  const { state, events } = play(SnakeEngine.create({ seed: 1 }), ['up', ...Array(10).fill(null)]);
+  assert.equal(state.alive, false);
+  const died = events.find(e => e.type === 'died');
+  assert.equal(died.cause, 'wall');
+  assert.equal(died.tick, 11);
+
+  // A dead game doesn't move
+  assert.equal(SnakeEngine.tick(state, 'down').state, state);
+});
+
+test('state is immutable', () => {
+  const start = SnakeEngine.create({ seed: 7 });
+  const { state } = SnakeEngine.tick(start, 'down');
+  assert.deepEqual(start.snake, [{ x: 8, y: 10 }]);
+  assert.ok(Object.isFrozen(state) && Object.isFrozen(state.snake[0]));
+  assert.throws(() => state.snake.push({ x: 0, y: 0 }), TypeError);
+});
+
+test('a revived snake restarts at the spawn point with its score', () => {
+  const { state: dead } = play(SnakeEngine.create({ seed: 1 }), [...Array(7).fill(null), 'up', ...Array(10).fill(null)]);
+  assert.equal(dead.alive, false);
+
+  const revived = SnakeEngine.revive(dead);
+  assert.equal(revived.alive, true);
+  assert.equal(revived.score, 10);
+  assert.deepEqual(revived.snake, [{ x: 8, y: 10 }]);
+  assert.equal(revived.direction, 'right');
+  assert.deepEqual(revived.food, dead.food);
+
+  // A live snake is left alone
+  assert.equal(SnakeEngine.revive(revived), revived);
+});
+
+test('mode rules: wrap-around walls, obstacles and a growing food bonus', () => {
+  // Leaving the top edge enters at the bottom
+  const wrap = play(SnakeEngine.create({ seed: 1, rules: { wrap: true } }), ['up', ...Array(10).fill(null)]);
+  assert.equal(wrap.state.alive, true);
+  assert.deepEqual(wrap.state.snake[0], { x: 8, y: 19 });
+
+  // Obstacles kill, and food never lands on one
+  const obstacles = [{ x: 10, y: 10 }, { x: 15, y: 10 }];
+  const blocked = SnakeEngine.create({ seed: 1, rules: { obstacles } });
+  assert.notDeepEqual(blocked.food, { x: 15, y: 10 });
+  const crash = play(blocked, [null, null]);
+  assert.equal(crash.events.find(e => e.type === 'died').cause, 'obstacle');
+
+  // Each food is worth foodPoints plus speedBonus per food already eaten
+  const bonus = play(SnakeEngine.create({ seed: 1, rules: { foodPoints: 5, speedBonus: 2 } }), Array(7).fill(null));
+  assert.equal(bonus.state.score, 5);
+  assert.equal(bonus.state.eaten, 1);
+  const next = SnakeEngine.tick({ ...bonus.state, food: { x: 16, y: 10 } }).state;
+  assert.equal(next.score, 12);
+});
+
+test('food only lands on free cells and a full board wins', () => {
+  // A 3×1 board: after the first meal the one free cell left gets the food
+  const state = SnakeEngine.create({ seed: 3, width: 3, height: 1, rules: { spawn: { x: 0, y: 0 }, food: { x: 1, y: 0 } } });
+  const first = play(state, [null]);
+  assert.equal(first.state.food.x, 2);
+
+  const { state: full, events } = play(first.state, [null]);
+  assert.equal(full.won, true);
+  assert.equal(full.alive, false);
+  assert.equal(full.food, null);
+  assert.equal(full.snake.length, 3);
+  assert.deepEqual(events.filter(e => e.type === 'won').map(e => e.score), [20]);
+
+  // There's no continuing a won game
+  assert.equal(SnakeEngine.revive(full), full);
+
+  // A 4×1 board whose last free cell holds a pellet: no win and no food yet
+  const crowded = (ttl) => SnakeEngine.create({
+    seed: 7, width: 4, height: 1,
+    rules: { spawn: { x: 0, y: 0 }, food: { x: 1, y: 0 }, spawnTable: [{ type: 'sat', points: 50, chance: 1, ttl, max: 1 }] },
+  });
+  const waiting = play(crowded(5), [null, null]).state;
+  assert.equal(waiting.alive, true);
+  assert.equal(waiting.won, false);
+  assert.equal(waiting.food, null);
+  assert.deepEqual(waiting.pellets.map(p => p.x), [3]);
+
+  // Eating the pellet fills the board
+  const cleared = play(waiting, [null]);
+  assert.equal(cleared.state.won, true);
+  assert.deepEqual(cleared.events.filter(e => e.type === 'won').map(e => e.score), [70]);
+
+  // Once the pellet expires, food lands on the cell the tail left
+  const expired = play(crowded(2), [null, null, null]).state;
+  assert.equal(expired.alive, true);
+  assert.equal(expired.won, false);
+  assert.deepEqual(expired.food, { x: 0, y: 0 });
+});
+
+test('the spawn table drops pellets that score and expire', () => {
+  const spawnTable = [{ type: 'sat', points: 50, chance: 1, ttl: 3, max: 1 }];
+  const { state, events } = play(SnakeEngine.create({ seed: 1, rules: { spawnTable } }), Array(7).fill(null));
+  const [pellet] = state.pellets;
+  assert.equal(pellet.type, 'sat');
+  assert.equal(pellet.expiresAt, 10);
+  assert.deepEqual(events.map(e => e.type), ['ate', 'scored', 'spawned']);
+  assert.ok(!(pellet.x === state.food.x && pellet.y === state.food.y));
+
+  // Gone after ttl ticks
+  const later = play(state, [null, null, null]);
+  assert.equal(later.state.pellets.length, 0);
+  assert.equal(later.events.find(e => e.type === 'expired').pellet.type, 'sat');
+
+  // Eaten before then: its points, and the snake grows
+  const moved = { ...state, pellets: [{ ...pellet, x: state.snake[0].x + 1, y: state.snake[0].y }] };
+  const eaten = SnakeEngine.tick(moved, null);
+  assert.equal(eaten.state.score, 60);
+  assert.equal(eaten.state.snake.length, 3);
+  assert.equal(eaten.state.pellets.length, 0);
+});